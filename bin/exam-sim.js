@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * exam-sim - Command-line converter for exam files
+ *
+ *     node bin/exam-sim.js convert dump.vce --to json
+ *     node bin/exam-sim.js inspect dump.pdf
+ *     node bin/exam-sim.js merge a.pdf b.vce -o bank.json
+ */
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const ExamSim = require('../node');
+
+const USAGE = `Usage: exam-sim <command> [options]
+
+Commands:
+  convert <file> --to json|pdf [-o <output>] [--title <title>] [--template <layout>]
+      Convert a VCE, PDF or JSON exam file to a native exam file or a PDF with answers
+  inspect <file> [--json]
+      Print the parse report of a file
+  merge <file>... -o <output> [--title <title>] [--exact]
+      Merge several files into one native exam file, dropping duplicate questions
+
+Options:
+  -o, --output <file>  Output file (convert defaults to the input name with the new extension)
+  --to <format>        Output format of convert: json or pdf
+  --title <title>      Exam title (defaults to the file's title or name)
+  --template <layout>  PDF layout: inline (answers after each question, the default), worksheet
+                       (questions only) or answer-key (answers at the end)
+  --json               Print the parse report as JSON
+  --exact              Merge only exact duplicates, keeping reworded copies as separate questions
+  -q, --quiet          Do not print progress
+  -v, --verbose        Print the parsers' log messages
+  -h, --help           Show this help`;
+
+/**
+ * PDF layouts for convert; the results report needs an exam attempt, so it is only offered in the app
+ */
+const PDF_TEMPLATES = ['inline', 'worksheet', 'answer-key'];
+
+/**
+ * Error for wrong command-line usage; the usage text is printed with it
+ */
+class UsageError extends Error {}
+
+/**
+ * Run a command
+ * @param {Array<string>} argv - Command-line arguments after the script name
+ * @returns {Promise<number>} - The exit code
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = util.parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                to: { type: 'string' },
+                title: { type: 'string' },
+                template: { type: 'string' },
+                json: { type: 'boolean' },
+                exact: { type: 'boolean' },
+                quiet: { type: 'boolean', short: 'q' },
+                verbose: { type: 'boolean', short: 'v' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        return fail(new UsageError(error.message));
+    }
+
+    const { values: options, positionals } = args;
+    const [command, ...files] = positionals;
+
+    if (options.help || !command) {
+        print(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    redirectLogging(options.verbose);
+
+    try {
+        if (command === 'convert') {
+            await convert(files, options);
+        } else if (command === 'inspect') {
+            await inspect(files, options);
+        } else if (command === 'merge') {
+            await merge(files, options);
+        } else {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        return 0;
+    } catch (error) {
+        return fail(error);
+    }
+}
+
+/**
+ * Print an error
+ * @param {Error} error - The error
+ * @returns {number} - The exit code: 2 for usage errors, 1 otherwise
+ */
+function fail(error) {
+    printError(`exam-sim: ${error.message}`);
+    if (error instanceof UsageError) {
+        printError(`\n${USAGE}`);
+        return 2;
+    }
+    return 1;
+}
+
+/**
+ * Print a line of output
+ * @param {string} text - The text
+ */
+function print(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Print a line to stderr
+ * @param {string} text - The text
+ */
+function printError(text) {
+    process.stderr.write(`${text}\n`);
+}
+
+/**
+ * Keep the parsers' console logging out of the output: send it to stderr with --verbose, drop it otherwise
+ * @param {boolean} verbose - Whether to keep the log messages
+ */
+function redirectLogging(verbose) {
+    const log = verbose ? (...args) => printError(util.format(...args)) : () => {};
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        console[method] = log;
+    });
+}
+
+/**
+ * Parse a file, printing progress to stderr
+ * @param {string} file - Path of the file
+ * @param {Object} options - Command-line options
+ * @returns {Promise<Object>} - Result of ExamSim.parseFile()
+ */
+async function parse(file, options) {
+    const onProgress = options.quiet || !process.stderr.isTTY
+        ? undefined
+        : progress => process.stderr.write(`\r\x1b[K${path.basename(file)}: ${progress.message}`);
+
+    try {
+        return await ExamSim.parseFile(file, { onProgress });
+    } finally {
+        if (onProgress) {
+            process.stderr.write('\r\x1b[K');
+        }
+    }
+}
+
+/**
+ * Convert a file to a native exam file or a PDF
+ * @param {Array<string>} files - The input file
+ * @param {Object} options - Command-line options ({ to, output, title, template })
+ */
+async function convert(files, options) {
+    if (files.length !== 1) {
+        throw new UsageError('convert needs exactly one input file');
+    }
+    if (options.to !== 'json' && options.to !== 'pdf') {
+        throw new UsageError('convert needs --to json or --to pdf');
+    }
+    if (options.template !== undefined && (options.to !== 'pdf' || !PDF_TEMPLATES.includes(options.template))) {
+        throw new UsageError(`--template needs --to pdf and one of ${PDF_TEMPLATES.join(', ')}`);
+    }
+
+    const [input] = files;
+    const output = options.output || path.join(path.dirname(input), `${ExamSim.getBaseName(input)}.${options.to}`);
+    if (path.resolve(output) === path.resolve(input)) {
+        throw new UsageError(`the output would overwrite ${input}; choose another name with -o`);
+    }
+
+    const result = await parse(input, options);
+    if (result.questions.length === 0) {
+        throw new Error(`No questions found in ${input}`);
+    }
+
+    // Questions the exam format cannot hold are repaired or left out, never written unloadable
+    const exportWarnings = [];
+    let written = result.questions.length;
+    if (options.to === 'json') {
+        const examData = ExamSim.toExamFile(result, options.title, { onWarning: message => exportWarnings.push(message) });
+        written = examData.questions.length;
+        await fs.promises.writeFile(output, `${JSON.stringify(examData, null, 2)}\n`);
+    } else {
+        const title = options.title || `${ExamSim.getBaseName(input)} - Exam Questions`;
+        await fs.promises.writeFile(output, await ExamSim.toPDF(result.questions, title, options.template));
+    }
+
+    printSummary(result.report);
+    print(`Wrote ${plural(written, 'question')} to ${output}`);
+    printList('Export warnings', exportWarnings);
+}
+
+/**
+ * Print the parse report of a file
+ * @param {Array<string>} files - The input file
+ * @param {Object} options - Command-line options ({ json })
+ */
+async function inspect(files, options) {
+    if (files.length !== 1) {
+        throw new UsageError('inspect needs exactly one input file');
+    }
+
+    const { report } = await parse(files[0], options);
+
+    if (options.json) {
+        print(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    printSummary(report);
+    printList('Warnings', report.warnings.map(warning =>
+        (warning.questionIndex === null ? warning.message : `Question ${warning.questionIndex + 1}: ${warning.message}`)
+    ));
+    printList('Unparsed text', report.unparsedBlocks.map(block => {
+        const text = block.text.replace(/\s+/g, ' ');
+        const excerpt = text.length > 150 ? `${text.substring(0, 150)}...` : text;
+        return block.page ? `Page ${block.page}: ${excerpt}` : excerpt;
+    }));
+}
+
+/**
+ * Merge several files into one native exam file
+ * @param {Array<string>} files - The input files
+ * @param {Object} options - Command-line options ({ output, title, exact })
+ */
+async function merge(files, options) {
+    if (files.length < 2) {
+        throw new UsageError('merge needs at least two input files');
+    }
+    if (!options.output) {
+        throw new UsageError('merge needs an output file (-o)');
+    }
+
+    const results = [];
+    for (const file of files) {
+        const result = await parse(file, options);
+        printSummary(result.report);
+        results.push(result);
+    }
+
+    const { questions, duplicates, conflicts } = ExamSim.mergeResults(results, { exactOnly: options.exact });
+    if (questions.length === 0) {
+        throw new Error('No questions found in the input files');
+    }
+
+    const exportWarnings = [];
+    const examData = ExamSim.ExamFormat.fromQuestions(questions, {
+        title: options.title || ExamSim.getBaseName(options.output),
+        source: files.map(file => path.basename(file)).join(', ')
+    }, null, { onWarning: message => exportWarnings.push(message) });
+    await fs.promises.writeFile(options.output, `${JSON.stringify(examData, null, 2)}\n`);
+
+    print(`Wrote ${plural(examData.questions.length, 'question')} to ${options.output} ` +
+        `(${plural(duplicates, 'duplicate')} merged, ${conflicts} with conflicting answers)`);
+    printList('Export warnings', exportWarnings);
+
+    printList('Conflicting answers', questions
+        .map((question, index) => (question.answerConflict
+            ? `Question ${index + 1}: ${ExamSim.BankMerger.describeSources(question)}`
+            : null))
+        .filter(Boolean));
+}
+
+/**
+ * Print the headline of a parse report
+ * @param {Object} report - The parse report
+ */
+function printSummary(report) {
+    const details = [
+        `strategy: ${report.strategy || 'none'}`,
+        plural(report.questionCount, 'question')
+    ];
+    if (report.pageCount) {
+        details.push(plural(report.pageCount, 'page'));
+    }
+    details.push(`confidence ${Math.round(report.confidence * 100)}% (${ExamSim.ParseReport.getConfidenceLevel(report)})`);
+    if (report.duration !== null && report.duration !== undefined) {
+        details.push(`${(report.duration / 1000).toFixed(1)} s`);
+    }
+    print(`${report.fileName}: ${details.join(', ')}`);
+}
+
+/**
+ * Format a count with a noun
+ * @param {number} count - The count
+ * @param {string} noun - The noun in the singular
+ * @returns {string} - E.g. "1 page" or "3 pages"
+ */
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Print a titled list, if it has entries
+ * @param {string} title - The list heading
+ * @param {Array<string>} items - The entries
+ */
+function printList(title, items) {
+    if (items.length === 0) {
+        return;
+    }
+    print(`\n${title} (${items.length}):`);
+    items.forEach(item => print(`  ${item}`));
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -10,30 +10,150 @@ document.addEventListener('DOMContentLoaded', () => {
     const fileInfo = document.querySelector('.file-info');
     const startExamButton = document.getElementById('start-exam');
     const convertToPdfButton = document.getElementById('convert-to-pdf');
+    const convertTemplateSelect = document.getElementById('convert-template');
+    const editBankButton = document.getElementById('edit-bank');
+    const exportExamButton = document.getElementById('export-exam');
+    const reviewStatusElement = document.getElementById('review-status');
+    const passMarkInput = document.getElementById('pass-mark');
+    const scaleMinInput = document.getElementById('scale-min');
+    const scaleMaxInput = document.getElementById('scale-max');
+    const scoringPolicySelect = document.getElementById('scoring-policy');
+    const scoringPenaltyInput = document.getElementById('scoring-penalty');
+    const scoringUnansweredSelect = document.getElementById('scoring-unanswered');
+    const uploadSection = document.querySelector('.file-upload-section');
+    
+    const savedBanksContainer = document.getElementById('saved-banks');
+    const savedBankSelect = document.getElementById('saved-bank-select');
+    const loadBankButton = document.getElementById('load-bank');
+    const deleteBankButton = document.getElementById('delete-bank');
+    
+    const editorContainer = document.getElementById('editor-container');
+    const editorAddButton = document.getElementById('editor-add');
+    const editorSaveButton = document.getElementById('editor-save');
+    const editorExportButton = document.getElementById('editor-export');
+    const editorDoneButton = document.getElementById('editor-done');
+    
+    const historyContainer = document.getElementById('history-container');
+    const historyClearButton = document.getElementById('history-clear');
+    const historyDoneButton = document.getElementById('history-done');
     const loadingIndicator = document.getElementById('loading-indicator');
+    const loadingMessage = document.getElementById('loading-message');
+    const loadingProgress = document.getElementById('loading-progress');
+    const cancelLoadingButton = document.getElementById('cancel-loading');
     const examContainer = document.getElementById('exam-container');
     const resultsContainer = document.getElementById('results-container');
+    const parseReportContainer = document.getElementById('parse-report');
+    const parseReportSummary = document.getElementById('parse-report-summary');
+    const parseReportWarnings = document.getElementById('parse-report-warnings');
+    const parseReportBlocks = document.getElementById('parse-report-blocks');
+    const mergeReportContainer = document.getElementById('merge-report');
+    const mergeSummary = document.getElementById('merge-summary');
+    const mergeFilesList = document.getElementById('merge-files');
+    const mergeGroupsElement = document.getElementById('merge-groups');
+    
+    const durationInput = document.getElementById('exam-duration');
+    const examBuilderElement = document.getElementById('exam-builder');
+    const questionCountInput = document.getElementById('question-count');
+    const questionFromInput = document.getElementById('question-from');
+    const questionToInput = document.getElementById('question-to');
+    const topicFilterLabel = document.querySelector('.topic-filter-label');
+    const topicFilterSelect = document.getElementById('topic-filter');
+    const questionStatusInputs = document.querySelectorAll('input[name="question-status"]');
+    const secondsPerQuestionInput = document.getElementById('seconds-per-question');
+    const builderSummary = document.getElementById('builder-summary');
+    const presetList = document.getElementById('preset-list');
+    const savePresetButton = document.getElementById('save-preset');
+    const shuffleQuestionsInput = document.getElementById('shuffle-questions');
+    const shuffleOptionsInput = document.getElementById('shuffle-options');
     
     const currentQuestionElement = document.getElementById('current-question');
     const totalQuestionsElement = document.getElementById('total-questions');
+    const originalQuestionElement = document.getElementById('original-question');
+    const questionTimeElement = document.getElementById('question-time');
+    const paceElement = document.getElementById('pace');
     const timerElement = document.getElementById('timer');
     const questionTextElement = document.getElementById('question-text');
+    const questionExhibitsElement = document.getElementById('question-exhibits');
+    const answerHintElement = document.getElementById('answer-hint');
     const optionsContainer = document.getElementById('options-container');
     const explanationContainer = document.getElementById('explanation-container');
     const explanationTextElement = document.getElementById('explanation-text');
     const answerResultElement = document.getElementById('answer-result');
+    const questionNavigator = document.getElementById('question-navigator');
     
     const prevButton = document.getElementById('prev-button');
     const nextButton = document.getElementById('next-button');
     const finishButton = document.getElementById('finish-button');
+    const flagButton = document.getElementById('flag-button');
+    
+    const summaryContainer = document.getElementById('summary-container');
+    const summaryOverview = document.getElementById('summary-overview');
+    const summaryUnanswered = document.getElementById('summary-unanswered');
+    const summaryFlagged = document.getElementById('summary-flagged');
+    const returnToExamButton = document.getElementById('return-to-exam');
+    const submitExamButton = document.getElementById('submit-exam');
     
     const scoreElement = document.getElementById('score');
     const totalScoreElement = document.getElementById('total-score');
     const percentageElement = document.getElementById('percentage');
+    const pointsElement = document.getElementById('points');
+    const attemptInfoElement = document.getElementById('attempt-info');
+    const timeUpNotice = document.getElementById('time-up-notice');
+    const timeUsedElement = document.getElementById('time-used');
+    const passResultElement = document.getElementById('pass-result');
+    const topicBreakdownElement = document.getElementById('topic-breakdown');
     const reviewExamButton = document.getElementById('review-exam');
+    const resultsTemplateSelect = document.getElementById('results-template');
     const newExamButton = document.getElementById('new-exam');
     const downloadPdfButton = document.getElementById('download-pdf');
     
+    const resumeSessionContainer = document.getElementById('resume-session');
+    const resumeSessionInfo = document.getElementById('resume-session-info');
+    const resumeSessionButton = document.getElementById('resume-session-button');
+    const discardSessionButton = document.getElementById('discard-session-button');
+    
+    const exhibitViewer = document.getElementById('exhibit-viewer');
+    const exhibitViewerImage = document.getElementById('exhibit-viewer-image');
+    const exhibitViewerCaption = document.getElementById('exhibit-viewer-caption');
+    const exhibitZoomLevel = document.getElementById('exhibit-zoom-level');
+    const exhibitZoomOutButton = document.getElementById('exhibit-zoom-out');
+    const exhibitZoomInButton = document.getElementById('exhibit-zoom-in');
+    const exhibitCloseButton = document.getElementById('exhibit-close');
+    
+    const summaryHeading = document.getElementById('summary-heading');
+    const resultsHeading = document.getElementById('results-heading');
+    const examStatusElement = document.getElementById('exam-status');
+    const examAlertElement = document.getElementById('exam-alert');
+    
+    // Cancels the running parse, if the loading indicator shows one
+    let loadingController = null;
+    
+    // The exam view follows the simulator, whichever control (or the timer) changed it
+    examSimulator.on('questionChanged', updateQuestionDisplay);
+    examSimulator.on('answered', () => {
+        updateNavigator();
+        updatePace();
+    });
+    examSimulator.on('tick', ({ timeRemaining }) => updateTimer(timeRemaining));
+    examSimulator.on('timeWarning', ({ timeRemaining }) => {
+        const minutes = Math.max(Math.ceil(timeRemaining / 60), 1);
+        announce(`${minutes} minute${minutes === 1 ? '' : 's'} remaining`, true);
+    });
+    examSimulator.on('examEnded', ({ results, timeUp }) => showResults(results, timeUp));
+    
+    // Timers are throttled in background tabs; catch up as soon as the tab is shown again
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            examSimulator.updateTime();
+        }
+    });
+    
+    cancelLoadingButton.addEventListener('click', () => {
+        if (loadingController) {
+            loadingController.abort();
+        }
+    });
+    
     // Mode selection
     const modeRadios = document.querySelectorAll('input[name="mode"]');
     let selectedMode = 'study';
@@ -41,20 +161,31 @@ document.addEventListener('DOMContentLoaded', () => {
     modeRadios.forEach(radio => {
         radio.addEventListener('change', () => {
             selectedMode = radio.value;
+            updateReviewStatus();
+            updateBuilder();
         });
     });
     
     // File input change handler
     fileInput.addEventListener('change', () => {
-        if (fileInput.files.length > 0) {
-            const file = fileInput.files[0];
-            fileInfo.textContent = `Selected file: ${file.name}`;
-            // Enable start button when file is selected
-            startExamButton.disabled = false;
-            convertToPdfButton.disabled = false;
+        // The start, edit and export buttons are enabled once the file has been parsed
+        startExamButton.disabled = true;
+        editBankButton.disabled = true;
+        exportExamButton.disabled = true;
+        reviewStatusElement.classList.add('hidden');
+        parseReportContainer.classList.add('hidden');
+        mergeReportContainer.classList.add('hidden');
+        
+        const files = Array.from(fileInput.files);
+        if (files.length > 0) {
+            fileInfo.textContent = files.length === 1
+                ? `Selected file: ${files[0].name}`
+                : `Selected ${files.length} files: ${files.map(file => file.name).join(', ')}`;
+            // Conversion works on one file at a time
+            convertToPdfButton.disabled = files.length !== 1;
+            loadSelectedFiles(files);
         } else {
             fileInfo.textContent = 'No file selected';
-            startExamButton.disabled = true;
             convertToPdfButton.disabled = true;
         }
     });
@@ -64,47 +195,257 @@ document.addEventListener('DOMContentLoaded', () => {
     convertToPdfButton.disabled = true;
     
     // Start exam button click handler
-    startExamButton.addEventListener('click', async () => {
-        if (!fileInput.files.length) {
-            alert('Please select an exam file first.');
+    startExamButton.addEventListener('click', () => startSelectedExam());
+    
+    // Custom exam builder: show what the settings select as they change
+    [questionCountInput, questionFromInput, questionToInput, secondsPerQuestionInput, durationInput].forEach(input => {
+        input.addEventListener('input', updateBuilderSummary);
+    });
+    topicFilterSelect.addEventListener('change', updateBuilderSummary);
+    questionStatusInputs.forEach(input => input.addEventListener('change', updateBuilderSummary));
+    
+    // The penalty only applies to negative marking
+    scoringPolicySelect.addEventListener('change', updatePenaltyInput);
+    
+    // Save preset button click handler
+    savePresetButton.addEventListener('click', async () => {
+        const preset = getPresetFromForm();
+        const name = prompt('Save preset as:', ExamBuilder.describe(ExamBuilder.normalizeSettings(preset.settings)));
+        if (!name) {
             return;
         }
         
-        const file = fileInput.files[0];
-        const durationInput = document.getElementById('exam-duration');
-        const duration = parseInt(durationInput.value, 10) || 60;
+        try {
+            await ExamStorage.savePreset({ ...preset, name });
+            refreshPresets();
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            alert(`Error saving preset: ${error.message}`);
+        }
+    });
+    
+    refreshPresets();
+    
+    // Question bank editor
+    const bankEditor = new QuestionBankEditor(examSimulator, {
+        list: document.getElementById('editor-list'),
+        form: document.getElementById('editor-form')
+    });
+    
+    // Edit questions button click handler
+    editBankButton.addEventListener('click', () => {
+        // Merge choices would undo edits, so they are final once the bank is edited
+        mergeReportContainer.classList.add('hidden');
+        uploadSection.classList.add('hidden');
+        editorContainer.classList.remove('hidden');
+        bankEditor.open();
+    });
+    
+    // Export exam file button click handler
+    exportExamButton.addEventListener('click', () => {
+        try {
+            bankEditor.exportBank(examSimulator.examName || 'question-bank');
+        } catch (error) {
+            console.error('Error exporting question bank:', error);
+            alert(`Error exporting question bank: ${error.message}`);
+        }
+    });
+    
+    // Editor add question button click handler
+    editorAddButton.addEventListener('click', () => {
+        bankEditor.addQuestion();
+    });
+    
+    // Editor save button click handler
+    editorSaveButton.addEventListener('click', async () => {
+        const name = prompt('Save question bank as:', examSimulator.examName || 'Question bank');
+        if (!name) {
+            return;
+        }
         
-        // Show loading indicator
-        loadingIndicator.classList.remove('hidden');
+        try {
+            await ExamStorage.saveBank(examSimulator.getBank(name));
+            examSimulator.examName = name;
+            refreshSavedBanks();
+            alert(`Question bank "${name}" saved.`);
+        } catch (error) {
+            console.error('Error saving question bank:', error);
+            alert(`Error saving question bank: ${error.message}`);
+        }
+    });
+    
+    // Editor export button click handler
+    editorExportButton.addEventListener('click', () => {
+        bankEditor.exportBank(examSimulator.examName || 'question-bank');
+    });
+    
+    // Editor done button click handler
+    editorDoneButton.addEventListener('click', () => {
+        const problems = bankEditor.validate();
+        if (problems.length > 0 &&
+            !confirm(`Some questions need attention:\n\n${problems.slice(0, 10).join('\n')}\n\nLeave the editor anyway?`)) {
+            return;
+        }
         
+        editorContainer.classList.add('hidden');
+        uploadSection.classList.remove('hidden');
+        
+        const hasQuestions = examSimulator.questions.length > 0;
+        startExamButton.disabled = !hasQuestions;
+        editBankButton.disabled = !hasQuestions;
+        exportExamButton.disabled = !hasQuestions;
+        updateReviewStatus();
+        updateBuilder();
+        fileInfo.textContent = `Loaded: ${examSimulator.examName || 'Question bank'} (${examSimulator.questions.length} questions)`;
+    });
+    
+    // Progress dashboard
+    const historyDashboard = new HistoryDashboard({
+        content: document.getElementById('history-content'),
+        bankSelect: document.getElementById('history-bank'),
+        passMarkInput: document.getElementById('history-pass-mark')
+    });
+    let historyReturnSection = uploadSection;
+    
+    /**
+     * Show the progress dashboard in place of a section
+     * @param {HTMLElement} fromSection - The section to return to
+     */
+    async function showHistory(fromSection) {
         try {
-            // Load the exam
-            await examSimulator.loadExam(file);
-            
-            // Hide loading indicator
-            loadingIndicator.classList.add('hidden');
-            
-            // Start the exam
-            const examData = examSimulator.startExam(selectedMode, duration);
-            
-            // Update UI
-            updateQuestionDisplay(examData);
+            await historyDashboard.open(examSimulator.examName);
+        } catch (error) {
+            console.error('Error loading attempt history:', error);
+            alert(`Error loading attempt history: ${error.message}`);
+            return;
+        }
+        
+        historyReturnSection = fromSection;
+        fromSection.classList.add('hidden');
+        historyContainer.classList.remove('hidden');
+    }
+    
+    // View progress button click handlers
+    document.getElementById('view-history').addEventListener('click', () => showHistory(uploadSection));
+    document.getElementById('results-history').addEventListener('click', () => showHistory(resultsContainer));
+    
+    // Clear history button click handler
+    historyClearButton.addEventListener('click', async () => {
+        if (!confirm('Delete all recorded attempts?')) {
+            return;
+        }
+        
+        try {
+            await historyDashboard.clear();
+        } catch (error) {
+            console.error('Error clearing attempt history:', error);
+            alert(`Error clearing attempt history: ${error.message}`);
+        }
+    });
+    
+    // History done button click handler
+    historyDoneButton.addEventListener('click', () => {
+        historyContainer.classList.add('hidden');
+        historyReturnSection.classList.remove('hidden');
+    });
+    
+    // Load saved bank button click handler
+    loadBankButton.addEventListener('click', async () => {
+        const name = savedBankSelect.value;
+        if (!name) {
+            return;
+        }
+        
+        try {
+            const bank = await ExamStorage.loadBank(name);
+            const result = examSimulator.loadBank(bank);
+            updateScoringInputs();
             
-            // Show exam container
-            document.querySelector('.file-upload-section').classList.add('hidden');
-            examContainer.classList.remove('hidden');
+            // The saved bank replaces any selected file
+            fileInput.value = '';
+            fileInfo.textContent = `Loaded saved bank: ${name} (${result.questionCount} questions)`;
+            parseReportContainer.classList.add('hidden');
+            mergeReportContainer.classList.add('hidden');
+            convertToPdfButton.disabled = true;
+            startExamButton.disabled = false;
+            editBankButton.disabled = false;
+            exportExamButton.disabled = false;
+            updateReviewStatus();
+            updateBuilder();
+        } catch (error) {
+            console.error('Error loading question bank:', error);
+            alert(`Error loading question bank: ${error.message}`);
+        }
+    });
+    
+    // Delete saved bank button click handler
+    deleteBankButton.addEventListener('click', async () => {
+        const name = savedBankSelect.value;
+        if (!name || !confirm(`Delete the saved question bank "${name}"?`)) {
+            return;
+        }
+        
+        try {
+            await ExamStorage.deleteBank(name);
+            refreshSavedBanks();
+        } catch (error) {
+            console.error('Error deleting question bank:', error);
+            alert(`Error deleting question bank: ${error.message}`);
+        }
+    });
+    
+    refreshSavedBanks();
+    
+    // Offer to resume an exam that was interrupted by a reload or closed tab
+    let savedSession = null;
+    
+    ExamStorage.loadSession().then(snapshot => {
+        if (!snapshot || !Array.isArray(snapshot.questions) || snapshot.questions.length === 0) {
+            return;
+        }
+        
+        savedSession = snapshot;
+        
+        const answered = snapshot.questions.filter(q => QuestionTypes.isAnswered(q)).length;
+        const modeLabel = snapshot.mode === 'exam' ? 'Exam Mode' : 'Study Mode';
+        resumeSessionInfo.textContent = `${snapshot.examName || 'Unnamed exam'} (${modeLabel}): ` +
+            `${answered} of ${snapshot.questions.length} questions answered, last saved ${new Date(snapshot.savedAt).toLocaleString()}.`;
+        resumeSessionContainer.classList.remove('hidden');
+    }).catch(error => {
+        console.warn('Could not check for a saved session:', error);
+    });
+    
+    // Resume session button click handler
+    resumeSessionButton.addEventListener('click', () => {
+        resumeSessionContainer.classList.add('hidden');
+        
+        try {
+            examSimulator.restoreSession(savedSession);
+            savedSession = null;
             
-            // Start timer updates if in exam mode
-            if (selectedMode === 'exam') {
-                updateTimer();
+            // Time may have run out while the page was closed
+            if (examSimulator.mode === 'exam' && examSimulator.timeRemaining <= 0) {
+                uploadSection.classList.add('hidden');
+                examSimulator.endExam({ timeUp: true });
+                return;
             }
+            
+            showExam();
         } catch (error) {
-            loadingIndicator.classList.add('hidden');
-            console.error('Error loading exam:', error);
-            alert(`Error: ${error.message}\n\nPlease try a different file or format.`);
+            console.error('Error resuming session:', error);
+            alert(`Error resuming session: ${error.message}`);
         }
     });
     
+    // Discard saved session button click handler
+    discardSessionButton.addEventListener('click', () => {
+        resumeSessionContainer.classList.add('hidden');
+        savedSession = null;
+        ExamStorage.clearSession().catch(error => {
+            console.warn('Failed to discard saved session:', error);
+        });
+    });
+    
     // Convert to PDF button click handler
     convertToPdfButton.addEventListener('click', async () => {
         if (!fileInput.files.length) {
@@ -122,26 +463,32 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        // Show loading indicator
-        loadingIndicator.classList.remove('hidden');
-        loadingIndicator.querySelector('p').textContent = 'Converting VCE to PDF...';
+        const controller = new AbortController();
+        const template = convertTemplateSelect.value;
+        showLoading('Converting VCE to PDF...', controller);
         
         try {
             // Generate PDF from VCE
-            const pdfBlob = await VCEToPDFConverter.generatePDFFromVCE(file);
+            const pdfBlob = await VCEToPDFConverter.generatePDFFromVCE(file, {
+                onProgress: updateLoadingProgress,
+                signal: controller.signal,
+                template
+            });
             
-            // Hide loading indicator
-            loadingIndicator.classList.add('hidden');
-            loadingIndicator.querySelector('p').textContent = 'Processing exam file...';
+            hideLoading();
             
-            // Download the PDF
-            const fileName = file.name.replace(/\.[^/.]+$/, '') + '.pdf';
+            // Download the PDF; other layouts than the default are named after their template
+            const suffix = template === 'inline' ? '' : `-${template}`;
+            const fileName = file.name.replace(/\.[^/.]+$/, '') + suffix + '.pdf';
             VCEToPDFConverter.downloadPDF(pdfBlob, fileName);
             
             alert('PDF conversion complete! Your download should begin automatically.');
         } catch (error) {
-            loadingIndicator.classList.add('hidden');
-            loadingIndicator.querySelector('p').textContent = 'Processing exam file...';
+            hideLoading();
+            if (error.name === 'AbortError') {
+                console.log('PDF conversion cancelled');
+                return;
+            }
             console.error('Error converting to PDF:', error);
             alert(`Error converting to PDF: ${error.message}`);
         }
@@ -149,40 +496,58 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Previous button click handler
     prevButton.addEventListener('click', () => {
-        const prevQuestion = examSimulator.previousQuestion();
-        if (prevQuestion) {
-            updateQuestionDisplay(prevQuestion);
-        }
+        examSimulator.previousQuestion();
     });
     
     // Next button click handler
     nextButton.addEventListener('click', () => {
-        const nextQuestion = examSimulator.nextQuestion();
-        if (nextQuestion) {
-            updateQuestionDisplay(nextQuestion);
-        } else {
+        if (!examSimulator.nextQuestion()) {
             // If we're at the last question, show finish button
             finishButton.classList.remove('hidden');
         }
     });
     
+    // Flag button click handler
+    flagButton.addEventListener('click', () => {
+        const flagged = examSimulator.toggleFlag();
+        updateFlagButton(flagged);
+        updateNavigator();
+        announce(flagged ? 'Flagged for review' : 'Flag removed');
+    });
+    
     // Finish button click handler
     finishButton.addEventListener('click', () => {
-        if (confirm('Are you sure you want to finish the exam?')) {
-            endExam();
+        // Review mode after completion goes straight back to the results, which were already recorded
+        if (examSimulator.isExamCompleted()) {
+            examContainer.classList.add('hidden');
+            resultsContainer.classList.remove('hidden');
+            resultsHeading.focus();
+            return;
         }
+        
+        showSummary();
+    });
+    
+    // Return to exam button click handler
+    returnToExamButton.addEventListener('click', () => {
+        summaryContainer.classList.add('hidden');
+        examContainer.classList.remove('hidden');
+        questionTextElement.focus();
+    });
+    
+    // Submit exam button click handler
+    submitExamButton.addEventListener('click', () => {
+        examSimulator.endExam();
     });
     
     // Review exam button click handler
     reviewExamButton.addEventListener('click', () => {
-        const reviewData = examSimulator.switchToReviewMode();
-        
-        // Update UI for review mode
-        updateQuestionDisplay(reviewData);
+        examSimulator.switchToReviewMode();
         
         // Show exam container, hide results
         resultsContainer.classList.add('hidden');
         examContainer.classList.remove('hidden');
+        questionTextElement.focus();
     });
     
     // New exam button click handler
@@ -193,19 +558,26 @@ document.addEventListener('DOMContentLoaded', () => {
         // Reset UI
         fileInput.value = '';
         fileInfo.textContent = 'No file selected';
+        startExamButton.disabled = true;
+        convertToPdfButton.disabled = true;
+        editBankButton.disabled = true;
+        exportExamButton.disabled = true;
+        reviewStatusElement.classList.add('hidden');
+        parseReportContainer.classList.add('hidden');
+        mergeReportContainer.classList.add('hidden');
+        updateBuilder();
         
         // Show file upload section
-        document.querySelector('.file-upload-section').classList.remove('hidden');
+        uploadSection.classList.remove('hidden');
         examContainer.classList.add('hidden');
+        summaryContainer.classList.add('hidden');
         resultsContainer.classList.add('hidden');
         finishButton.classList.add('hidden');
     });
     
     // Download PDF button click handler
     downloadPdfButton.addEventListener('click', async () => {
-        // Show loading indicator
-        loadingIndicator.classList.remove('hidden');
-        loadingIndicator.querySelector('p').textContent = 'Generating PDF...';
+        showLoading('Generating PDF...');
         
         try {
             // Get exam results
@@ -216,24 +588,153 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error('No questions available to generate PDF');
             }
             
-            // Generate PDF from results
-            const examTitle = `Exam Results - Score: ${results.score}/${results.totalQuestions} (${results.percentage}%)`;
-            const pdfBlob = VCEToPDFConverter.convertToPDF(results.questions, examTitle);
+            // Generate PDF from results; a worksheet is a blank copy of the questions in the order they were asked
+            const template = resultsTemplateSelect.value;
+            const examTitle = template === 'worksheet'
+                ? `${examSimulator.examName || 'Exam'} - Practice Questions`
+                : `Exam Results - Score: ${results.score}/${results.totalQuestions} (${results.percentage}%)`;
+            const attempt = results.attempt;
+            const subtitle = attempt && (attempt.shuffleQuestions || attempt.shuffleOptions)
+                ? `Shuffled attempt, seed ${attempt.seed}`
+                : '';
+            const pdfBlob = VCEToPDFConverter.convertToPDF(results.questions, examTitle, {
+                template,
+                subtitle,
+                topics: results.topics,
+                scoring: results,
+                timing: results.timing
+            });
             
-            // Hide loading indicator
-            loadingIndicator.classList.add('hidden');
-            loadingIndicator.querySelector('p').textContent = 'Processing exam file...';
+            hideLoading();
             
             // Download the PDF
-            VCEToPDFConverter.downloadPDF(pdfBlob, 'exam_results.pdf');
+            const fileNames = {
+                inline: 'exam_results.pdf',
+                report: 'exam_report.pdf',
+                worksheet: 'exam_worksheet.pdf',
+                'answer-key': 'exam_answer_key.pdf'
+            };
+            VCEToPDFConverter.downloadPDF(pdfBlob, fileNames[template]);
         } catch (error) {
-            loadingIndicator.classList.add('hidden');
-            loadingIndicator.querySelector('p').textContent = 'Processing exam file...';
+            hideLoading();
             console.error('Error generating PDF:', error);
             alert(`Error generating PDF: ${error.message}`);
         }
     });
     
+    // Exhibit viewer
+    const EXHIBIT_ZOOM_STEPS = [0.5, 0.75, 1, 1.5, 2, 3, 4];
+    let exhibitZoomIndex = EXHIBIT_ZOOM_STEPS.indexOf(1);
+    let currentExhibit = null;
+    let exhibitReturnFocus = null;
+    
+    exhibitZoomOutButton.addEventListener('click', () => {
+        exhibitZoomIndex = Math.max(exhibitZoomIndex - 1, 0);
+        applyExhibitZoom();
+    });
+    
+    exhibitZoomInButton.addEventListener('click', () => {
+        exhibitZoomIndex = Math.min(exhibitZoomIndex + 1, EXHIBIT_ZOOM_STEPS.length - 1);
+        applyExhibitZoom();
+    });
+    
+    exhibitCloseButton.addEventListener('click', closeExhibit);
+    exhibitViewerImage.addEventListener('load', applyExhibitZoom);
+    
+    // Clicking the backdrop closes the viewer
+    exhibitViewer.querySelector('.exhibit-viewer-body').addEventListener('click', event => {
+        if (event.target !== exhibitViewerImage) {
+            closeExhibit();
+        }
+    });
+    
+    document.addEventListener('keydown', event => {
+        if (exhibitViewer.classList.contains('hidden')) {
+            return;
+        }
+        if (event.key === 'Escape') {
+            closeExhibit();
+        } else if (event.key === '+' || event.key === '=') {
+            exhibitZoomInButton.click();
+        } else if (event.key === '-') {
+            exhibitZoomOutButton.click();
+        }
+    });
+    
+    // Keyboard operation of the exam view
+    optionsContainer.addEventListener('keydown', event => {
+        const options = [...optionsContainer.querySelectorAll('.option')];
+        const index = options.indexOf(event.target);
+        if (index < 0) {
+            return;
+        }
+        
+        // In a radio group Left and Right move between the radios as well
+        const isRadioGroup = optionsContainer.getAttribute('role') === 'radiogroup';
+        const nextKeys = isRadioGroup ? ['ArrowDown', 'ArrowRight'] : ['ArrowDown'];
+        const previousKeys = isRadioGroup ? ['ArrowUp', 'ArrowLeft'] : ['ArrowUp'];
+        
+        if (nextKeys.includes(event.key) || previousKeys.includes(event.key)) {
+            event.preventDefault();
+            const step = nextKeys.includes(event.key) ? 1 : -1;
+            focusOption(options[(index + step + options.length) % options.length]);
+        } else if (event.key === ' ' || event.key === 'Enter') {
+            event.preventDefault();
+            event.target.click();
+        }
+    });
+    
+    document.addEventListener('keydown', event => {
+        const target = event.target;
+        const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (event.defaultPrevented || isTyping || !exhibitViewer.classList.contains('hidden')) {
+            return;
+        }
+        
+        const key = event.key;
+        const isFinishKey = key === 'Enter' && (event.ctrlKey || event.metaKey);
+        let handled = true;
+        
+        if (!examContainer.classList.contains('hidden')) {
+            const optionIndex = /^[1-6]$/.test(key) ? Number(key) - 1 : 'abcdef'.indexOf(key.toLowerCase());
+            // Left and Right belong to the options while one of them has focus
+            const isInOptions = optionsContainer.contains(document.activeElement);
+            
+            if (isFinishKey) {
+                finishButton.click();
+            } else if (event.ctrlKey || event.metaKey || event.altKey) {
+                handled = false;
+            } else if (key === 'ArrowLeft' && !isInOptions && !prevButton.disabled) {
+                prevButton.click();
+            } else if (key === 'ArrowRight' && !isInOptions && !nextButton.disabled) {
+                nextButton.click();
+            } else if (key === 'm' || key === 'M') {
+                flagButton.click();
+            } else if (key.length === 1 && optionIndex >= 0 && optionIndex < optionsContainer.querySelectorAll('.option').length) {
+                optionsContainer.querySelectorAll('.option')[optionIndex].click();
+            } else {
+                handled = false;
+            }
+        } else if (!summaryContainer.classList.contains('hidden')) {
+            if (isFinishKey) {
+                submitExamButton.click();
+            } else if (key === 'Escape') {
+                returnToExamButton.click();
+            } else {
+                handled = false;
+            }
+        } else if (!resultsContainer.classList.contains('hidden') && (key === 'r' || key === 'R') &&
+            !event.ctrlKey && !event.metaKey && !event.altKey) {
+            reviewExamButton.click();
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+        }
+    });
+    
     // Start screen button handler
     document.getElementById('startGameButton')?.addEventListener('click', () => {
         document.getElementById('startScreen')?.classList.add('hidden');
@@ -261,153 +762,1381 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     /**
-     * Update the question display
-     * @param {Object} questionData - The question data
+     * Parse the selected files and show the parse report, or the merge report for several files
+     * @param {Array<File>} files - The selected exam files
      */
-    function updateQuestionDisplay(questionData) {
-        const { questionIndex, totalQuestions, question, userAnswer } = questionData;
-        
-        // Update question number
-        currentQuestionElement.textContent = questionIndex + 1;
-        totalQuestionsElement.textContent = totalQuestions;
-        
-        // Update question text
-        questionTextElement.textContent = question.text;
-        
-        // Clear options container
-        optionsContainer.innerHTML = '';
+    async function loadSelectedFiles(files) {
+        // Selecting other files cancels the load still running
+        if (loadingController) {
+            loadingController.abort();
+        }
+        const controller = new AbortController();
+        showLoading(files.length === 1 ? 'Processing exam file...' : 'Processing exam files...', controller);
+        const options = {
+            onProgress: updateLoadingProgress,
+            signal: controller.signal
+        };
         
-        // Add options
-        question.options.forEach((option, index) => {
-            const optionElement = document.createElement('div');
-            optionElement.className = 'option';
-            optionElement.textContent = option;
-            
-            // If this option was previously selected
-            if (userAnswer === index) {
-                optionElement.classList.add('selected');
-                
-                // In study mode, show if it was correct or incorrect
-                if (examSimulator.mode === 'study') {
-                    if (index === question.correctAnswer) {
-                        optionElement.classList.add('correct');
-                    } else {
-                        optionElement.classList.add('incorrect');
-                    }
-                }
+        try {
+            // Load the exam; several files are merged into one bank
+            if (files.length === 1) {
+                const result = await examSimulator.loadExam(files[0], options);
+                hideLoading();
+                renderParseReport(result.report);
+            } else {
+                const result = await examSimulator.loadExams(files, options);
+                hideLoading();
+                renderMergeReport(result);
             }
             
-            // Add click handler
-            optionElement.addEventListener('click', () => {
-                // If already answered in study mode, don't allow changing
-                if (examSimulator.mode === 'study' && userAnswer !== null) {
-                    return;
-                }
-                
-                // Remove selected class from all options
-                document.querySelectorAll('.option').forEach(opt => {
-                    opt.classList.remove('selected');
-                });
-                
-                // Add selected class to this option
-                optionElement.classList.add('selected');
-                
-                // Answer the question
-                const result = examSimulator.answerQuestion(index);
-                
-                // In study mode, show feedback
-                if (examSimulator.mode === 'study') {
-                    showFeedback(result, index);
+            updateScoringInputs();
+            startExamButton.disabled = false;
+            editBankButton.disabled = false;
+            exportExamButton.disabled = false;
+            updateReviewStatus();
+            updateBuilder();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // The cancelled load's indicator belongs to a newer load if one was started
+                if (loadingController === controller) {
+                    hideLoading();
                 }
-            });
+                console.log('Loading cancelled:', files.map(file => file.name).join(', '));
+                return;
+            }
+            hideLoading();
+            console.error('Error loading exam:', error);
             
-            optionsContainer.appendChild(optionElement);
-        });
-        
-        // Show explanation if in study mode and question was answered
-        explanationContainer.classList.add('hidden');
-        if (examSimulator.mode === 'study' && userAnswer !== null) {
-            showFeedback({
-                isCorrect: userAnswer === question.correctAnswer,
-                correctAnswer: question.correctAnswer,
-                explanation: question.explanation
-            }, userAnswer);
+            if (error.report) {
+                renderParseReport(error.report);
+            }
+            alert(`Error: ${error.message}\n\nPlease try a different file or format.`);
         }
+    }
+    
+    /**
+     * Show the loading indicator
+     * @param {string} message - What is being done
+     * @param {AbortController} [controller] - Controller to abort when "Cancel" is clicked (no cancel button if omitted)
+     */
+    function showLoading(message, controller = null) {
+        loadingController = controller;
+        loadingMessage.textContent = message;
+        loadingProgress.classList.add('hidden');
+        cancelLoadingButton.classList.toggle('hidden', !controller);
+        loadingIndicator.classList.remove('hidden');
+    }
+    
+    /**
+     * Show parsing progress in the loading indicator
+     * @param {Object} progress - Progress from the parser ({ stage, message, current, total })
+     */
+    function updateLoadingProgress(progress) {
+        loadingMessage.textContent = progress.message;
         
-        // Update navigation buttons
-        prevButton.disabled = questionIndex === 0;
-        nextButton.disabled = questionIndex === totalQuestions - 1;
-        
-        // Show/hide finish button
-        if (questionIndex === totalQuestions - 1) {
-            finishButton.classList.remove('hidden');
+        if (progress.total) {
+            loadingProgress.max = progress.total;
+            loadingProgress.value = progress.current;
         } else {
-            finishButton.classList.add('hidden');
+            // Without a total the bar is indeterminate
+            loadingProgress.removeAttribute('value');
         }
+        loadingProgress.classList.remove('hidden');
     }
     
     /**
-     * Show feedback for an answer
-     * @param {Object} result - The answer result
-     * @param {number} selectedIndex - The selected option index
+     * Hide the loading indicator
      */
-    function showFeedback(result, selectedIndex) {
-        const { isCorrect, correctAnswer, explanation } = result;
-        
-        // Update option styling
-        document.querySelectorAll('.option').forEach((opt, index) => {
-            if (index === selectedIndex) {
-                opt.classList.add('selected');
-                if (isCorrect) {
-                    opt.classList.add('correct');
-                } else {
-                    opt.classList.add('incorrect');
-                }
-            } else if (index === correctAnswer) {
-                opt.classList.add('correct');
-            }
+    function hideLoading() {
+        loadingController = null;
+        loadingIndicator.classList.add('hidden');
+    }
+    
+    /**
+     * Show the scoring settings of the loaded exam
+     */
+    function updateScoringInputs() {
+        passMarkInput.value = examSimulator.scoring.passMark;
+        scaleMinInput.value = examSimulator.scoring.scaleMin;
+        scaleMaxInput.value = examSimulator.scoring.scaleMax;
+        scoringPolicySelect.value = examSimulator.scoring.policy;
+        scoringPenaltyInput.value = examSimulator.scoring.penalty;
+        scoringUnansweredSelect.value = examSimulator.scoring.unanswered;
+        updatePenaltyInput();
+    }
+    
+    /**
+     * Show the penalty input only when negative marking is chosen
+     */
+    function updatePenaltyInput() {
+        document.querySelectorAll('.scoring-penalty').forEach(element => {
+            element.classList.toggle('hidden', scoringPolicySelect.value !== 'negative');
         });
-        
-        // Show explanation
-        explanationTextElement.textContent = explanation;
-        answerResultElement.textContent = isCorrect ? 'Correct!' : 'Incorrect';
-        answerResultElement.className = isCorrect ? 'correct-result' : 'incorrect-result';
-        explanationContainer.classList.remove('hidden');
     }
     
     /**
-     * Update the timer display
+     * Show how many questions of the loaded bank are due for spaced repetition
      */
-    function updateTimer() {
-        if (!examSimulator.isExamInProgress()) {
+    async function updateReviewStatus() {
+        if (selectedMode !== 'spaced' || examSimulator.questions.length === 0) {
+            reviewStatusElement.classList.add('hidden');
             return;
         }
         
-        timerElement.textContent = examSimulator.getFormattedTime();
-        
-        // Add warning class when time is running low
-        if (examSimulator.timeRemaining <= 60) {
-            timerElement.classList.add('warning');
+        try {
+            const status = await examSimulator.getReviewStatus();
+            reviewStatusElement.textContent = `Spaced repetition: ${status.due} due, ${status.weak} weak, ` +
+                `${status.new} new and ${status.learned} learned questions.`;
+            reviewStatusElement.classList.remove('hidden');
+        } catch (error) {
+            console.warn('Failed to load study progress:', error);
+            reviewStatusElement.classList.add('hidden');
         }
+    }
+    
+    /**
+     * Refresh the list of saved question banks
+     */
+    async function refreshSavedBanks() {
+        try {
+            const banks = await ExamStorage.listBanks();
+            
+            savedBankSelect.innerHTML = '';
+            banks.forEach(bank => {
+                const option = document.createElement('option');
+                option.value = bank.name;
+                option.textContent = `${bank.name} (${bank.questions.length} questions)`;
+                savedBankSelect.appendChild(option);
+            });
+            
+            savedBanksContainer.classList.toggle('hidden', banks.length === 0);
+        } catch (error) {
+            console.warn('Could not list saved question banks:', error);
+        }
+    }
+    
+    /**
+     * Start an exam with the chosen settings
+     * @param {Object} [preset] - Mode, builder settings and shuffle options (the form's if omitted)
+     */
+    async function startSelectedExam(preset = getPresetFromForm()) {
+        if (examSimulator.questions.length === 0) {
+            alert('Please select an exam file first.');
+            return;
+        }
+        
+        const settings = ExamBuilder.normalizeSettings(preset.settings);
+        const attemptOptions = {
+            shuffleQuestions: !!preset.shuffleQuestions,
+            shuffleOptions: !!preset.shuffleOptions,
+            seed: document.getElementById('shuffle-seed').value
+        };
+        
+        try {
+            examSimulator.setScoring({
+                passMark: passMarkInput.value,
+                scaleMin: scaleMinInput.value,
+                scaleMax: scaleMaxInput.value,
+                policy: scoringPolicySelect.value,
+                penalty: scoringPenaltyInput.value,
+                unanswered: scoringUnansweredSelect.value
+            });
+            
+            // Spaced repetition is a study session built from the questions that are due or weak
+            if (preset.mode === 'spaced') {
+                await examSimulator.startSpacedRepetition(attemptOptions);
+            } else if (ExamBuilder.isCustom(settings)) {
+                await examSimulator.startCustomExam(preset.mode, settings, attemptOptions);
+            } else {
+                examSimulator.startExam(preset.mode, settings.duration || 60, attemptOptions);
+            }
+            
+            showExam();
+        } catch (error) {
+            console.error('Error starting exam:', error);
+            alert(error.message);
+        }
+    }
+    
+    /**
+     * Read the custom exam builder
+     * @returns {Object} - Builder settings, see ExamBuilder.normalizeSettings()
+     */
+    function getBuilderSettings() {
+        return ExamBuilder.normalizeSettings({
+            count: questionCountInput.value,
+            from: questionFromInput.value,
+            to: questionToInput.value,
+            topics: Array.from(topicFilterSelect.selectedOptions, option => option.value),
+            statuses: Array.from(questionStatusInputs).filter(input => input.checked).map(input => input.value),
+            secondsPerQuestion: secondsPerQuestionInput.value,
+            duration: durationInput.value
+        });
+    }
+    
+    /**
+     * Read the settings a preset keeps
+     * @returns {Object} - The preset without a name ({ mode, settings, shuffleQuestions, shuffleOptions })
+     */
+    function getPresetFromForm() {
+        return {
+            mode: selectedMode,
+            settings: getBuilderSettings(),
+            shuffleQuestions: shuffleQuestionsInput.checked,
+            shuffleOptions: shuffleOptionsInput.checked
+        };
+    }
+    
+    /**
+     * Show a preset's settings in the form
+     * @param {Object} preset - The preset
+     */
+    function applyPresetToForm(preset) {
+        const settings = ExamBuilder.normalizeSettings(preset.settings);
+        const value = number => (number === null ? '' : String(number));
+        
+        modeRadios.forEach(radio => {
+            radio.checked = radio.value === preset.mode;
+        });
+        selectedMode = preset.mode;
+        
+        questionCountInput.value = value(settings.count);
+        questionFromInput.value = value(settings.from);
+        questionToInput.value = value(settings.to);
+        secondsPerQuestionInput.value = value(settings.secondsPerQuestion);
+        if (settings.duration) {
+            durationInput.value = settings.duration;
+        }
+        Array.from(topicFilterSelect.options).forEach(option => {
+            option.selected = settings.topics.includes(option.value);
+        });
+        questionStatusInputs.forEach(input => {
+            input.checked = settings.statuses.includes(input.value);
+        });
+        shuffleQuestionsInput.checked = !!preset.shuffleQuestions;
+        shuffleOptionsInput.checked = !!preset.shuffleOptions;
+        
+        updateReviewStatus();
+        updateBuilder();
+    }
+    
+    /**
+     * Show the builder for the selected mode and the topics of the loaded bank
+     */
+    function updateBuilder() {
+        // Spaced repetition picks its own questions
+        const spaced = selectedMode === 'spaced';
+        examBuilderElement.classList.toggle('hidden', spaced);
+        savePresetButton.classList.toggle('hidden', spaced);
+        
+        const selected = new Set(Array.from(topicFilterSelect.selectedOptions, option => option.value));
+        const topics = [...new Set(examSimulator.getBankQuestions().map(question => question.topic).filter(Boolean))].sort();
+        
+        topicFilterSelect.innerHTML = '';
+        topics.forEach(topic => {
+            const option = document.createElement('option');
+            option.value = topic;
+            option.textContent = topic;
+            option.selected = selected.has(topic);
+            topicFilterSelect.appendChild(option);
+        });
+        topicFilterSelect.classList.toggle('hidden', topics.length === 0);
+        topicFilterLabel.classList.toggle('hidden', topics.length === 0);
+        
+        updateBuilderSummary();
+    }
+    
+    // Builder summaries still loading are dropped once the settings change again
+    let builderSummaryRequest = 0;
+    
+    /**
+     * Show how many questions the builder selects and how long the exam will be
+     */
+    async function updateBuilderSummary() {
+        const request = ++builderSummaryRequest;
+        const settings = getBuilderSettings();
+        
+        // A time budget sets the duration
+        durationInput.disabled = !!settings.secondsPerQuestion;
+        
+        if (examSimulator.questions.length === 0 || selectedMode === 'spaced') {
+            builderSummary.textContent = '';
+            return;
+        }
+        
+        try {
+            const { questionIndices, matching, duration } = await examSimulator.buildExam(settings);
+            if (request !== builderSummaryRequest) {
+                return;
+            }
+            
+            const total = examSimulator.getBankQuestions().length;
+            const length = selectedMode === 'exam' ? ` in ${duration} minutes` : '';
+            builderSummary.textContent = `${matching} of ${total} questions match. ` +
+                `The ${selectedMode === 'exam' ? 'exam' : 'session'} will ask ${questionIndices.length}${length}.`;
+        } catch (error) {
+            console.warn('Failed to load attempt history:', error);
+            builderSummary.textContent = '';
+        }
+    }
+    
+    /**
+     * Refresh the list of saved presets
+     */
+    async function refreshPresets() {
+        try {
+            const presets = await ExamStorage.listPresets();
+            
+            presetList.innerHTML = '';
+            presets.forEach(preset => presetList.appendChild(createPresetItem(preset)));
+            if (presets.length === 0) {
+                presetList.textContent = 'None saved';
+            }
+        } catch (error) {
+            console.warn('Could not list presets:', error);
+        }
+    }
+    
+    /**
+     * Create the buttons of a saved preset: one starts it, the other deletes it
+     * @param {Object} preset - The preset
+     * @returns {HTMLElement} - The preset element
+     */
+    function createPresetItem(preset) {
+        const item = document.createElement('span');
+        item.className = 'preset';
+        
+        const startButton = document.createElement('button');
+        startButton.className = 'secondary-button';
+        startButton.textContent = preset.name;
+        startButton.title = `${preset.mode === 'exam' ? 'Exam mode' : 'Study mode'}: ` +
+            ExamBuilder.describe(ExamBuilder.normalizeSettings(preset.settings));
+        startButton.addEventListener('click', () => {
+            applyPresetToForm(preset);
+            startSelectedExam(preset);
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'secondary-button delete-preset';
+        deleteButton.textContent = '\u00d7';
+        deleteButton.setAttribute('aria-label', `Delete preset ${preset.name}`);
+        deleteButton.addEventListener('click', async () => {
+            if (!confirm(`Delete the preset "${preset.name}"?`)) {
+                return;
+            }
+            
+            try {
+                await ExamStorage.deletePreset(preset.name);
+                refreshPresets();
+            } catch (error) {
+                console.error('Error deleting preset:', error);
+                alert(`Error deleting preset: ${error.message}`);
+            }
+        });
+        
+        item.appendChild(startButton);
+        item.appendChild(deleteButton);
+        return item;
+    }
+    
+    /**
+     * Show how the file was parsed: strategy, confidence, warnings and skipped text
+     * @param {Object} report - The parse report
+     */
+    function renderParseReport(report) {
+        const maxItems = 50;
+        const confidence = `${Math.round(report.confidence * 100)}% (${ParseReport.getConfidenceLevel(report)})`;
+        
+        const details = [`Strategy: ${report.strategy || 'none'}`, `Questions: ${report.questionCount}`];
+        if (report.pageCount) {
+            details.push(`Pages: ${report.pageCount}`);
+        }
+        if (report.duration !== null && report.duration !== undefined) {
+            details.push(`Parsed in ${(report.duration / 1000).toFixed(1)} s`);
+        }
+        details.push(`Confidence: ${confidence}`);
+        parseReportSummary.textContent = details.join(' | ');
+        parseReportSummary.className = `parse-report-summary confidence-${ParseReport.getConfidenceLevel(report)}`;
+        
+        renderReportList(parseReportWarnings, 'Warnings', report.warnings.map(warning =>
+            (warning.questionIndex === null ? warning.message : `Question ${warning.questionIndex + 1}: ${warning.message}`)
+        ), maxItems);
+        
+        renderReportList(parseReportBlocks, 'Unparsed text', report.unparsedBlocks.map(block => {
+            const excerpt = block.text.length > 150 ? `${block.text.substring(0, 150)}...` : block.text;
+            return block.page ? `Page ${block.page}: ${excerpt}` : excerpt;
+        }), maxItems);
+        
+        parseReportContainer.classList.remove('hidden');
+    }
+    
+    /**
+     * Show how several files were merged: each file's parse result, and the duplicate groups to review
+     * @param {Object} result - Result of ExamSimulator.loadExams()
+     */
+    function renderMergeReport(result) {
+        mergeFilesList.innerHTML = '';
+        result.reports.forEach(report => {
+            const item = document.createElement('li');
+            const warnings = report.warnings.length > 0 ? `, ${report.warnings.length} warnings` : '';
+            item.textContent = `${report.fileName}: ${report.questionCount} questions, confidence ` +
+                `${Math.round(report.confidence * 100)}% (${ParseReport.getConfidenceLevel(report)})${warnings}`;
+            mergeFilesList.appendChild(item);
+        });
+        
+        // Near duplicates can be kept apart; exact duplicates are listed only when their answers disagree
+        mergeGroupsElement.innerHTML = '';
+        const groups = result.merge.groups.filter(group => group.kind === 'similar' || group.conflict);
+        if (groups.length > 0) {
+            const heading = document.createElement('h4');
+            heading.textContent = `Duplicates to review (${groups.length})`;
+            mergeGroupsElement.appendChild(heading);
+        }
+        groups.forEach(group => mergeGroupsElement.appendChild(createMergeGroup(group)));
+        
+        updateMergeSummary(result.merge);
+        mergeReportContainer.classList.remove('hidden');
+    }
+    
+    /**
+     * Create the entry of a duplicate group in the merge report
+     * @param {Object} group - Group from BankMerger.findDuplicates()
+     * @returns {HTMLElement} - The entry
+     */
+    function createMergeGroup(group) {
+        const element = document.createElement('div');
+        element.className = group.conflict ? 'merge-group conflict' : 'merge-group';
+        
+        const title = document.createElement('div');
+        title.className = 'merge-group-title';
+        if (group.kind === 'similar') {
+            // Unchecking keeps the reworded copies as separate questions
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.dataset.groupId = group.id;
+            checkbox.addEventListener('change', applyMergeChoices);
+            label.appendChild(checkbox);
+            label.append(' Merge near duplicates');
+            title.appendChild(label);
+        } else {
+            title.textContent = 'Exact duplicates';
+        }
+        if (group.conflict) {
+            const conflict = document.createElement('span');
+            conflict.className = 'conflict-label';
+            conflict.textContent = 'Answers disagree';
+            title.appendChild(conflict);
+        }
+        element.appendChild(title);
+        
+        const list = document.createElement('ul');
+        group.copies.forEach(copy => {
+            const item = document.createElement('li');
+            const text = (copy.question.text || '').replace(/\s+/g, ' ').trim();
+            const excerpt = text.length > 120 ? `${text.substring(0, 120)}...` : text;
+            const answer = QuestionTypes.formatAnswer(copy.question, copy.question.correctAnswer) || 'none';
+            item.textContent = `${copy.source} #${copy.number}: ${excerpt} (answer ${answer})`;
+            list.appendChild(item);
+        });
+        element.appendChild(list);
+        
+        return element;
+    }
+    
+    /**
+     * Rebuild the merged bank from the near-duplicate checkboxes of the merge report
+     */
+    function applyMergeChoices() {
+        const separate = Array.from(mergeGroupsElement.querySelectorAll('input[type="checkbox"]'))
+            .filter(checkbox => !checkbox.checked)
+            .map(checkbox => Number(checkbox.dataset.groupId));
+        
+        updateMergeSummary(examSimulator.applyMerge(separate));
+        updateReviewStatus();
+        updateBuilder();
+    }
+    
+    /**
+     * Show the counts of the merge report
+     * @param {Object} summary - Counts from BankMerger ({ duplicates, similar, conflicts })
+     */
+    function updateMergeSummary(summary) {
+        const details = [
+            `Questions: ${examSimulator.questions.length}`,
+            `Duplicates merged: ${summary.duplicates}`,
+            `Near-duplicate groups: ${summary.similar}`,
+            `Conflicting answers: ${summary.conflicts}`
+        ];
+        mergeSummary.textContent = details.join(' | ');
+        mergeSummary.className = summary.conflicts > 0
+            ? 'parse-report-summary confidence-medium'
+            : 'parse-report-summary confidence-high';
+    }
+    
+    /**
+     * Render a titled list in the parse report, truncated to a maximum length
+     * @param {HTMLElement} container - The list container
+     * @param {string} title - The list heading
+     * @param {Array<string>} items - The list entries
+     * @param {number} maxItems - Maximum number of entries to show
+     */
+    function renderReportList(container, title, items, maxItems) {
+        container.innerHTML = '';
+        
+        if (items.length === 0) {
+            return;
+        }
+        
+        const heading = document.createElement('h4');
+        heading.textContent = `${title} (${items.length})`;
+        container.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        items.slice(0, maxItems).forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.textContent = item;
+            list.appendChild(listItem);
+        });
+        
+        if (items.length > maxItems) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${items.length - maxItems} more`;
+            list.appendChild(more);
+        }
+        
+        container.appendChild(list);
+    }
+    
+    /**
+     * Show the exam view for a started or resumed exam; the question itself is
+     * already displayed by the questionChanged event
+     */
+    function showExam() {
+        updatePace();
+        resumeSessionContainer.classList.add('hidden');
+        uploadSection.classList.add('hidden');
+        examContainer.classList.remove('hidden');
+        questionTextElement.focus();
+    }
+    
+    /**
+     * Update the question display
+     * @param {Object} questionData - The question data
+     */
+    function updateQuestionDisplay(questionData) {
+        const { questionIndex, totalQuestions, question, userAnswer } = questionData;
+        
+        // Update question number
+        currentQuestionElement.textContent = questionIndex + 1;
+        totalQuestionsElement.textContent = totalQuestions;
+        
+        // With shuffled or selected questions, show where the question is in the file
+        const attempt = examSimulator.attempt;
+        if (attempt && (attempt.shuffleQuestions || attempt.questionIndices) && Number.isInteger(question.originalIndex)) {
+            originalQuestionElement.textContent = `(question ${question.originalIndex + 1} in the file)`;
+            originalQuestionElement.classList.remove('hidden');
+        } else {
+            originalQuestionElement.classList.add('hidden');
+        }
+        
+        // Reviewing a finished exam shows where the time went
+        if (examSimulator.isExamCompleted()) {
+            const visits = question.visits || 0;
+            questionTimeElement.textContent = `- ${Timing.formatDuration(Timing.getTimeSpent(question))} spent` +
+                (visits > 1 ? ` over ${visits} visits` : '');
+            questionTimeElement.classList.remove('hidden');
+        } else {
+            questionTimeElement.classList.add('hidden');
+        }
+        
+        // Update question text and exhibits
+        questionTextElement.textContent = question.text;
+        renderExhibits(question.exhibits);
+        
+        // Keep keyboard focus in the answer controls when they are replaced
+        const optionsHadFocus = optionsContainer.contains(document.activeElement);
+        optionsContainer.innerHTML = '';
+        
+        // Choice questions are answered by clicking options; the other types have their own controls
+        if (QuestionTypes.isChoice(question)) {
+            renderChoiceOptions(question, userAnswer);
+        } else {
+            renderAnswerControls(question, userAnswer);
+        }
+        
+        if (optionsHadFocus) {
+            focusOption(optionsContainer.querySelector(
+                '.option[tabindex="0"], input:not(:disabled), select:not(:disabled), button:not(:disabled)'));
+        } else {
+            announce(`Question ${questionIndex + 1} of ${totalQuestions}${question.flagged ? ', flagged' : ''}`);
+        }
+        
+        // Show explanation if in study mode and question was answered
+        explanationContainer.classList.add('hidden');
+        if (examSimulator.mode === 'study' && QuestionTypes.isAnswered(question, userAnswer)) {
+            showFeedback({
+                isCorrect: QuestionTypes.isCorrect(question, userAnswer),
+                correctAnswer: question.correctAnswer,
+                explanation: question.explanation
+            }, question, userAnswer);
+        }
+        
+        updateFlagButton(!!question.flagged);
+        updateNavigator();
+        
+        // Update navigation buttons
+        prevButton.disabled = questionIndex === 0;
+        nextButton.disabled = questionIndex === totalQuestions - 1;
+        
+        // Show/hide finish button
+        if (questionIndex === totalQuestions - 1) {
+            finishButton.classList.remove('hidden');
+        } else {
+            finishButton.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the options of a choice question
+     * @param {Object} question - The question object
+     * @param {Array<number>|null} userAnswer - The chosen option indices
+     */
+    function renderChoiceOptions(question, userAnswer) {
+        // Multiple-response questions use checkbox-style selection
+        const requiredCount = QuestionUtils.getRequiredCount(question);
+        const isMultiple = requiredCount > 1;
+        const selectedAnswers = userAnswer ? [...userAnswer] : [];
+        
+        if (isMultiple) {
+            answerHintElement.textContent = `Choose ${requiredCount} answers.`;
+            answerHintElement.classList.remove('hidden');
+        } else {
+            answerHintElement.classList.add('hidden');
+        }
+        
+        // Options are a radio group, or a group of checkboxes for multiple-response questions
+        optionsContainer.setAttribute('role', isMultiple ? 'group' : 'radiogroup');
+        if (isMultiple) {
+            optionsContainer.setAttribute('aria-describedby', 'answer-hint');
+        } else {
+            optionsContainer.removeAttribute('aria-describedby');
+        }
+        
+        // Once answered in study mode, or once the exam has ended, the answer can't be changed
+        const isLocked = () => examSimulator.isExamCompleted() ||
+            (examSimulator.mode === 'study' && selectedAnswers.length >= requiredCount);
+        
+        // Add options
+        question.options.forEach((option, index) => {
+            const optionElement = document.createElement('div');
+            optionElement.className = isMultiple ? 'option option-multiple' : 'option';
+            optionElement.setAttribute('role', isMultiple ? 'checkbox' : 'radio');
+            
+            const letterElement = document.createElement('span');
+            letterElement.className = 'option-letter';
+            letterElement.textContent = `${QuestionUtils.indexToLetter(index)}.`;
+            optionElement.appendChild(letterElement);
+            optionElement.appendChild(document.createTextNode(option));
+            
+            // Add click handler
+            optionElement.addEventListener('click', () => {
+                if (isLocked()) {
+                    return;
+                }
+                
+                if (isMultiple) {
+                    // Toggle this option, never selecting more than required
+                    const position = selectedAnswers.indexOf(index);
+                    if (position >= 0) {
+                        selectedAnswers.splice(position, 1);
+                    } else if (selectedAnswers.length < requiredCount) {
+                        selectedAnswers.push(index);
+                    } else {
+                        return;
+                    }
+                } else {
+                    selectedAnswers.splice(0, selectedAnswers.length, index);
+                }
+                
+                // Answer the question
+                const result = examSimulator.answerQuestion(selectedAnswers);
+                updateOptionStates(selectedAnswers, isLocked());
+                
+                // In study mode, show feedback once all answers are chosen
+                if (isLocked()) {
+                    showFeedback(result, question, selectedAnswers);
+                    announce(result.isCorrect
+                        ? 'Correct.'
+                        : `Incorrect. The correct answer is ${QuestionTypes.formatAnswer(question, result.correctAnswer)}.`);
+                }
+            });
+            
+            optionsContainer.appendChild(optionElement);
+        });
+        updateOptionStates(selectedAnswers, isLocked());
+    }
+    
+    /**
+     * Show the answer controls of a fill-in, ordering or matching question
+     *
+     * In exam mode every change is saved. In study mode the answer is given with "Check answer"
+     * and then locked, like a chosen option. Reviewing an ended exam locks every answer.
+     * @param {Object} question - The question object
+     * @param {Array|null} userAnswer - The answer given so far
+     */
+    function renderAnswerControls(question, userAnswer) {
+        const type = QuestionTypes.getType(question);
+        const isStudy = examSimulator.mode === 'study';
+        const locked = examSimulator.isExamCompleted() || (isStudy && QuestionTypes.isAnswered(question, userAnswer));
+        const hints = {
+            fillin: 'Type your answer.',
+            ordering: 'Put the items in the right order: drag them, or use the Up and Down buttons.',
+            matching: 'Choose the matching option for each item.'
+        };
         
-        // Schedule next update
-        setTimeout(updateTimer, 1000);
+        answerHintElement.textContent = hints[type];
+        answerHintElement.classList.remove('hidden');
+        optionsContainer.setAttribute('role', 'group');
+        optionsContainer.setAttribute('aria-describedby', 'answer-hint');
+        
+        const save = answer => {
+            if (!isStudy) {
+                examSimulator.answerQuestion(answer);
+            }
+        };
+        const commit = () => {
+            const answer = getAnswer();
+            if (!QuestionTypes.isAnswered(question, answer)) {
+                announce(type === 'fillin' ? 'Type an answer first.' : 'Match every item first.');
+                return;
+            }
+            
+            const result = examSimulator.answerQuestion(answer);
+            if (!isStudy) {
+                announce('Answer saved.');
+                return;
+            }
+            
+            // Show the locked answer with its feedback
+            updateQuestionDisplay(examSimulator.getCurrentQuestion());
+            if (!optionsContainer.contains(document.activeElement)) {
+                questionTextElement.focus();
+            }
+            announce(result.isCorrect
+                ? 'Correct.'
+                : `Incorrect. The answer is ${QuestionTypes.describeAnswer(question, result.correctAnswer)}.`);
+        };
+        
+        let getAnswer;
+        if (type === 'fillin') {
+            getAnswer = renderFillIn(question, userAnswer, locked, save, commit);
+        } else if (type === 'ordering') {
+            getAnswer = renderOrdering(question, userAnswer, locked, save);
+        } else {
+            getAnswer = renderMatching(question, userAnswer, locked, save);
+        }
+        
+        if (!locked) {
+            const commitButton = document.createElement('button');
+            commitButton.type = 'button';
+            commitButton.className = 'nav-button answer-commit';
+            commitButton.textContent = isStudy ? 'Check answer' : 'Save answer';
+            commitButton.addEventListener('click', commit);
+            optionsContainer.appendChild(commitButton);
+        }
     }
     
     /**
-     * End the exam and show results
+     * Show the text box of a fill-in question
+     * @param {Object} question - The question object
+     * @param {Array<string>|null} userAnswer - The answer given so far
+     * @param {boolean} locked - Whether the answer can no longer be changed
+     * @param {Function} save - Saves a changed answer
+     * @param {Function} commit - Gives the answer (on Enter)
+     * @returns {Function} - Returns the answer in the box
      */
-    function endExam() {
-        const results = examSimulator.endExam();
+    function renderFillIn(question, userAnswer, locked, save, commit) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'fill-in-answer';
+        input.autocomplete = 'off';
+        input.value = userAnswer ? userAnswer[0] : '';
+        input.disabled = locked;
+        input.setAttribute('aria-label', 'Your answer');
+        
+        input.addEventListener('change', () => save([input.value]));
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                commit();
+            }
+        });
+        
+        optionsContainer.appendChild(input);
+        return () => [input.value];
+    }
+    
+    /**
+     * Show the items of an ordering question as a list that can be rearranged
+     * @param {Object} question - The question object
+     * @param {Array<number>|null} userAnswer - The order given so far
+     * @param {boolean} locked - Whether the answer can no longer be changed
+     * @param {Function} save - Saves a changed answer
+     * @returns {Function} - Returns the order shown
+     */
+    function renderOrdering(question, userAnswer, locked, save) {
+        // Items start in a fixed order that is not the answer until the candidate moves them
+        const order = userAnswer && userAnswer.length === question.options.length
+            ? [...userAnswer]
+            : QuestionTypes.getStartOrder(question);
+        const list = document.createElement('ol');
+        list.className = 'ordering-list';
+        let draggedPosition = null;
+        
+        const move = (from, to, focusDirection) => {
+            if (from === to || to < 0 || to >= order.length) {
+                return;
+            }
+            const [optionIndex] = order.splice(from, 1);
+            order.splice(to, 0, optionIndex);
+            renderItems();
+            save([...order]);
+            
+            if (focusDirection) {
+                const buttons = list.children[to].querySelectorAll('button');
+                const [preferred, other] = focusDirection === 'up' ? buttons : [...buttons].reverse();
+                (preferred.disabled ? other : preferred).focus();
+            }
+            announce(`${question.options[optionIndex]} moved to position ${to + 1}.`);
+        };
+        
+        const createMoveButton = (text, label, disabled, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'nav-button';
+            button.textContent = text;
+            button.disabled = disabled;
+            button.setAttribute('aria-label', label);
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        
+        const renderItems = () => {
+            list.innerHTML = '';
+            order.forEach((optionIndex, position) => {
+                const option = question.options[optionIndex];
+                const item = document.createElement('li');
+                item.className = 'ordering-item';
+                item.draggable = !locked;
+                
+                const letterElement = document.createElement('span');
+                letterElement.className = 'option-letter';
+                // Numbered by position, as the stored letters would give the answer away
+                letterElement.textContent = `${position + 1}.`;
+                const textElement = document.createElement('span');
+                textElement.className = 'ordering-text';
+                textElement.textContent = option;
+                
+                item.appendChild(letterElement);
+                item.appendChild(textElement);
+                item.appendChild(createMoveButton('Up', `Move up: ${option}`, locked || position === 0,
+                    () => move(position, position - 1, 'up')));
+                item.appendChild(createMoveButton('Down', `Move down: ${option}`, locked || position === order.length - 1,
+                    () => move(position, position + 1, 'down')));
+                
+                item.addEventListener('dragstart', event => {
+                    draggedPosition = position;
+                    event.dataTransfer.effectAllowed = 'move';
+                    event.dataTransfer.setData('text/plain', String(position));
+                });
+                item.addEventListener('dragover', event => {
+                    if (draggedPosition !== null) {
+                        event.preventDefault();
+                    }
+                });
+                item.addEventListener('drop', event => {
+                    event.preventDefault();
+                    if (draggedPosition !== null) {
+                        move(draggedPosition, position);
+                    }
+                    draggedPosition = null;
+                });
+                item.addEventListener('dragend', () => {
+                    draggedPosition = null;
+                });
+                
+                list.appendChild(item);
+            });
+        };
+        
+        renderItems();
+        optionsContainer.appendChild(list);
+        return () => [...order];
+    }
+    
+    /**
+     * Show the items of a matching question, each with a list of the options to match
+     * @param {Object} question - The question object
+     * @param {Array<number|null>|null} userAnswer - The matches given so far
+     * @param {boolean} locked - Whether the answer can no longer be changed
+     * @param {Function} save - Saves a changed answer
+     * @returns {Function} - Returns the matches chosen, null for items not matched yet
+     */
+    function renderMatching(question, userAnswer, locked, save) {
+        const items = Array.isArray(question.items) ? question.items : [];
+        const matches = items.map((_, index) =>
+            (userAnswer && Number.isInteger(userAnswer[index]) ? userAnswer[index] : null));
+        
+        items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'matching-row';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `matching-item-${index}`;
+            const numberElement = document.createElement('span');
+            numberElement.className = 'option-letter';
+            numberElement.textContent = `${index + 1}.`;
+            label.appendChild(numberElement);
+            label.appendChild(document.createTextNode(item));
+            
+            const select = document.createElement('select');
+            select.id = `matching-item-${index}`;
+            select.className = 'matching-select';
+            select.disabled = locked;
+            select.appendChild(new Option('Choose...', ''));
+            question.options.forEach((option, optionIndex) => {
+                select.appendChild(new Option(`${QuestionUtils.indexToLetter(optionIndex)}. ${option}`, String(optionIndex)));
+            });
+            select.value = matches[index] === null ? '' : String(matches[index]);
+            select.addEventListener('change', () => {
+                matches[index] = select.value === '' ? null : Number(select.value);
+                save([...matches]);
+            });
+            
+            row.appendChild(label);
+            row.appendChild(select);
+            optionsContainer.appendChild(row);
+        });
+        
+        return () => [...matches];
+    }
+    
+    /**
+     * Update the checked state and keyboard focus order of the options
+     * @param {Array<number>} selectedAnswers - The selected option indices
+     * @param {boolean} locked - Whether the answer can no longer be changed
+     */
+    function updateOptionStates(selectedAnswers, locked) {
+        const options = [...optionsContainer.querySelectorAll('.option')];
+        const isRadioGroup = optionsContainer.getAttribute('role') === 'radiogroup';
+        // A radio group is one tab stop: the checked option, or the first
+        const tabStop = selectedAnswers.length > 0 ? selectedAnswers[0] : 0;
+        
+        options.forEach((option, index) => {
+            const selected = selectedAnswers.includes(index);
+            option.classList.toggle('selected', selected);
+            option.setAttribute('aria-checked', String(selected));
+            option.tabIndex = !isRadioGroup || index === tabStop ? 0 : -1;
+            if (locked) {
+                option.setAttribute('aria-disabled', 'true');
+            } else {
+                option.removeAttribute('aria-disabled');
+            }
+        });
+    }
+    
+    /**
+     * Move keyboard focus to an option, making it the radio group's tab stop
+     * @param {HTMLElement|null} option - The option element
+     */
+    function focusOption(option) {
+        if (!option) {
+            return;
+        }
+        if (optionsContainer.getAttribute('role') === 'radiogroup') {
+            optionsContainer.querySelectorAll('.option').forEach(other => {
+                other.tabIndex = other === option ? 0 : -1;
+            });
+        }
+        option.focus();
+    }
+    
+    /**
+     * Announce a message to screen readers
+     * @param {string} message - The message
+     * @param {boolean} [urgent] - Interrupt the screen reader (for timer warnings)
+     */
+    function announce(message, urgent = false) {
+        const region = urgent ? examAlertElement : examStatusElement;
+        // Clearing the region first makes a repeated message be read again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+    
+    /**
+     * Show the exhibits of the current question
+     * @param {Array<Object>} [exhibits] - The question's exhibits
+     */
+    function renderExhibits(exhibits) {
+        const list = Array.isArray(exhibits) ? exhibits : [];
+        questionExhibitsElement.innerHTML = '';
+        questionExhibitsElement.classList.toggle('hidden', list.length === 0);
+        
+        list.forEach((exhibit, index) => {
+            const figure = document.createElement('figure');
+            figure.className = 'exhibit';
+            
+            const image = document.createElement('img');
+            image.src = exhibit.src;
+            image.alt = exhibit.caption || `Exhibit ${index + 1}`;
+            image.title = 'Click to zoom';
+            image.tabIndex = 0;
+            if (exhibit.width) {
+                image.width = exhibit.width;
+            }
+            
+            image.addEventListener('click', () => openExhibit(exhibit, index));
+            image.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    openExhibit(exhibit, index);
+                }
+            });
+            figure.appendChild(image);
+            
+            if (exhibit.caption) {
+                const caption = document.createElement('figcaption');
+                caption.textContent = exhibit.caption;
+                figure.appendChild(caption);
+            }
+            
+            questionExhibitsElement.appendChild(figure);
+        });
+    }
+    
+    /**
+     * Open an exhibit in the zoomable viewer
+     * @param {Object} exhibit - The exhibit
+     * @param {number} index - The exhibit's position in the question
+     */
+    function openExhibit(exhibit, index) {
+        currentExhibit = exhibit;
+        exhibitReturnFocus = document.activeElement;
+        exhibitZoomIndex = EXHIBIT_ZOOM_STEPS.indexOf(1);
+        
+        exhibitViewerCaption.textContent = exhibit.caption || `Exhibit ${index + 1}`;
+        exhibitViewerImage.alt = exhibitViewerCaption.textContent;
+        exhibitViewerImage.src = exhibit.src;
+        exhibitViewer.classList.remove('hidden');
+        exhibitCloseButton.focus();
+        applyExhibitZoom();
+    }
+    
+    /**
+     * Size the viewer image for the current zoom level
+     */
+    function applyExhibitZoom() {
+        const zoom = EXHIBIT_ZOOM_STEPS[exhibitZoomIndex];
+        exhibitZoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+        exhibitZoomOutButton.disabled = exhibitZoomIndex === 0;
+        exhibitZoomInButton.disabled = exhibitZoomIndex === EXHIBIT_ZOOM_STEPS.length - 1;
+        
+        // Zoom is relative to the exhibit's display size, or the image size if it has none
+        const baseWidth = (currentExhibit && currentExhibit.width) || exhibitViewerImage.naturalWidth;
+        exhibitViewerImage.style.width = baseWidth ? `${Math.round(baseWidth * zoom)}px` : '';
+    }
+    
+    /**
+     * Close the exhibit viewer
+     */
+    function closeExhibit() {
+        exhibitViewer.classList.add('hidden');
+        exhibitViewerImage.removeAttribute('src');
+        currentExhibit = null;
+        
+        if (exhibitReturnFocus && typeof exhibitReturnFocus.focus === 'function') {
+            exhibitReturnFocus.focus();
+        }
+    }
+    
+    /**
+     * Jump to a question and display it
+     * @param {number} index - The question index
+     */
+    function goToQuestion(index) {
+        examSimulator.jumpToQuestion(index);
+    }
+    
+    /**
+     * Rebuild the question navigator grid
+     */
+    function updateNavigator() {
+        questionNavigator.innerHTML = '';
+        
+        examSimulator.getQuestionStatuses().forEach(status => {
+            const item = document.createElement('button');
+            item.className = 'navigator-item';
+            item.textContent = status.index + 1;
+            item.classList.toggle('answered', status.answered);
+            item.classList.toggle('flagged', status.flagged);
+            item.classList.toggle('current', status.current);
+            
+            const state = status.answered ? 'answered' : 'unanswered';
+            item.title = `Question ${status.index + 1}: ${state}${status.flagged ? ', flagged' : ''}`;
+            item.setAttribute('aria-label', item.title);
+            if (status.current) {
+                item.setAttribute('aria-current', 'step');
+            }
+            
+            item.addEventListener('click', () => goToQuestion(status.index));
+            questionNavigator.appendChild(item);
+        });
+    }
+    
+    /**
+     * Update the flag button for the current question
+     * @param {boolean} flagged - Whether the current question is flagged
+     */
+    function updateFlagButton(flagged) {
+        flagButton.textContent = flagged ? 'Unflag' : 'Flag for review';
+        flagButton.classList.toggle('flagged', flagged);
+        flagButton.setAttribute('aria-pressed', String(flagged));
+    }
+    
+    /**
+     * Show the unanswered and flagged questions before submitting
+     */
+    function showSummary() {
+        const summary = examSimulator.getSummary();
+        
+        summaryOverview.textContent = `You have answered ${summary.answeredQuestions} of ${summary.totalQuestions} questions.`;
+        renderSummaryList(summaryUnanswered, summary.unanswered, 'All questions have been answered.');
+        renderSummaryList(summaryFlagged, summary.flagged, 'No questions are flagged.');
+        
+        examContainer.classList.add('hidden');
+        summaryContainer.classList.remove('hidden');
+        summaryHeading.focus();
+    }
+    
+    /**
+     * Render a list of question links in the summary screen
+     * @param {HTMLElement} container - The list container
+     * @param {Array<number>} indices - Question indices to list
+     * @param {string} emptyMessage - Message shown when the list is empty
+     */
+    function renderSummaryList(container, indices, emptyMessage) {
+        container.innerHTML = '';
+        
+        if (indices.length === 0) {
+            container.textContent = emptyMessage;
+            return;
+        }
+        
+        indices.forEach(index => {
+            const link = document.createElement('button');
+            link.className = 'nav-button';
+            link.textContent = `Question ${index + 1}`;
+            link.addEventListener('click', () => {
+                summaryContainer.classList.add('hidden');
+                examContainer.classList.remove('hidden');
+                goToQuestion(index);
+            });
+            container.appendChild(link);
+        });
+    }
+    
+    /**
+     * Show whether the answer is correct, mark the answer controls and show the explanation
+     * @param {Object} result - The result ({ isCorrect, correctAnswer, explanation })
+     * @param {Object} question - The question object
+     * @param {Array|null} answer - The answer given
+     */
+    function showFeedback(result, question, answer) {
+        const { isCorrect, correctAnswer, explanation } = result;
+        const isChoice = QuestionTypes.isChoice(question);
+        
+        if (isChoice) {
+            const selectedAnswers = answer || [];
+            const correctAnswers = correctAnswer || [];
+            document.querySelectorAll('.option').forEach((opt, index) => {
+                if (selectedAnswers.includes(index)) {
+                    opt.classList.add('selected');
+                    opt.classList.add(correctAnswers.includes(index) ? 'correct' : 'incorrect');
+                } else if (correctAnswers.includes(index)) {
+                    opt.classList.add('correct');
+                }
+            });
+        } else {
+            markAnswerControls(question, answer || [], correctAnswer || []);
+        }
+        
+        // Show explanation; typed, ordered and matched answers also show the right answer in words
+        explanationTextElement.textContent = explanation;
+        answerResultElement.textContent = isCorrect || isChoice
+            ? (isCorrect ? 'Correct!' : 'Incorrect')
+            : `Incorrect. The answer is ${QuestionTypes.describeAnswer(question, correctAnswer)}.`;
+        answerResultElement.className = isCorrect ? 'correct-result' : 'incorrect-result';
+        explanationContainer.classList.remove('hidden');
+    }
+    
+    /**
+     * Mark the parts of a fill-in, ordering or matching answer as correct or incorrect
+     * @param {Object} question - The question object
+     * @param {Array} answer - The answer given
+     * @param {Array} correctAnswer - The correct answer
+     */
+    function markAnswerControls(question, answer, correctAnswer) {
+        const mark = (element, correct) => {
+            element.classList.add(correct ? 'correct' : 'incorrect');
+        };
+        
+        const type = QuestionTypes.getType(question);
+        if (type === 'fillin') {
+            const input = optionsContainer.querySelector('.fill-in-answer');
+            if (input) {
+                mark(input, QuestionTypes.isCorrect(question, answer));
+            }
+        } else if (type === 'ordering') {
+            optionsContainer.querySelectorAll('.ordering-item').forEach((item, position) => {
+                mark(item, answer[position] === correctAnswer[position]);
+            });
+        } else {
+            optionsContainer.querySelectorAll('.matching-row').forEach((row, index) => {
+                mark(row, answer[index] === correctAnswer[index]);
+            });
+        }
+    }
+    
+    /**
+     * Update the timer display
+     * @param {number} timeRemaining - Seconds remaining
+     */
+    function updateTimer(timeRemaining) {
+        timerElement.textContent = examSimulator.getFormattedTime();
+        
+        // Highlight the timer when time is running low
+        timerElement.classList.toggle('warning', timeRemaining <= 60);
+        
+        updatePace();
+    }
+    
+    /**
+     * Update the pacing indicator next to the timer (exam mode only)
+     */
+    function updatePace() {
+        const pace = examSimulator.getPace();
+        if (!pace) {
+            paceElement.classList.add('hidden');
+            return;
+        }
+        
+        paceElement.textContent = Timing.describePace(pace);
+        paceElement.className = `pace ${pace.status}`;
+    }
+    
+    /**
+     * Show the results of an ended exam
+     * @param {Object} results - Results from ExamSimulator.endExam()
+     * @param {boolean} timeUp - Whether the exam ended because the time ran out
+     */
+    function showResults(results, timeUp) {
+        // Time can run out while an exhibit or the summary is open
+        if (!exhibitViewer.classList.contains('hidden')) {
+            closeExhibit();
+        }
+        summaryContainer.classList.add('hidden');
+        paceElement.classList.add('hidden');
+        timeUpNotice.classList.toggle('hidden', !timeUp);
         
         // Update results display
         scoreElement.textContent = results.score;
         totalScoreElement.textContent = results.totalQuestions;
         percentageElement.textContent = `${results.percentage}%`;
         
+        passResultElement.textContent = `Scaled score: ${results.scaledScore}/${results.scaleMax} ` +
+            `(pass mark ${results.passMark}) - ${results.passed ? 'PASSED' : 'FAILED'}`;
+        passResultElement.className = results.passed ? 'pass-result passed' : 'pass-result failed';
+        
+        pointsElement.textContent = `Points: ${results.weightedScore}/${results.maxWeightedScore} ` +
+            `(${results.policyDescription})`;
+        
+        timeUsedElement.textContent = `Time on questions: ${Timing.formatDuration(results.timing.total)} ` +
+            `(${Timing.formatDuration(results.timing.average)} per question on average)`;
+        
+        // The seed lets the same shuffled attempt be taken again
+        const attempt = results.attempt;
+        if (attempt && (attempt.shuffleQuestions || attempt.shuffleOptions)) {
+            attemptInfoElement.textContent = `Shuffle seed: ${attempt.seed}`;
+            attemptInfoElement.classList.remove('hidden');
+        } else {
+            attemptInfoElement.classList.add('hidden');
+        }
+        
+        renderTopicBreakdown(examSimulator.getTopicBreakdown());
+        
         // Show results container
         examContainer.classList.add('hidden');
         resultsContainer.classList.remove('hidden');
+        resultsHeading.focus();
+        
+        if (timeUp) {
+            announce('Time is up. Your answers have been submitted.', true);
+        }
+    }
+    
+    /**
+     * Show the score for each topic, highlighting weak topics
+     * @param {Array<Object>} topics - Breakdown from ExamSimulator.getTopicBreakdown()
+     */
+    function renderTopicBreakdown(topics) {
+        topicBreakdownElement.innerHTML = '';
+        
+        if (topics.length === 0) {
+            topicBreakdownElement.classList.add('hidden');
+            return;
+        }
+        
+        const heading = document.createElement('h3');
+        heading.textContent = 'Score by Topic';
+        topicBreakdownElement.appendChild(heading);
+        
+        topics.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = entry.weak ? 'topic-row weak' : 'topic-row';
+            
+            const name = document.createElement('span');
+            name.className = 'topic-name';
+            name.textContent = entry.topic;
+            name.title = entry.weak ? `${entry.topic} (weak)` : entry.topic;
+            
+            const bar = document.createElement('div');
+            bar.className = 'topic-bar';
+            const fill = document.createElement('div');
+            fill.className = 'topic-bar-fill';
+            fill.style.width = `${entry.percentage}%`;
+            bar.appendChild(fill);
+            
+            const score = document.createElement('span');
+            score.className = 'topic-score';
+            score.textContent = `${entry.correct}/${entry.total} (${entry.percentage}%)`;
+            
+            const time = document.createElement('span');
+            time.className = 'topic-time';
+            time.textContent = Timing.formatDuration(entry.averageTime);
+            time.title = 'Average time per question';
+            
+            row.appendChild(name);
+            row.appendChild(bar);
+            row.appendChild(score);
+            row.appendChild(time);
+            topicBreakdownElement.appendChild(row);
+        });
+        
+        topicBreakdownElement.classList.remove('hidden');
     }
     
     // Hide the start screen after a short delay
@@ -0,0 +1,125 @@
+/**
+ * Attempt History - Analytics over the attempts recorded by ExamSimulator.endExam()
+ */
+const AttemptHistory = {
+    /**
+     * Default target pass mark in percent
+     */
+    DEFAULT_PASS_MARK: 70,
+
+    /**
+     * Number of recent attempts used to judge readiness
+     */
+    READINESS_ATTEMPTS: 3,
+
+    /**
+     * Number of questions listed as most often missed
+     */
+    MISSED_LIMIT: 10,
+
+    /**
+     * Get the names of all banks with recorded attempts
+     * @param {Array} attempts - The recorded attempts
+     * @returns {Array<string>} - Bank names in alphabetical order
+     */
+    getBankNames(attempts) {
+        return [...new Set(attempts.map(attempt => attempt.bankName))].sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * Summarize recorded attempts
+     * @param {Array} attempts - The recorded attempts
+     * @param {Object} [options] - Summary options
+     * @param {string} [options.bankName] - Only include attempts on this bank
+     * @param {number} [options.passMark] - Target pass mark in percent
+     * @returns {Object} - Attempt count, score trend, averages, most missed questions and readiness
+     */
+    summarize(attempts, options = {}) {
+        const passMark = Number.isFinite(options.passMark) ? options.passMark : this.DEFAULT_PASS_MARK;
+        const selected = attempts
+            .filter(attempt => !options.bankName || attempt.bankName === options.bankName)
+            .sort((a, b) => a.finishedAt - b.finishedAt);
+
+        const average = values => (values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : 0);
+
+        return {
+            attemptCount: selected.length,
+            attempts: selected,
+            trend: selected.map(attempt => ({
+                date: attempt.finishedAt,
+                percentage: attempt.percentage,
+                mode: attempt.mode
+            })),
+            averageScore: average(selected.map(attempt => attempt.percentage)),
+            averageDuration: average(selected.map(attempt => attempt.durationUsed || 0)),
+            mostMissed: this.getMostMissed(selected),
+            readiness: this.getReadiness(selected, passMark)
+        };
+    },
+
+    /**
+     * Find the questions missed most often (answered wrong or left unanswered)
+     * @param {Array} attempts - The attempts to include
+     * @returns {Array<Object>} - Questions as { fingerprint, text, bankName, originalNumber, seen, missed }
+     */
+    getMostMissed(attempts) {
+        const byFingerprint = new Map();
+
+        attempts.forEach(attempt => {
+            (attempt.questions || []).forEach(question => {
+                if (!byFingerprint.has(question.fingerprint)) {
+                    byFingerprint.set(question.fingerprint, {
+                        fingerprint: question.fingerprint,
+                        text: question.text,
+                        bankName: attempt.bankName,
+                        originalNumber: question.originalNumber,
+                        seen: 0,
+                        missed: 0
+                    });
+                }
+
+                const entry = byFingerprint.get(question.fingerprint);
+                entry.seen++;
+                if (!question.isCorrect) {
+                    entry.missed++;
+                }
+            });
+        });
+
+        return [...byFingerprint.values()]
+            .filter(entry => entry.missed > 0)
+            .sort((a, b) => b.missed - a.missed || b.missed / b.seen - a.missed / a.seen)
+            .slice(0, this.MISSED_LIMIT);
+    },
+
+    /**
+     * Judge readiness from the most recent exam-mode attempts (any mode if there are none)
+     * @param {Array} attempts - The attempts to include, oldest first
+     * @param {number} passMark - Target pass mark in percent
+     * @returns {Object} - The recent average, the pass mark and whether it is met
+     */
+    getReadiness(attempts, passMark) {
+        const examAttempts = attempts.filter(attempt => attempt.mode === 'exam');
+        const recent = (examAttempts.length > 0 ? examAttempts : attempts).slice(-this.READINESS_ATTEMPTS);
+
+        if (recent.length === 0) {
+            return { attemptCount: 0, recentAverage: null, passMark, ready: false };
+        }
+
+        const recentAverage = Math.round(recent.reduce((sum, attempt) => sum + attempt.percentage, 0) / recent.length);
+
+        return {
+            attemptCount: recent.length,
+            examModeOnly: examAttempts.length > 0,
+            recentAverage,
+            passMark,
+            ready: recentAverage >= passMark
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttemptHistory;
+}
@@ -0,0 +1,149 @@
+/**
+ * Background Parser - Parses PDF and VCE files in a Web Worker so the page stays responsive
+ *
+ * Progress is reported page by page and per parsing strategy, and parsing can be cancelled
+ * with an AbortSignal. Where workers cannot be started (for example when the page is opened
+ * from a file:// URL) the file is parsed in the page instead.
+ */
+const BackgroundParser = {
+    /**
+     * Worker script, relative to index.html
+     */
+    WORKER_URL: 'js/parser-worker.js',
+
+    /**
+     * Parse a file
+     * @param {string} format - The file format ('pdf' or 'vce')
+     * @param {File} file - The file to parse
+     * @param {Object} [options] - Parse options
+     * @param {Function} [options.onProgress] - Called with { stage, message, current, total } as parsing proceeds
+     * @param {AbortSignal} [options.signal] - Signal that cancels parsing; the promise then rejects with an AbortError
+     * @returns {Promise<Object>} - The question objects and a parse report ({ questions, report })
+     */
+    async parse(format, file, options = {}) {
+        const startedAt = Date.now();
+        let result;
+
+        try {
+            result = await this.parseInWorker(format, file, options);
+        } catch (error) {
+            if (error.code !== 'WORKER_UNAVAILABLE') {
+                throw error;
+            }
+            console.warn('Parser worker unavailable, parsing in the page:', error.message);
+            result = await this.getParser(format).parse(file, options);
+        }
+
+        result.report.duration = Date.now() - startedAt;
+        return result;
+    },
+
+    /**
+     * Get the parser for a file format
+     * @param {string} format - The file format ('pdf' or 'vce')
+     * @returns {Object} - PDFParser or VCEParser
+     */
+    getParser(format) {
+        if (format === 'pdf') return PDFParser;
+        if (format === 'vce') return VCEParser;
+        throw new Error(`Unknown file format: ${format}`);
+    },
+
+    /**
+     * Parse a file in a new worker
+     * @param {string} format - The file format ('pdf' or 'vce')
+     * @param {File} file - The file to parse
+     * @param {Object} options - Parse options ({ onProgress, signal })
+     * @returns {Promise<Object>} - The parse result; rejects with code 'WORKER_UNAVAILABLE' if the worker could not start
+     */
+    parseInWorker(format, file, options) {
+        return new Promise((resolve, reject) => {
+            const { onProgress, signal } = options;
+            if (signal && signal.aborted) {
+                reject(ParseReport.createAbortError());
+                return;
+            }
+
+            let worker;
+            try {
+                worker = new Worker(this.WORKER_URL);
+            } catch (error) {
+                reject(this.createUnavailableError(error.message));
+                return;
+            }
+
+            // A worker that fails before its first message could not load its scripts
+            let started = false;
+
+            const onAbort = () => {
+                finish();
+                reject(ParseReport.createAbortError());
+            };
+            const finish = () => {
+                worker.terminate();
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            worker.onmessage = event => {
+                const message = event.data;
+                started = true;
+
+                if (message.type === 'progress') {
+                    if (onProgress) {
+                        onProgress(message.progress);
+                    }
+                } else if (message.type === 'result') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(this.restoreError(message.error));
+                }
+            };
+
+            worker.onerror = event => {
+                event.preventDefault();
+                finish();
+                const detail = event.message || 'The parser stopped unexpectedly.';
+                reject(started ? new Error(detail) : this.createUnavailableError(detail));
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+            worker.postMessage({ type: 'parse', format, file });
+        });
+    },
+
+    /**
+     * Create the error for a worker that could not be started
+     * @param {string} detail - Why the worker failed
+     * @returns {Error} - Error with code 'WORKER_UNAVAILABLE'
+     */
+    createUnavailableError(detail) {
+        const error = new Error(detail || 'Web Workers are not available.');
+        error.code = 'WORKER_UNAVAILABLE';
+        return error;
+    },
+
+    /**
+     * Rebuild an error posted by the worker
+     * @param {Object} data - The posted error ({ name, message, code, signature, version, report })
+     * @returns {Error} - The error
+     */
+    restoreError(data) {
+        if (data.name === 'AbortError') {
+            return ParseReport.createAbortError();
+        }
+
+        const error = new Error(data.message);
+        ['code', 'signature', 'version', 'report'].forEach(key => {
+            if (data[key] !== undefined) {
+                error[key] = data[key];
+            }
+        });
+        return error;
+    }
+};
@@ -0,0 +1,320 @@
+/**
+ * Bank Merger - Combines the questions of several files into one bank without duplicates
+ *
+ * Exact duplicates (the same QuestionUtils.fingerprint) are always merged. Near duplicates,
+ * whose question text and options use nearly the same words, are grouped as well but can be
+ * kept apart. Each merged question lists the copies it came from in `sources`, and copies
+ * that disagree on the correct answer mark it with `answerConflict`.
+ */
+const BankMerger = {
+    /**
+     * Minimum word similarity (0 to 1) of two question texts for a near duplicate
+     */
+    TEXT_SIMILARITY: 0.85,
+
+    /**
+     * Minimum word similarity of two options to count as the same option
+     */
+    OPTION_SIMILARITY: 0.6,
+
+    /**
+     * Merge the questions of several files
+     * @param {Array<Object>} sources - The files in order ({ name, questions })
+     * @param {Object} [options] - Merge options, see buildBank()
+     * @returns {Object} - The merged questions, duplicate groups and counts
+     *                     ({ questions, groups, duplicates, similar, conflicts })
+     */
+    merge(sources, options = {}) {
+        const groups = this.findDuplicates(sources);
+        const questions = this.buildBank(groups, options);
+        return { questions, groups, ...this.summarize(groups, questions) };
+    },
+
+    /**
+     * Group the copies of each question across files
+     * @param {Array<Object>} sources - The files in order ({ name, questions })
+     * @returns {Array<Object>} - One group per distinct question in first-seen order, as { id, kind, conflict, copies }:
+     *                            kind is 'unique', 'exact' or 'similar' (some copies are only near duplicates),
+     *                            copies are { source, number, question } with the question's number in its file
+     */
+    findDuplicates(sources) {
+        const groups = [];
+        const byFingerprint = new Map();
+        const words = new Map(); // Group -> words of its first copy, compared with each new question
+
+        sources.forEach(source => {
+            source.questions.forEach((question, index) => {
+                const copy = { source: source.name, number: index + 1, question };
+                const fingerprint = QuestionUtils.fingerprint(question);
+                const questionWords = this.getQuestionWords(question);
+
+                let group = byFingerprint.get(fingerprint);
+                if (group) {
+                    group.kind = group.kind === 'unique' ? 'exact' : group.kind;
+                } else {
+                    group = groups.find(candidate => this.isSimilar(words.get(candidate), questionWords));
+                    if (group) {
+                        group.kind = 'similar';
+                    } else {
+                        group = { id: groups.length, kind: 'unique', conflict: false, copies: [] };
+                        groups.push(group);
+                        words.set(group, questionWords);
+                    }
+                    byFingerprint.set(fingerprint, group);
+                }
+
+                group.copies.push(copy);
+            });
+        });
+
+        groups.forEach(group => {
+            group.conflict = this.hasConflict(group.copies);
+        });
+        return groups;
+    },
+
+    /**
+     * Build the merged bank from duplicate groups
+     * @param {Array<Object>} groups - Groups from findDuplicates()
+     * @param {Object} [options] - Merge options
+     * @param {Set<number>|Array<number>} [options.separate] - Ids of 'similar' groups whose near duplicates stay separate
+     *                                                         questions (exact copies are still merged)
+     * @param {boolean} [options.exactOnly] - Keep all near duplicates separate
+     * @returns {Array<Object>} - The merged questions, each with sources and, where copies disagree, answerConflict
+     */
+    buildBank(groups, options = {}) {
+        const separate = new Set(options.separate || []);
+        const questions = [];
+
+        groups.forEach(group => {
+            if (group.kind === 'similar' && (options.exactOnly || separate.has(group.id))) {
+                const byFingerprint = new Map();
+                group.copies.forEach(copy => {
+                    const fingerprint = QuestionUtils.fingerprint(copy.question);
+                    if (!byFingerprint.has(fingerprint)) {
+                        byFingerprint.set(fingerprint, []);
+                    }
+                    byFingerprint.get(fingerprint).push(copy);
+                });
+                byFingerprint.forEach(copies => questions.push(this.mergeCopies(copies)));
+            } else {
+                questions.push(this.mergeCopies(group.copies));
+            }
+        });
+
+        return questions;
+    },
+
+    /**
+     * Count what a merge did
+     * @param {Array<Object>} groups - Groups from findDuplicates()
+     * @param {Array<Object>} questions - Questions from buildBank()
+     * @returns {Object} - Copies dropped, near-duplicate groups and merged questions with conflicting answers
+     *                     ({ duplicates, similar, conflicts })
+     */
+    summarize(groups, questions) {
+        const copies = groups.reduce((sum, group) => sum + group.copies.length, 0);
+        return {
+            duplicates: copies - questions.length,
+            similar: groups.filter(group => group.kind === 'similar').length,
+            conflicts: questions.filter(question => question.answerConflict).length
+        };
+    },
+
+    /**
+     * Merge the copies of one question; the first copy is kept and the others fill in what it lacks
+     * @param {Array<Object>} copies - The copies ({ source, number, question })
+     * @returns {Object} - The merged question
+     */
+    mergeCopies(copies) {
+        // Ids are only unique within their own file, and attempt state does not carry over
+        const { id, userAnswer, flagged, timeSpent, visits, sources, answerConflict, ...merged } = copies[0].question;
+        merged.options = [...merged.options];
+        merged.correctAnswer = [...merged.correctAnswer];
+
+        ['topic', 'explanation'].forEach(key => {
+            if (!merged[key]) {
+                const copy = copies.find(item => item.question[key]);
+                if (copy) {
+                    merged[key] = copy.question[key];
+                }
+            }
+        });
+        if (!Array.isArray(merged.exhibits) || merged.exhibits.length === 0) {
+            const copy = copies.find(item => Array.isArray(item.question.exhibits) && item.question.exhibits.length > 0);
+            if (copy) {
+                merged.exhibits = copy.question.exhibits;
+            }
+        }
+
+        // Each copy's answer, in the merged question's option order (null if its options cannot be matched)
+        merged.sources = copies.map(copy => ({
+            file: copy.source,
+            number: copy.number,
+            correctAnswer: this.mapAnswer(copy.question, merged)
+        }));
+        if (this.hasConflict(copies)) {
+            merged.answerConflict = true;
+        }
+
+        return merged;
+    },
+
+    /**
+     * Describe where a merged question came from and the answer each copy gave
+     * @param {Object} question - A merged question
+     * @returns {string} - E.g. "a.pdf #3: C; b.vce #7: B"
+     */
+    describeSources(question) {
+        return (question.sources || []).map(source => {
+            const place = source.number ? `${source.file} #${source.number}` : source.file;
+            const answer = source.correctAnswer ? QuestionTypes.formatAnswer(question, source.correctAnswer) : 'no matching option';
+            return `${place}: ${answer}`;
+        }).join('; ');
+    },
+
+    /**
+     * Check if copies of a question disagree on the correct answer
+     * @param {Array<Object>} copies - The copies ({ source, number, question })
+     * @returns {boolean} - True if any copy's answer differs from the first copy's, or cannot be matched to its options
+     */
+    hasConflict(copies) {
+        const target = copies[0].question;
+        return copies.slice(1).some(copy => {
+            const answer = this.mapAnswer(copy.question, target);
+            return answer === null || !QuestionTypes.answersEqual(target, answer, target.correctAnswer);
+        });
+    },
+
+    /**
+     * Translate a question's correct answer to the options of another copy, matching options by their words
+     * @param {Object} from - The question whose answer is translated
+     * @param {Object} to - The copy whose option order is used
+     * @returns {Array|null} - The answer in the shape of `to`'s type (see QuestionTypes), or null if a correct
+     *                         option has no match or the copies are of different types
+     */
+    mapAnswer(from, to) {
+        const type = QuestionTypes.getType(to);
+        if (QuestionTypes.getType(from) !== type) {
+            return null;
+        }
+
+        // Typed answers are texts, and matchings keep the items in file order
+        const answer = QuestionTypes.normalizeAnswer(from, from.correctAnswer) || [];
+        if (type === 'fillin') {
+            return answer;
+        }
+
+        const normalize = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        const targetTexts = to.options.map(normalize);
+        const targetWords = to.options.map(option => this.getWords(option));
+        const mapped = [];
+
+        for (const index of answer) {
+            if (index === null) {
+                mapped.push(null);
+                continue;
+            }
+
+            // The same text wins over the most similar words ("255.0.0.0" and "255.255.0.0" share theirs)
+            const exact = targetTexts.indexOf(normalize(from.options[index]));
+            if (exact !== -1) {
+                mapped.push(exact);
+                continue;
+            }
+
+            const words = this.getWords(from.options[index]);
+            let best = -1;
+            let bestScore = 0;
+            targetWords.forEach((candidate, candidateIndex) => {
+                const score = this.similarity(words, candidate);
+                if (score > bestScore) {
+                    best = candidateIndex;
+                    bestScore = score;
+                }
+            });
+            if (best === -1 || bestScore < this.OPTION_SIMILARITY) {
+                return null;
+            }
+            mapped.push(best);
+        }
+
+        return QuestionTypes.normalizeAnswer(to, mapped);
+    },
+
+    /**
+     * Check if two questions are near duplicates: nearly the same text and mostly the same options
+     * @param {Object} a - Words of one question, from getQuestionWords()
+     * @param {Object} b - Words of the other question
+     * @returns {boolean} - True if the questions are near duplicates
+     */
+    isSimilar(a, b) {
+        // The similarity cannot reach the threshold when one text is much longer than the other
+        const sizes = [a.text.length, b.text.length].sort((x, y) => x - y);
+        if (sizes[0] < sizes[1] * this.TEXT_SIMILARITY / (2 - this.TEXT_SIMILARITY)) {
+            return false;
+        }
+        if (this.similarity(a.text, b.text) < this.TEXT_SIMILARITY) {
+            return false;
+        }
+
+        // Generic stems ("Which statement is true?") need matching options as well
+        if (a.options.length === 0 || b.options.length === 0) {
+            return a.options.length === b.options.length;
+        }
+        const [fewer, more] = a.options.length <= b.options.length ? [a.options, b.options] : [b.options, a.options];
+        const matched = fewer.filter(option =>
+            more.some(candidate => this.similarity(option, candidate) >= this.OPTION_SIMILARITY));
+        return matched.length / more.length >= this.OPTION_SIMILARITY;
+    },
+
+    /**
+     * Get the words of a question's text and options
+     * @param {Object} question - The question object
+     * @returns {Object} - Words of the text and of each option ({ text, options })
+     */
+    getQuestionWords(question) {
+        return {
+            text: this.getWords(question.text),
+            options: (Array.isArray(question.options) ? question.options : []).map(option => this.getWords(option))
+        };
+    },
+
+    /**
+     * Get the words of a text, ignoring case and punctuation
+     * @param {string} text - The text
+     * @returns {Array<string>} - The words, repeats included
+     */
+    getWords(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    },
+
+    /**
+     * Compare the words of two texts (Dice coefficient, counting repeated words)
+     * @param {Array<string>} a - Words of one text
+     * @param {Array<string>} b - Words of the other text
+     * @returns {number} - 1 for the same words, 0 for none in common
+     */
+    similarity(a, b) {
+        if (a.length === 0 || b.length === 0) {
+            return a.length === b.length ? 1 : 0;
+        }
+
+        const counts = new Map();
+        a.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+        let common = 0;
+        b.forEach(word => {
+            const count = counts.get(word) || 0;
+            if (count > 0) {
+                common++;
+                counts.set(word, count - 1);
+            }
+        });
+        return (2 * common) / (a.length + b.length);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankMerger;
+}
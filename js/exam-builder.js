@@ -0,0 +1,189 @@
+/**
+ * Exam Builder - Picks the questions of a custom exam from the loaded bank
+ *
+ * Settings narrow the bank by question number, topic and past results, then draw a random
+ * count from what is left. The past results of a question come from the attempt history,
+ * matched by QuestionUtils.fingerprint(), so they follow a question across banks.
+ */
+const ExamBuilder = {
+    /**
+     * Question states that can be selected from the attempt history
+     */
+    STATUSES: ['missed', 'flagged', 'unseen'],
+
+    /**
+     * Fill in missing builder settings
+     * @param {Object} [settings] - Builder settings, all optional
+     * @param {number} [settings.count] - Number of questions to draw at random (all matching if omitted)
+     * @param {Array<string>} [settings.topics] - Topics to include (all if empty)
+     * @param {Array<string>} [settings.statuses] - Include only questions that were missed or flagged last time,
+     *                                              or were never seen; any of them matches (all if empty)
+     * @param {number} [settings.from] - First question number, counting from 1
+     * @param {number} [settings.to] - Last question number
+     * @param {number} [settings.secondsPerQuestion] - Time budget per question; sets the duration
+     * @param {number} [settings.duration] - Duration in minutes without a time budget
+     * @returns {Object} - Settings with every field, null where not set
+     */
+    normalizeSettings(settings = {}) {
+        const positive = value => {
+            const number = Number(value);
+            return value !== null && value !== '' && Number.isInteger(number) && number > 0 ? number : null;
+        };
+
+        return {
+            count: positive(settings.count),
+            topics: Array.isArray(settings.topics) ? settings.topics.filter(Boolean) : [],
+            statuses: Array.isArray(settings.statuses)
+                ? settings.statuses.filter(status => this.STATUSES.includes(status))
+                : [],
+            from: positive(settings.from),
+            to: positive(settings.to),
+            secondsPerQuestion: positive(settings.secondsPerQuestion),
+            duration: positive(settings.duration)
+        };
+    },
+
+    /**
+     * Check if settings select part of the bank or set a time budget
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {boolean} - False if the exam is the whole bank for the given duration
+     */
+    isCustom(settings) {
+        return !!(settings.count || settings.from || settings.to || settings.secondsPerQuestion ||
+            settings.topics.length > 0 || settings.statuses.length > 0);
+    },
+
+    /**
+     * Check if settings need the attempt history
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {boolean} - True if questions are filtered by past results
+     */
+    needsHistory(settings) {
+        return settings.statuses.length > 0;
+    },
+
+    /**
+     * Get the last result of each question from the attempt history
+     * @param {Array<Object>} attempts - Attempts from ExamStorage.listAttempts(), oldest first
+     * @returns {Map<string, Object>} - { missed, flagged } by question fingerprint, from the latest attempt
+     *                                  that asked the question; questions never asked are missing
+     */
+    getHistory(attempts) {
+        const history = new Map();
+
+        attempts.forEach(attempt => {
+            (attempt.questions || []).forEach(question => {
+                history.set(question.fingerprint, {
+                    missed: !question.isCorrect,
+                    flagged: !!question.flagged
+                });
+            });
+        });
+
+        return history;
+    },
+
+    /**
+     * Find the bank questions that match the filters, before a count is drawn
+     * @param {Array<Object>} bank - The bank questions in file order
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @param {Map<string, Object>} [history] - Past results from getHistory()
+     * @returns {Array<number>} - Bank indices in file order
+     */
+    filterQuestions(bank, settings, history = new Map()) {
+        const first = (settings.from || 1) - 1;
+        const last = (settings.to || bank.length) - 1;
+        const topics = new Set(settings.topics);
+
+        const indices = [];
+        bank.forEach((question, index) => {
+            if (index < first || index > last) {
+                return;
+            }
+            if (topics.size > 0 && !topics.has(question.topic || '')) {
+                return;
+            }
+            if (settings.statuses.length > 0 && !this.matchesStatus(question, settings.statuses, history)) {
+                return;
+            }
+            indices.push(index);
+        });
+
+        return indices;
+    },
+
+    /**
+     * Check if a question's past results match any of the selected states
+     * @param {Object} question - The question object
+     * @param {Array<string>} statuses - States from STATUSES
+     * @param {Map<string, Object>} history - Past results from getHistory()
+     * @returns {boolean} - True if one of the states applies
+     */
+    matchesStatus(question, statuses, history) {
+        const result = history.get(QuestionUtils.fingerprint(question));
+        return statuses.some(status => (status === 'unseen' ? !result : !!result && result[status]));
+    },
+
+    /**
+     * Pick the questions of a custom exam
+     * @param {Array<Object>} bank - The bank questions in file order
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @param {Map<string, Object>} history - Past results from getHistory()
+     * @param {number} seed - Seed of the attempt, so the same seed draws the same questions
+     * @returns {Array<number>} - Bank indices in file order
+     */
+    selectQuestions(bank, settings, history, seed) {
+        const matching = this.filterQuestions(bank, settings, history);
+        if (!settings.count || settings.count >= matching.length) {
+            return matching;
+        }
+
+        const random = SeededRandom.create(seed);
+        return SeededRandom.permutation(matching.length, random)
+            .slice(0, settings.count)
+            .map(position => matching[position])
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Get the duration of a custom exam
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @param {number} questionCount - Number of questions in the exam
+     * @param {number} fallback - Duration in minutes when the settings set none
+     * @returns {number} - Duration in whole minutes, at least 1
+     */
+    getDuration(settings, questionCount, fallback) {
+        if (settings.secondsPerQuestion) {
+            return Math.max(1, Math.ceil(questionCount * settings.secondsPerQuestion / 60));
+        }
+        return settings.duration || fallback;
+    },
+
+    /**
+     * Describe builder settings, e.g. as the default name of a preset
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {string} - E.g. "50 random, missed, 75 minutes"
+     */
+    describe(settings) {
+        const parts = [settings.count ? `${settings.count} random` : 'All questions'];
+
+        if (settings.from || settings.to) {
+            parts.push(`questions ${settings.from || 1}-${settings.to || 'end'}`);
+        }
+        if (settings.topics.length > 0) {
+            parts.push(settings.topics.join(' + '));
+        }
+        if (settings.statuses.length > 0) {
+            parts.push(settings.statuses.join(' or '));
+        }
+        if (settings.secondsPerQuestion && settings.count) {
+            parts.push(`${this.getDuration(settings, settings.count)} minutes`);
+        } else if (settings.secondsPerQuestion) {
+            parts.push(`${settings.secondsPerQuestion} s per question`);
+        } else if (settings.duration) {
+            parts.push(`${settings.duration} minutes`);
+        }
+
+        return parts.join(', ');
+    }
+};
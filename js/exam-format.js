@@ -0,0 +1,570 @@
+/**
+ * Exam Format - The native, versioned JSON exam format
+ *
+ * {
+ *   "format": "exam-simulator",
+ *   "version": 1,
+ *   "metadata": { "title": "...", "description": "...", "vendor": "...", "examCode": "...", "source": "...", "createdAt": "..." },
+ *   "scoring": { "passMark": 700, "scaleMin": 100, "scaleMax": 1000, "policy": "negative", "penalty": 0.25, "unanswered": "wrong" },
+ *   "questions": [
+ *     { "id": "q1", "type": "single", "topic": "...", "text": "...", "options": ["...", "..."], "correctAnswer": [0], "explanation": "...", "weight": 1,
+ *       "sources": [{ "file": "...", "number": 12, "correctAnswer": [0] }], "answerConflict": true },
+ *     { "id": "q2", "type": "matching", "text": "...", "items": ["...", "..."], "options": ["...", "..."], "correctAnswer": [1, 0] }
+ *   ]
+ * }
+ *
+ * See README.md for the field reference.
+ */
+const ExamFormat = {
+    FORMAT: 'exam-simulator',
+    VERSION: 1,
+
+    /**
+     * Supported question types
+     */
+    QUESTION_TYPES: ['single', 'multiple', 'truefalse', 'fillin', 'ordering', 'matching'],
+
+    /**
+     * Optional string fields of the metadata object
+     */
+    METADATA_FIELDS: ['title', 'description', 'vendor', 'examCode', 'source', 'createdAt'],
+
+    /**
+     * Fields allowed on a question
+     */
+    QUESTION_FIELDS: ['id', 'type', 'topic', 'text', 'exhibits', 'options', 'items', 'correctAnswer', 'explanation',
+        'weight', 'sources', 'answerConflict'],
+
+    /**
+     * Fields allowed on an entry of a question's sources, see BankMerger
+     */
+    SOURCE_FIELDS: ['file', 'number', 'correctAnswer'],
+
+    /**
+     * Fields of the optional scoring object
+     */
+    SCORING_FIELDS: ['passMark', 'scaleMin', 'scaleMax', 'policy', 'penalty', 'unanswered'],
+
+    /**
+     * Scoring fields holding a name rather than a number
+     */
+    SCORING_TEXT_FIELDS: ['policy', 'unanswered'],
+
+    /**
+     * Check if parsed JSON declares the native format
+     * @param {*} data - Parsed JSON data
+     * @returns {boolean} - True if the data claims to be a native exam file
+     */
+    isNativeFormat(data) {
+        return !!data && typeof data === 'object' && data.format === this.FORMAT;
+    },
+
+    /**
+     * Validate a native exam file
+     * @param {*} data - Parsed JSON data
+     * @returns {Array<Object>} - Errors as { path, message }; empty if the file is valid
+     */
+    validate(data) {
+        const errors = [];
+        const error = (path, message) => errors.push({ path, message });
+        const isString = value => typeof value === 'string';
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            error('', 'must be an object');
+            return errors;
+        }
+
+        if (data.format !== this.FORMAT) {
+            error('format', `must be "${this.FORMAT}"`);
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            error('version', 'must be a positive integer');
+        } else if (data.version > this.VERSION) {
+            error('version', `version ${data.version} is not supported (this app reads up to version ${this.VERSION})`);
+        }
+
+        // Metadata
+        if (!data.metadata || typeof data.metadata !== 'object' || Array.isArray(data.metadata)) {
+            error('metadata', 'must be an object');
+        } else {
+            if (!isString(data.metadata.title) || !data.metadata.title.trim()) {
+                error('metadata.title', 'must be a non-empty string');
+            }
+            Object.keys(data.metadata).forEach(key => {
+                if (!this.METADATA_FIELDS.includes(key)) {
+                    error(`metadata.${key}`, 'is not a known metadata field');
+                } else if (!isString(data.metadata[key])) {
+                    error(`metadata.${key}`, 'must be a string');
+                }
+            });
+        }
+
+        // Scoring (optional)
+        if (data.scoring !== undefined) {
+            if (!data.scoring || typeof data.scoring !== 'object' || Array.isArray(data.scoring)) {
+                error('scoring', 'must be an object');
+            } else {
+                Object.keys(data.scoring).forEach(key => {
+                    if (!this.SCORING_FIELDS.includes(key)) {
+                        error(`scoring.${key}`, 'is not a known scoring field');
+                    } else if (this.SCORING_TEXT_FIELDS.includes(key)) {
+                        if (!isString(data.scoring[key])) {
+                            error(`scoring.${key}`, 'must be a string');
+                        }
+                    } else if (typeof data.scoring[key] !== 'number' || !Number.isFinite(data.scoring[key])) {
+                        error(`scoring.${key}`, 'must be a number');
+                    }
+                });
+                if (errors.every(item => !item.path.startsWith('scoring'))) {
+                    try {
+                        Scoring.normalizeSettings(data.scoring);
+                    } catch (scoringError) {
+                        error('scoring', scoringError.message);
+                    }
+                }
+            }
+        }
+
+        // Questions
+        if (!Array.isArray(data.questions)) {
+            error('questions', 'must be an array');
+            return errors;
+        }
+        if (data.questions.length === 0) {
+            error('questions', 'must contain at least one question');
+        }
+
+        const ids = new Set();
+
+        data.questions.forEach((question, index) => {
+            const path = `questions[${index}]`;
+
+            if (!question || typeof question !== 'object' || Array.isArray(question)) {
+                error(path, 'must be an object');
+                return;
+            }
+
+            Object.keys(question).forEach(key => {
+                if (!this.QUESTION_FIELDS.includes(key)) {
+                    error(`${path}.${key}`, 'is not a known question field');
+                }
+            });
+
+            if (question.id !== undefined) {
+                if (!isString(question.id) || !question.id.trim()) {
+                    error(`${path}.id`, 'must be a non-empty string');
+                } else if (ids.has(question.id)) {
+                    error(`${path}.id`, `duplicates the id "${question.id}"`);
+                } else {
+                    ids.add(question.id);
+                }
+            }
+
+            if (!this.QUESTION_TYPES.includes(question.type)) {
+                error(`${path}.type`, `must be one of: ${this.QUESTION_TYPES.join(', ')}`);
+            }
+
+            if (!isString(question.text) || !question.text.trim()) {
+                error(`${path}.text`, 'must be a non-empty string');
+            }
+
+            ['topic', 'explanation'].forEach(key => {
+                if (question[key] !== undefined && !isString(question[key])) {
+                    error(`${path}.${key}`, 'must be a string');
+                }
+            });
+
+            if (question.weight !== undefined &&
+                (typeof question.weight !== 'number' || !Number.isFinite(question.weight) || question.weight <= 0)) {
+                error(`${path}.weight`, 'must be a positive number');
+            }
+
+            if (question.exhibits !== undefined) {
+                if (!Array.isArray(question.exhibits)) {
+                    error(`${path}.exhibits`, 'must be an array');
+                } else {
+                    question.exhibits.forEach((exhibit, exhibitIndex) => {
+                        const exhibitPath = `${path}.exhibits[${exhibitIndex}]`;
+                        if (!exhibit || typeof exhibit !== 'object' || Array.isArray(exhibit)) {
+                            error(exhibitPath, 'must be an object');
+                            return;
+                        }
+                        Object.keys(exhibit).forEach(key => {
+                            if (!Exhibits.FIELDS.includes(key)) {
+                                error(`${exhibitPath}.${key}`, 'is not a known exhibit field');
+                            }
+                        });
+                        if (!isString(exhibit.src) || !exhibit.src.trim()) {
+                            error(`${exhibitPath}.src`, 'must be a non-empty string');
+                        }
+                        if (exhibit.caption !== undefined && !isString(exhibit.caption)) {
+                            error(`${exhibitPath}.caption`, 'must be a string');
+                        }
+                        ['width', 'height'].forEach(key => {
+                            if (exhibit[key] !== undefined &&
+                                (typeof exhibit[key] !== 'number' || !Number.isFinite(exhibit[key]) || exhibit[key] <= 0)) {
+                                error(`${exhibitPath}.${key}`, 'must be a positive number');
+                            }
+                        });
+                    });
+                }
+            }
+
+            if (question.sources !== undefined) {
+                if (!Array.isArray(question.sources)) {
+                    error(`${path}.sources`, 'must be an array');
+                } else {
+                    question.sources.forEach((source, sourceIndex) => {
+                        const sourcePath = `${path}.sources[${sourceIndex}]`;
+                        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+                            error(sourcePath, 'must be an object');
+                            return;
+                        }
+                        Object.keys(source).forEach(key => {
+                            if (!this.SOURCE_FIELDS.includes(key)) {
+                                error(`${sourcePath}.${key}`, 'is not a known source field');
+                            }
+                        });
+                        if (!isString(source.file) || !source.file.trim()) {
+                            error(`${sourcePath}.file`, 'must be a non-empty string');
+                        }
+                        if (source.number !== undefined && (!Number.isInteger(source.number) || source.number < 1)) {
+                            error(`${sourcePath}.number`, 'must be a positive integer');
+                        }
+                        if (source.correctAnswer !== undefined && source.correctAnswer !== null &&
+                            !Array.isArray(source.correctAnswer)) {
+                            error(`${sourcePath}.correctAnswer`, 'must be an array or null');
+                        }
+                    });
+                }
+            }
+
+            if (question.answerConflict !== undefined && typeof question.answerConflict !== 'boolean') {
+                error(`${path}.answerConflict`, 'must be a boolean');
+            }
+
+            this.validateAnswer(question, path, error);
+        });
+
+        return errors;
+    },
+
+    /**
+     * Validate the options, items and correct answer of a question for its type
+     * @param {Object} question - The question object
+     * @param {string} path - Path of the question, for error messages
+     * @param {Function} error - Records an error (path, message)
+     */
+    validateAnswer(question, path, error) {
+        const isString = value => typeof value === 'string';
+        const checkTexts = (key, minimum, noun) => {
+            const values = question[key];
+            if (!Array.isArray(values) || values.length < minimum) {
+                error(`${path}.${key}`, `must be an array of at least ${minimum === 1 ? `one ${noun}` : `${minimum} ${noun}s`}`);
+                return 0;
+            }
+            values.forEach((value, index) => {
+                if (!isString(value) || !value.trim()) {
+                    error(`${path}.${key}[${index}]`, 'must be a non-empty string');
+                }
+            });
+            return values.length;
+        };
+
+        const answer = question.correctAnswer;
+        if (!Array.isArray(answer) || answer.length === 0) {
+            error(`${path}.correctAnswer`, question.type === 'fillin'
+                ? 'must be a non-empty array of accepted answers'
+                : 'must be a non-empty array of option indices');
+            return;
+        }
+
+        if (question.items !== undefined && question.type !== 'matching') {
+            error(`${path}.items`, 'is only used by "matching" questions');
+        }
+
+        if (question.type === 'fillin') {
+            if (question.options !== undefined && (!Array.isArray(question.options) || question.options.length > 0)) {
+                error(`${path}.options`, 'must be empty or left out for a "fillin" question');
+            }
+            answer.forEach((text, index) => {
+                if (!isString(text) || !text.trim()) {
+                    error(`${path}.correctAnswer[${index}]`, 'must be a non-empty string');
+                }
+            });
+            return;
+        }
+
+        // True/false questions may leave out their options
+        const optionCount = question.type === 'truefalse' && question.options === undefined
+            ? QuestionTypes.TRUE_FALSE_OPTIONS.length
+            : checkTexts('options', 2, 'option');
+        if (question.type === 'truefalse' && optionCount !== 2) {
+            error(`${path}.options`, 'must contain exactly two options for a "truefalse" question');
+        }
+
+        answer.forEach((index, answerIndex) => {
+            if (!Number.isInteger(index) || index < 0 || index >= optionCount) {
+                error(`${path}.correctAnswer[${answerIndex}]`, `must be an option index from 0 to ${Math.max(optionCount - 1, 0)}`);
+            }
+        });
+
+        if (question.type === 'matching') {
+            const itemCount = checkTexts('items', 1, 'item');
+            if (itemCount > 0 && answer.length !== itemCount) {
+                error(`${path}.correctAnswer`, 'must give one option index for each item of a "matching" question');
+            }
+            return;
+        }
+
+        if (new Set(answer).size !== answer.length) {
+            error(`${path}.correctAnswer`, 'must not repeat an option index');
+        }
+        if ((question.type === 'single' || question.type === 'truefalse') && answer.length !== 1) {
+            error(`${path}.correctAnswer`, `must contain exactly one index for a "${question.type}" question`);
+        }
+        if (question.type === 'multiple' && answer.length < 2) {
+            error(`${path}.correctAnswer`, 'must contain at least two indices for a "multiple" question');
+        }
+        if (question.type === 'ordering' && answer.length !== optionCount) {
+            error(`${path}.correctAnswer`, 'must list every option index once for an "ordering" question');
+        }
+    },
+
+    /**
+     * Parse the contents of a JSON exam file
+     * @param {File} file - The JSON file
+     * @returns {Promise<*>} - The parsed JSON data
+     */
+    async readFile(file) {
+        const text = await file.text();
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+        }
+    },
+
+    /**
+     * Load a native exam file as parser output
+     * @param {Object} data - Parsed JSON data in the native format
+     * @param {string} fileName - The file name, for the parse report
+     * @returns {Object} - The questions, a parse report, the metadata and scoring settings
+     *                     ({ questions, report, metadata, scoring })
+     */
+    parse(data, fileName) {
+        const { metadata, questions, scoring } = this.load(data);
+
+        const report = ParseReport.create('native', fileName);
+        report.strategy = `native format v${data.version}`;
+        ParseReport.finalize(report, questions);
+
+        return { questions, report, metadata, scoring };
+    },
+
+    /**
+     * Read a native exam file, failing on any validation error
+     * @param {*} data - Parsed JSON data
+     * @returns {Object} - The metadata, question objects and scoring settings ({ metadata, questions, scoring })
+     */
+    load(data) {
+        const errors = this.validate(data);
+
+        if (errors.length > 0) {
+            const details = errors.slice(0, 10).map(item => `${item.path || '(root)'}: ${item.message}`).join('\n');
+            const more = errors.length > 10 ? `\n...and ${errors.length - 10} more` : '';
+            const error = new Error(`Invalid exam file (${errors.length} errors):\n${details}${more}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        return {
+            metadata: { ...data.metadata },
+            scoring: Scoring.normalizeSettings(data.scoring),
+            questions: data.questions.map(question => {
+                const loaded = {
+                    ...question,
+                    options: question.type === 'truefalse' && !question.options
+                        ? [...QuestionTypes.TRUE_FALSE_OPTIONS]
+                        : [...(question.options || [])],
+                    explanation: question.explanation || '',
+                    exhibits: Exhibits.normalize(question.exhibits),
+                    userAnswer: null
+                };
+                if (question.items) {
+                    loaded.items = [...question.items];
+                }
+                loaded.correctAnswer = QuestionTypes.normalizeAnswer(loaded, question.correctAnswer);
+                return loaded;
+            })
+        };
+    },
+
+    /**
+     * Convert questions (from any parser) into a native exam file
+     *
+     * The result always passes validate(): empty options and items are dropped, answers are fitted to
+     * what is left, and questions that still cannot be saved (no text, too few options) are left out.
+     * Each repair is reported through options.onWarning.
+     * @param {Array} questions - The question objects
+     * @param {Object} metadata - Exam metadata; title defaults to "Untitled exam"
+     * @param {Object} [scoring] - Scoring settings ({ passMark, scaleMin, scaleMax, policy, penalty, unanswered })
+     * @param {Object} [options] - Export options
+     * @param {Function} [options.onWarning] - Called with a message for each question repaired or left out
+     * @returns {Object} - The native exam data
+     */
+    fromQuestions(questions, metadata, scoring, options = {}) {
+        const warn = message => {
+            if (options.onWarning) {
+                options.onWarning(message);
+            }
+        };
+
+        const cleanMetadata = {};
+        this.METADATA_FIELDS.forEach(key => {
+            if (metadata[key] !== undefined && metadata[key] !== null && String(metadata[key]).trim() !== '') {
+                cleanMetadata[key] = String(metadata[key]);
+            }
+        });
+        cleanMetadata.title = cleanMetadata.title || 'Untitled exam';
+        cleanMetadata.createdAt = cleanMetadata.createdAt || new Date().toISOString();
+
+        // Keep existing ids and number the rest without clashing with them
+        const isId = id => typeof id === 'string' && id.trim() !== '';
+        const existingIds = new Set(questions.map(question => question.id).filter(isId));
+        const usedIds = new Set();
+        let nextId = 1;
+        const createId = () => {
+            while (existingIds.has(`q${nextId}`) || usedIds.has(`q${nextId}`)) {
+                nextId++;
+            }
+            return `q${nextId}`;
+        };
+
+        const examData = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            metadata: cleanMetadata
+        };
+
+        if (scoring) {
+            examData.scoring = {};
+            this.SCORING_FIELDS.forEach(key => {
+                examData.scoring[key] = scoring[key];
+            });
+        }
+
+        examData.questions = [];
+        questions.forEach((question, index) => {
+            const label = `Question ${index + 1}`;
+            const nativeQuestion = this.toNativeQuestion(question, message => warn(`${label}: ${message}`));
+
+            const problems = [];
+            if (!nativeQuestion.text) {
+                problems.push('it has no text');
+            }
+            this.validateAnswer(nativeQuestion, 'question', (path, message) => {
+                problems.push(`${path.replace(/^question\.?/, '') || 'question'} ${message}`);
+            });
+            if (problems.length > 0) {
+                warn(`${label} was left out: ${problems[0]}`);
+                return;
+            }
+
+            const id = isId(question.id) && !usedIds.has(question.id) ? question.id : createId();
+            usedIds.add(id);
+            examData.questions.push({ id, ...nativeQuestion });
+        });
+
+        if (examData.questions.length === 0) {
+            throw new Error('None of the questions can be saved in the exam format.');
+        }
+        return examData;
+    },
+
+    /**
+     * Convert one question into the native format, dropping empty options and items
+     * @param {Object} question - The question object
+     * @param {Function} warn - Records a repair (message)
+     * @returns {Object} - The native question, without an id; it may still fail validateAnswer()
+     */
+    toNativeQuestion(question, warn) {
+        const isText = value => value !== null && value !== undefined && String(value).trim() !== '';
+        const type = QuestionTypes.getType(question);
+        const source = { ...question, type };
+
+        // Dropping an option moves the ones after it, so answers are mapped to the new indices
+        if (type !== 'fillin') {
+            const options = type === 'truefalse' && !Array.isArray(question.options)
+                ? QuestionTypes.TRUE_FALSE_OPTIONS
+                : (Array.isArray(question.options) ? question.options : []);
+            const kept = options.map((_, optionIndex) => optionIndex).filter(optionIndex => isText(options[optionIndex]));
+            if (kept.length < options.length) {
+                warn(`dropped ${options.length - kept.length} empty option(s)`);
+            }
+            source.options = kept.map(optionIndex => String(options[optionIndex]));
+
+            const answer = QuestionTypes.normalizeAnswer(question, question.correctAnswer) || [];
+            const mapped = answer.map(optionIndex => (optionIndex === null ? -1 : kept.indexOf(optionIndex)));
+            source.correctAnswer = type === 'matching'
+                ? mapped.map(optionIndex => (optionIndex < 0 ? null : optionIndex))
+                : mapped.filter(optionIndex => optionIndex >= 0);
+        }
+
+        if (type === 'matching') {
+            const items = Array.isArray(question.items) ? question.items : [];
+            const keptItems = items.map((_, item) => item).filter(item => isText(items[item]));
+            if (keptItems.length < items.length) {
+                warn(`dropped ${items.length - keptItems.length} empty item(s)`);
+            }
+            source.items = keptItems.map(item => String(items[item]));
+            source.correctAnswer = keptItems.map(item => source.correctAnswer[item]);
+        }
+
+        const nativeQuestion = {
+            type,
+            text: isText(question.text) ? String(question.text).trim() : '',
+            options: type === 'fillin' ? [] : source.options
+        };
+        if (type === 'matching') {
+            nativeQuestion.items = source.items;
+        }
+        nativeQuestion.correctAnswer = QuestionTypes.fitCorrectAnswer(source);
+
+        if (question.topic) {
+            nativeQuestion.topic = String(question.topic);
+        }
+        if (Array.isArray(question.exhibits) && question.exhibits.length > 0) {
+            nativeQuestion.exhibits = Exhibits.normalize(question.exhibits);
+        }
+        if (question.explanation) {
+            nativeQuestion.explanation = String(question.explanation);
+        }
+        if (Scoring.getWeight(question) !== 1) {
+            nativeQuestion.weight = Scoring.getWeight(question);
+        }
+        if (Array.isArray(question.sources) && question.sources.length > 0) {
+            nativeQuestion.sources = question.sources.map(sourceEntry => {
+                const nativeSource = { file: String(sourceEntry.file) };
+                if (Number.isInteger(sourceEntry.number)) {
+                    nativeSource.number = sourceEntry.number;
+                }
+                if (sourceEntry.correctAnswer !== undefined) {
+                    nativeSource.correctAnswer = QuestionTypes.normalizeAnswer(question, sourceEntry.correctAnswer);
+                }
+                return nativeSource;
+            });
+        }
+        if (question.answerConflict) {
+            nativeQuestion.answerConflict = true;
+        }
+
+        return nativeQuestion;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExamFormat;
+}
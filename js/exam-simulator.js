@@ -4,35 +4,109 @@
 class ExamSimulator {
     constructor() {
         this.questions = [];
+        this.bankQuestions = null; // Full bank in file order while an attempt uses a shuffled or partial copy
         this.currentQuestionIndex = 0;
         this.timeRemaining = 0;
+        this.deadline = null; // Wall-clock end time in milliseconds (exam mode)
+        this.examName = '';
+        this.parseReport = null;
+        this.mergeGroups = null; // Duplicate groups of a bank merged from several files, see BankMerger
+        this.metadata = {};
+        this.scoring = Scoring.normalizeSettings(); // Pass mark and score scale
+        this.attempt = null; // Shuffle settings of the current attempt ({ seed, shuffleQuestions, shuffleOptions })
+        this.startedAt = null;
+        this.questionShownAt = null; // When the current question was shown, for its timeSpent
         this.mode = 'study'; // 'study' or 'exam'
         this.timer = null;
         this.score = 0;
         this.examDuration = 60; // Default 60 minutes
         this.examInProgress = false;
         this.examCompleted = false;
+        this.results = null; // Results of the ended exam, from endExam()
+        this.listeners = new Map(); // Event name -> Set of listeners, see on()
+        this.timeWarningsGiven = new Set(); // Thresholds from TIME_WARNINGS already passed in this exam
+    }
+
+    /**
+     * Subscribe to an event
+     *
+     * - questionChanged: the current question changed; receives the data of getCurrentQuestion()
+     * - answered: the current question was answered; receives { questionIndex, question, result }
+     * - tick: the time remaining changed (exam mode); receives { timeRemaining } in seconds
+     * - timeWarning: the time remaining passed one of TIME_WARNINGS; receives { timeRemaining, threshold }
+     * - timeUp: the deadline passed; the exam is ended right after; receives { deadline }
+     * - examEnded: the exam was scored; receives { results, timeUp }
+     * @param {string} event - The event name
+     * @param {Function} listener - Called with the event details
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!ExamSimulator.EVENTS.includes(event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - The event name
+     * @param {Function} listener - The listener passed to on()
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Call the listeners of an event; a failing listener does not stop the others
+     * @param {string} event - The event name
+     * @param {Object} detail - The event details
+     */
+    emit(event, detail) {
+        (this.listeners.get(event) || new Set()).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
     }
 
     /**
      * Load exam from a file
      * @param {File} file - The exam file (VCE or PDF)
-     * @returns {Promise} - Resolves when the exam is loaded
+     * @param {Object} [options] - Parse options
+     * @param {Function} [options.onProgress] - Called with { stage, message, current, total } while a VCE or PDF file is parsed
+     * @param {AbortSignal} [options.signal] - Signal that cancels parsing; the promise then rejects with an AbortError
+     * @returns {Promise<Object>} - Resolves with the question count and parse report
      */
-    async loadExam(file) {
+    async loadExam(file, options = {}) {
         return new Promise(async (resolve, reject) => {
             try {
-                // Determine file type and parse accordingly
-                if (file.name.toLowerCase().endsWith('.vce')) {
-                    this.questions = await VCEParser.parse(file);
-                } else if (file.name.toLowerCase().endsWith('.pdf')) {
-                    this.questions = await PDFParser.parse(file);
-                } else {
-                    throw new Error('Unsupported file format. Please use VCE or PDF files.');
+                const result = await this.parseFile(file, options);
+
+                // A cancelled load keeps the previous exam
+                this.examName = file.name;
+                this.questions = result.questions;
+                this.bankQuestions = null;
+                this.mergeGroups = null;
+                this.parseReport = result.report;
+                this.metadata = result.metadata || { title: file.name.replace(/\.[^/.]+$/, '') };
+                this.scoring = Scoring.normalizeSettings(result.scoring);
+                if (result.metadata) {
+                    this.examName = result.metadata.title;
                 }
 
                 if (!this.questions || this.questions.length === 0) {
-                    throw new Error('No questions found in the file.');
+                    // Keep the report so the reason can be shown
+                    const error = new Error('No questions found in the file.');
+                    error.report = result.report;
+                    throw error;
                 }
 
                 // Reset exam state
@@ -41,7 +115,8 @@ class ExamSimulator {
                 this.examCompleted = false;
 
                 resolve({
-                    questionCount: this.questions.length
+                    questionCount: this.questions.length,
+                    report: this.parseReport
                 });
             } catch (error) {
                 reject(error);
@@ -49,12 +124,333 @@ class ExamSimulator {
         });
     }
 
+    /**
+     * Load several exam files into one bank, merging duplicate questions
+     * @param {Array<File>} files - The exam files (VCE, PDF or JSON)
+     * @param {Object} [options] - Parse options, as for loadExam()
+     * @returns {Promise<Object>} - The question count, each file's parse report and the merge summary
+     *                              ({ questionCount, reports, merge }), see BankMerger.merge()
+     */
+    async loadExams(files, options = {}) {
+        const sources = [];
+        const reports = [];
+
+        for (const [index, file] of files.entries()) {
+            const onProgress = options.onProgress && (progress => options.onProgress({
+                ...progress,
+                message: `${file.name} (${index + 1} of ${files.length}): ${progress.message}`
+            }));
+
+            let result;
+            try {
+                result = await this.parseFile(file, { ...options, onProgress });
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    error.message = `${file.name}: ${error.message}`;
+                }
+                throw error;
+            }
+
+            sources.push({ name: file.name, questions: result.questions });
+            reports.push(result.report);
+        }
+
+        const merge = BankMerger.merge(sources);
+        if (merge.questions.length === 0) {
+            const error = new Error('No questions found in the files.');
+            error.report = reports[0];
+            throw error;
+        }
+
+        // A cancelled load keeps the previous exam
+        const names = files.map(file => file.name.replace(/\.[^/.]+$/, ''));
+        this.examName = `Merged: ${names.join(', ')}`;
+        this.metadata = { title: this.examName, source: files.map(file => file.name).join(', ') };
+        this.scoring = Scoring.normalizeSettings();
+        this.parseReport = null;
+        this.mergeGroups = merge.groups;
+        this.setQuestions(merge.questions);
+
+        return {
+            questionCount: this.questions.length,
+            reports,
+            merge: { groups: merge.groups, duplicates: merge.duplicates, similar: merge.similar, conflicts: merge.conflicts }
+        };
+    }
+
+    /**
+     * Rebuild a merged bank, keeping the chosen near duplicates as separate questions
+     * @param {Set<number>|Array<number>} separate - Ids of the 'similar' groups to keep apart, see BankMerger.buildBank()
+     * @returns {Object} - The question count and merge summary ({ questionCount, duplicates, similar, conflicts })
+     */
+    applyMerge(separate) {
+        if (!this.mergeGroups) {
+            throw new Error('The loaded bank was not merged from several files.');
+        }
+
+        const questions = BankMerger.buildBank(this.mergeGroups, { separate });
+        this.setQuestions(questions);
+
+        return {
+            questionCount: questions.length,
+            ...BankMerger.summarize(this.mergeGroups, questions)
+        };
+    }
+
+    /**
+     * Replace the loaded questions and reset the exam state
+     * @param {Array} questions - The question objects
+     */
+    setQuestions(questions) {
+        this.questions = questions.map(question => ({ ...question, userAnswer: null }));
+        this.bankQuestions = null;
+        this.currentQuestionIndex = 0;
+        this.score = 0;
+        this.examCompleted = false;
+    }
+
+    /**
+     * Parse an exam file by its extension; VCE and PDF files are parsed in a worker
+     * @param {File} file - The exam file
+     * @param {Object} [options] - Parse options, as for loadExam()
+     * @returns {Promise<Object>} - The parser output ({ questions, report }, plus metadata and scoring for native files)
+     */
+    async parseFile(file, options = {}) {
+        const name = file.name.toLowerCase();
+
+        if (name.endsWith('.vce')) {
+            return BackgroundParser.parse('vce', file, options);
+        }
+        if (name.endsWith('.pdf')) {
+            return BackgroundParser.parse('pdf', file, options);
+        }
+        if (name.endsWith('.json')) {
+            // Native exam files load directly; other JSON goes through the VCE parser's shape detection
+            const data = await ExamFormat.readFile(file);
+            return ExamFormat.isNativeFormat(data)
+                ? ExamFormat.parse(data, file.name)
+                : BackgroundParser.parse('vce', file, options);
+        }
+        throw new Error('Unsupported file format. Please use VCE, PDF or JSON files.');
+    }
+
+    /**
+     * Load a question bank saved with getBank()
+     * @param {Object} bank - The saved bank ({ name, metadata, questions })
+     * @returns {Object} - The question count
+     */
+    loadBank(bank) {
+        if (!bank || !Array.isArray(bank.questions) || bank.questions.length === 0) {
+            throw new Error('The question bank does not contain any questions.');
+        }
+
+        this.examName = bank.name || '';
+        this.parseReport = null;
+        this.mergeGroups = null;
+        this.bankQuestions = null;
+        this.metadata = { ...(bank.metadata || {}), title: this.examName };
+        this.scoring = Scoring.normalizeSettings(bank.scoring);
+        this.questions = bank.questions.map(question => {
+            const loaded = {
+                ...question,
+                text: question.text || '',
+                options: Array.isArray(question.options) ? [...question.options] : [],
+                explanation: question.explanation || '',
+                userAnswer: null
+            };
+            loaded.correctAnswer = QuestionTypes.fitCorrectAnswer(loaded);
+            return loaded;
+        });
+
+        // Reset exam state
+        this.currentQuestionIndex = 0;
+        this.score = 0;
+        this.examCompleted = false;
+
+        return {
+            questionCount: this.questions.length
+        };
+    }
+
+    /**
+     * Get the loaded questions as a question bank for saving or export
+     * @param {string} [name] - The bank name (defaults to the exam name)
+     * @returns {Object} - The bank ({ name, savedAt, metadata, scoring, questions }) without attempt state
+     */
+    getBank(name = this.examName) {
+        return {
+            name,
+            savedAt: Date.now(),
+            metadata: { ...this.metadata, title: name },
+            scoring: { ...this.scoring },
+            questions: this.getBankQuestions().map(question => {
+                // Attempt state is not part of the bank
+                const { userAnswer, flagged, timeSpent, visits, ...bankQuestion } = question;
+                return {
+                    ...bankQuestion,
+                    options: [...question.options],
+                    ...(Array.isArray(question.items) ? { items: [...question.items] } : {}),
+                    correctAnswer: [...question.correctAnswer],
+                    explanation: question.explanation || ''
+                };
+            })
+        };
+    }
+
+    /**
+     * Get the loaded questions in the native exam format
+     * @param {string} [title] - The exam title (defaults to the exam name)
+     * @param {Object} [options] - Export options ({ onWarning }), see ExamFormat.fromQuestions()
+     * @returns {Object} - Native exam data, see ExamFormat
+     */
+    toExamFormat(title = this.examName, options = {}) {
+        const metadata = { ...this.metadata, title: title || 'Untitled exam' };
+        if (!metadata.source && this.parseReport) {
+            metadata.source = this.parseReport.fileName;
+        }
+        return ExamFormat.fromQuestions(this.getBankQuestions(), metadata, this.scoring, options);
+    }
+
+    /**
+     * Change the scoring settings of the loaded exam
+     * @param {Object} settings - Settings ({ passMark, scaleMin, scaleMax, policy, penalty, unanswered });
+     *                            missing values use the defaults
+     * @returns {Object} - The complete settings
+     */
+    setScoring(settings) {
+        this.scoring = Scoring.normalizeSettings(settings);
+        return this.scoring;
+    }
+
+    /**
+     * Update a question in the bank
+     * @param {number} index - The question index
+     * @param {Object} changes - Fields to change (type, text, options, items, correctAnswer, explanation, topic,
+     *                           weight; items: null removes the items, answerConflict: false marks a conflict
+     *                           as resolved)
+     * @returns {Object} - The updated question
+     */
+    updateQuestion(index, changes) {
+        const question = this.questions[index];
+        if (!question) {
+            throw new Error('Invalid question index');
+        }
+
+        if (changes.type !== undefined) {
+            if (!QuestionTypes.TYPES.includes(changes.type)) {
+                throw new Error(`Unknown question type: ${changes.type}`);
+            }
+            question.type = changes.type;
+        }
+        if (changes.text !== undefined) {
+            question.text = String(changes.text);
+        }
+        if (changes.options !== undefined) {
+            question.options = changes.options.map(option => String(option));
+        }
+        if (changes.items === null) {
+            delete question.items;
+        } else if (changes.items !== undefined) {
+            question.items = changes.items.map(item => String(item));
+        }
+        if (changes.correctAnswer !== undefined) {
+            question.correctAnswer = QuestionTypes.normalizeAnswer(question, changes.correctAnswer);
+        }
+        if (changes.explanation !== undefined) {
+            question.explanation = String(changes.explanation);
+        }
+        if (changes.topic !== undefined) {
+            question.topic = String(changes.topic).trim();
+        }
+        if (changes.weight !== undefined) {
+            question.weight = Scoring.getWeight({ weight: changes.weight });
+        }
+        if (changes.answerConflict === false) {
+            // The merged copies disagreed on the answer and the user has checked it
+            delete question.answerConflict;
+        }
+
+        // Keep the answer pointing at options and items that still exist
+        question.correctAnswer = QuestionTypes.fitCorrectAnswer(question);
+
+        return question;
+    }
+
+    /**
+     * Add a blank question to the end of the bank
+     * @returns {number} - The index of the new question
+     */
+    addQuestion() {
+        this.questions.push({
+            text: '',
+            options: ['', ''],
+            correctAnswer: [0],
+            explanation: '',
+            topic: '',
+            userAnswer: null
+        });
+        return this.questions.length - 1;
+    }
+
+    /**
+     * Remove a question from the bank
+     * @param {number} index - The question index
+     */
+    removeQuestion(index) {
+        if (index < 0 || index >= this.questions.length) {
+            throw new Error('Invalid question index');
+        }
+        this.questions.splice(index, 1);
+        this.currentQuestionIndex = Math.min(this.currentQuestionIndex, Math.max(this.questions.length - 1, 0));
+    }
+
+    /**
+     * Move a question to a new position in the bank
+     * @param {number} fromIndex - The current question index
+     * @param {number} toIndex - The new question index
+     */
+    moveQuestion(fromIndex, toIndex) {
+        if (fromIndex < 0 || fromIndex >= this.questions.length || toIndex < 0 || toIndex >= this.questions.length) {
+            throw new Error('Invalid question index');
+        }
+        const [question] = this.questions.splice(fromIndex, 1);
+        this.questions.splice(toIndex, 0, question);
+    }
+
     /**
      * Start the exam
      * @param {string} mode - 'study' or 'exam'
      * @param {number} duration - Duration in minutes (for exam mode)
+     * @param {Object} [options] - Attempt options
+     * @param {boolean} [options.shuffleQuestions] - Present the questions in random order
+     * @param {boolean} [options.shuffleOptions] - Present each question's options in random order
+     * @param {number|string} [options.seed] - Seed to reproduce an earlier attempt (random if omitted)
+     * @param {Array<number>} [options.questionIndices] - Bank indices of the questions to ask (all if omitted)
+     * @param {boolean} [options.spacedRepetition] - Record outcomes for spaced-repetition scheduling
      */
-    startExam(mode, duration) {
+    startExam(mode, duration, options = {}) {
+        // Shuffle from file order so the same seed always gives the same attempt
+        const shuffleQuestions = !!options.shuffleQuestions;
+        const shuffleOptions = !!options.shuffleOptions;
+        const seed = SeededRandom.normalizeSeed(options.seed);
+        const attempt = {
+            seed: seed !== null ? seed : SeededRandom.createSeed(),
+            shuffleQuestions,
+            shuffleOptions,
+            questionIndices: Array.isArray(options.questionIndices) ? [...options.questionIndices] : null,
+            spacedRepetition: !!options.spacedRepetition
+        };
+        const bankQuestions = this.getBankQuestions();
+        const questions = this.shuffleQuestions(bankQuestions, attempt);
+
+        if (questions.length === 0) {
+            throw new Error('No questions were selected for this attempt.');
+        }
+
+        this.attempt = attempt;
+        this.bankQuestions = bankQuestions;
+        this.questions = questions;
+        this.startedAt = Date.now();
         this.mode = mode;
         this.examDuration = duration;
         this.currentQuestionIndex = 0;
@@ -62,37 +458,356 @@ class ExamSimulator {
         this.examInProgress = true;
         this.examCompleted = false;
 
-        // Reset user answers
+        // Reset user answers, review flags and timing
         this.questions.forEach(question => {
             question.userAnswer = null;
+            question.flagged = false;
+            question.timeSpent = 0; // Milliseconds over all visits
+            question.visits = 0;
         });
+        this.questions[0].visits = 1;
+        this.questionShownAt = Date.now();
 
         // Start timer for exam mode
+        this.timeWarningsGiven.clear();
         if (mode === 'exam') {
             this.timeRemaining = duration * 60; // Convert to seconds
+            this.deadline = Date.now() + this.timeRemaining * 1000;
             this.startTimer();
+        } else {
+            this.deadline = null;
+        }
+
+        this.saveSession();
+
+        return this.emitQuestionChanged();
+    }
+
+    /**
+     * Start a spaced-repetition study session with the questions that are due or weak
+     * @param {Object} [options] - Attempt options, as for startExam()
+     * @param {number} [options.limit] - Maximum number of questions in the session
+     * @returns {Promise<Object>} - The current question
+     */
+    async startSpacedRepetition(options = {}) {
+        const bank = this.getBankQuestions();
+        const fingerprints = bank.map(question => QuestionUtils.fingerprint(question));
+        const records = await ExamStorage.loadAllProgress();
+
+        const questionIndices = SpacedRepetition.selectQuestions(fingerprints, records, { limit: options.limit });
+        if (questionIndices.length === 0) {
+            throw new Error('No questions are due for review. Come back later or start a regular study session.');
+        }
+
+        return this.startExam('study', this.examDuration, { ...options, questionIndices, spacedRepetition: true });
+    }
+
+    /**
+     * Start an exam built from part of the bank
+     * @param {string} mode - 'study' or 'exam'
+     * @param {Object} settings - Builder settings, see ExamBuilder.normalizeSettings()
+     * @param {Object} [options] - Attempt options, as for startExam(); the seed also draws the questions
+     * @returns {Promise<Object>} - The current question
+     */
+    async startCustomExam(mode, settings, options = {}) {
+        const normalizedSeed = SeededRandom.normalizeSeed(options.seed);
+        const seed = normalizedSeed !== null ? normalizedSeed : SeededRandom.createSeed();
+        const { questionIndices, duration } = await this.buildExam(settings, seed);
+        if (questionIndices.length === 0) {
+            throw new Error('No questions match the selected filters.');
         }
 
-        return this.getCurrentQuestion();
+        return this.startExam(mode, duration, { ...options, seed, questionIndices });
+    }
+
+    /**
+     * Pick the questions of a custom exam without starting it
+     * @param {Object} settings - Builder settings, see ExamBuilder.normalizeSettings()
+     * @param {number} [seed] - Seed that draws the questions
+     * @returns {Promise<Object>} - Bank indices, the number of matching questions before the draw and
+     *                              the duration in minutes ({ questionIndices, matching, duration })
+     */
+    async buildExam(settings, seed = SeededRandom.createSeed()) {
+        const normalized = ExamBuilder.normalizeSettings(settings);
+        const bank = this.getBankQuestions();
+        const history = ExamBuilder.needsHistory(normalized)
+            ? ExamBuilder.getHistory(await ExamStorage.listAttempts())
+            : new Map();
+
+        const matching = ExamBuilder.filterQuestions(bank, normalized, history).length;
+        const questionIndices = ExamBuilder.selectQuestions(bank, normalized, history, seed);
+        return {
+            questionIndices,
+            matching,
+            duration: ExamBuilder.getDuration(normalized, questionIndices.length, this.examDuration)
+        };
+    }
+
+    /**
+     * Get the spaced-repetition status of the loaded bank
+     * @returns {Promise<Object>} - Counts of due, weak, new and learned questions
+     */
+    async getReviewStatus() {
+        const fingerprints = this.getBankQuestions().map(question => QuestionUtils.fingerprint(question));
+        const records = await ExamStorage.loadAllProgress();
+        return SpacedRepetition.getStatus(fingerprints, records);
+    }
+
+    /**
+     * Record the outcome of an answer for spaced-repetition scheduling
+     * @param {Object} question - The answered question
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @returns {Promise} - Resolves when the progress is saved
+     */
+    async recordProgress(question, isCorrect) {
+        const fingerprint = QuestionUtils.fingerprint(question);
+        const record = (await ExamStorage.loadProgress(fingerprint)) || SpacedRepetition.createRecord(fingerprint);
+        return ExamStorage.saveProgress(SpacedRepetition.recordOutcome(record, isCorrect));
+    }
+
+    /**
+     * Get the full question bank in file order, without attempt state
+     * @returns {Array} - The bank questions
+     */
+    getBankQuestions() {
+        return this.bankQuestions || this.getOriginalQuestions();
+    }
+
+    /**
+     * Put questions into the order of an attempt
+     * @param {Array} questions - The questions in file order
+     * @param {Object} attempt - The attempt settings ({ seed, shuffleQuestions, shuffleOptions, questionIndices })
+     * @returns {Array} - Question copies in the order shown, with originalIndex and optionOrder
+     *                    recording where each question and option came from
+     */
+    shuffleQuestions(questions, attempt) {
+        const random = SeededRandom.create(attempt.seed);
+        const identity = length => Array.from({ length }, (_, index) => index);
+
+        const selected = Array.isArray(attempt.questionIndices)
+            ? attempt.questionIndices.filter(index => index >= 0 && index < questions.length)
+            : identity(questions.length);
+        const questionOrder = attempt.shuffleQuestions
+            ? SeededRandom.permutation(selected.length, random).map(position => selected[position])
+            : selected;
+
+        return questionOrder.map(originalIndex => {
+            const question = questions[originalIndex];
+            const optionOrder = attempt.shuffleOptions && QuestionTypes.canShuffleOptions(question)
+                ? SeededRandom.permutation(question.options.length, random)
+                : identity(question.options.length);
+
+            return {
+                ...question,
+                originalIndex,
+                optionOrder,
+                options: optionOrder.map(index => question.options[index]),
+                correctAnswer: QuestionTypes.toDisplayedAnswer(question, question.correctAnswer, optionOrder),
+                userAnswer: QuestionTypes.toDisplayedAnswer(question, question.userAnswer, optionOrder)
+            };
+        });
+    }
+
+    /**
+     * Get the questions in file order with their original options, undoing any shuffle
+     * @returns {Array} - The questions without originalIndex and optionOrder
+     */
+    getOriginalQuestions() {
+        const isShuffled = this.questions.length > 0 && this.questions.every(question =>
+            Number.isInteger(question.originalIndex) &&
+            Array.isArray(question.optionOrder) &&
+            question.optionOrder.length === question.options.length);
+        const originalIndices = new Set(this.questions.map(question => question.originalIndex));
+
+        // Questions edited or added after shuffling can no longer be mapped back, so keep them as they are
+        if (!isShuffled || originalIndices.size !== this.questions.length) {
+            return this.questions.map(question => {
+                const { originalIndex, optionOrder, ...originalQuestion } = question;
+                return originalQuestion;
+            });
+        }
+
+        const originals = [];
+        this.questions.forEach(question => {
+            const { originalIndex, optionOrder, ...originalQuestion } = question;
+            const options = [];
+            optionOrder.forEach((optionIndex, position) => {
+                options[optionIndex] = question.options[position];
+            });
+
+            originals.push({
+                ...originalQuestion,
+                originalIndex,
+                options,
+                correctAnswer: QuestionTypes.toOriginalAnswer(question, question.correctAnswer, optionOrder),
+                userAnswer: QuestionTypes.toOriginalAnswer(question, question.userAnswer, optionOrder)
+            });
+        });
+
+        return originals
+            .sort((a, b) => a.originalIndex - b.originalIndex)
+            .map(({ originalIndex, ...question }) => question);
+    }
+
+    /**
+     * Get a snapshot of the in-progress exam for persistence
+     * @returns {Object} - Serializable exam state
+     */
+    getSnapshot() {
+        return {
+            examName: this.examName,
+            questions: this.questions,
+            bankQuestions: this.bankQuestions,
+            attempt: this.attempt,
+            scoring: this.scoring,
+            startedAt: this.startedAt,
+            currentQuestionIndex: this.currentQuestionIndex,
+            mode: this.mode,
+            examDuration: this.examDuration,
+            deadline: this.deadline,
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * Save the in-progress exam so it can be resumed after a reload
+     * @returns {Promise} - Resolves when the snapshot is stored
+     */
+    saveSession() {
+        if (!this.examInProgress) {
+            return Promise.resolve();
+        }
+
+        this.recordQuestionTime();
+        return ExamStorage.saveSession(this.getSnapshot()).catch(error => {
+            console.warn('Failed to save exam session:', error);
+        });
+    }
+
+    /**
+     * Resume an exam from a saved snapshot
+     * @param {Object} snapshot - Snapshot from getSnapshot()
+     * @returns {Object} - The current question
+     */
+    restoreSession(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.questions) || snapshot.questions.length === 0) {
+            throw new Error('The saved session does not contain any questions.');
+        }
+
+        this.examName = snapshot.examName || '';
+        this.questions = snapshot.questions;
+        this.attempt = snapshot.attempt || null;
+        this.bankQuestions = snapshot.bankQuestions || null;
+        this.scoring = Scoring.normalizeSettings(snapshot.scoring);
+        this.startedAt = snapshot.startedAt || snapshot.savedAt || Date.now();
+        this.currentQuestionIndex = Math.min(snapshot.currentQuestionIndex || 0, this.questions.length - 1);
+        this.mode = snapshot.mode === 'exam' ? 'exam' : 'study';
+        this.examDuration = snapshot.examDuration;
+        this.deadline = snapshot.deadline || null;
+        this.score = 0;
+        this.examInProgress = true;
+        this.examCompleted = false;
+
+        // Time away from the page is not counted against any question
+        this.questionShownAt = Date.now();
+
+        // The timer keeps running while the page is closed, so restore it from the deadline
+        this.timeWarningsGiven.clear();
+        if (this.mode === 'exam' && this.deadline) {
+            this.timeRemaining = this.getTimeRemaining();
+            if (this.timeRemaining > 0) {
+                this.startTimer();
+            }
+        }
+
+        return this.emitQuestionChanged();
     }
 
     /**
      * Start the exam timer
      */
     startTimer() {
-        // Clear any existing timer
+        this.stopTimer();
+
+        // The time is read from the deadline, so late ticks (for example in a background tab) cause no drift.
+        // Ticking more often than once a second keeps the display from skipping seconds.
+        this.timer = setInterval(() => this.updateTime(), 250);
+        this.emit('tick', { timeRemaining: this.timeRemaining });
+        this.updateTime();
+    }
+
+    /**
+     * Stop the exam timer
+     */
+    stopTimer() {
         if (this.timer) {
             clearInterval(this.timer);
+            this.timer = null;
         }
+    }
 
-        this.timer = setInterval(() => {
-            this.timeRemaining--;
-            
-            // Check if time is up
-            if (this.timeRemaining <= 0) {
-                this.endExam();
-            }
-        }, 1000);
+    /**
+     * Get the time remaining until the deadline
+     * @returns {number} - Whole seconds remaining (0 once the deadline has passed)
+     */
+    getTimeRemaining() {
+        return this.deadline ? Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000)) : 0;
+    }
+
+    /**
+     * Update the time remaining from the deadline, emitting tick, timeWarning and timeUp,
+     * and end the exam once the deadline has passed. Called by the timer; call it directly
+     * when a throttled page becomes visible again.
+     */
+    updateTime() {
+        if (!this.examInProgress || this.mode !== 'exam' || !this.deadline) {
+            return;
+        }
+
+        const timeRemaining = this.getTimeRemaining();
+        if (timeRemaining !== this.timeRemaining) {
+            this.timeRemaining = timeRemaining;
+            this.emit('tick', { timeRemaining });
+        }
+
+        // A resumed exam may already be past several thresholds; warn once, with the lowest
+        const passed = ExamSimulator.TIME_WARNINGS.filter(threshold =>
+            timeRemaining <= threshold && !this.timeWarningsGiven.has(threshold));
+        if (passed.length > 0 && timeRemaining > 0) {
+            passed.forEach(threshold => this.timeWarningsGiven.add(threshold));
+            this.emit('timeWarning', { timeRemaining, threshold: Math.min(...passed) });
+        }
+
+        if (timeRemaining === 0) {
+            this.emit('timeUp', { deadline: this.deadline });
+            this.endExam({ timeUp: true });
+        }
+    }
+
+    /**
+     * Add the time since the current question was shown to its timeSpent
+     */
+    recordQuestionTime() {
+        if (this.examInProgress && this.questionShownAt !== null) {
+            const question = this.questions[this.currentQuestionIndex];
+            const now = Date.now();
+            question.timeSpent = (question.timeSpent || 0) + (now - this.questionShownAt);
+            this.questionShownAt = now;
+        }
+    }
+
+    /**
+     * Get the pace of an exam in progress: the time used against the time the answered questions should take
+     * @returns {Object|null} - Pace from Timing.getPace(), or null outside exam mode
+     */
+    getPace() {
+        if (!this.examInProgress || this.mode !== 'exam') {
+            return null;
+        }
+
+        const duration = this.examDuration * 60;
+        const answered = this.questions.filter(question => QuestionTypes.isAnswered(question)).length;
+        return Timing.getPace(duration - this.timeRemaining, answered, this.questions.length, duration);
     }
 
     /**
@@ -120,26 +835,81 @@ class ExamSimulator {
 
     /**
      * Answer the current question
-     * @param {number} answerIndex - The index of the selected answer
+     * @param {number|Array} answer - The selected answer index, or an answer in the shape of the question's type
+     *                                (see QuestionTypes)
      * @returns {Object} - Result object with feedback
      */
-    answerQuestion(answerIndex) {
+    answerQuestion(answer) {
+        // Reviewing an ended exam must not change the results it was scored on
+        if (this.examCompleted) {
+            throw new Error('The exam has ended; answers can no longer be changed.');
+        }
+        
         const question = this.questions[this.currentQuestionIndex];
-        question.userAnswer = answerIndex;
+        question.userAnswer = QuestionTypes.normalizeAnswer(question, answer);
 
-        const isCorrect = answerIndex === question.correctAnswer;
+        const isCorrect = QuestionTypes.isCorrect(question);
+        const isComplete = QuestionTypes.isAnswered(question);
         
-        // In study mode, we can provide immediate feedback
-        if (this.mode === 'study') {
-            return {
+        this.saveSession();
+        
+        if (this.attempt && this.attempt.spacedRepetition && isComplete) {
+            this.recordProgress(question, isCorrect).catch(error => {
+                console.warn('Failed to save study progress:', error);
+            });
+        }
+        
+        // In study mode, we can provide immediate feedback once all answers are chosen;
+        // in exam mode, just record the answer without feedback
+        const result = this.mode === 'study' && isComplete
+            ? {
                 isCorrect,
                 correctAnswer: question.correctAnswer,
                 explanation: question.explanation || 'No explanation available.'
-            };
-        }
+            }
+            : { recorded: true };
+
+        this.emit('answered', { questionIndex: this.currentQuestionIndex, question, result });
+        return result;
+    }
+
+    /**
+     * Toggle the "flag for review" marker on the current question
+     * @returns {boolean} - True if the question is now flagged
+     */
+    toggleFlag() {
+        const question = this.questions[this.currentQuestionIndex];
+        question.flagged = !question.flagged;
+        this.saveSession();
+        return question.flagged;
+    }
+
+    /**
+     * Get the answered/flagged status of every question
+     * @returns {Array<Object>} - Status objects in question order
+     */
+    getQuestionStatuses() {
+        return this.questions.map((question, index) => ({
+            index,
+            answered: QuestionTypes.isAnswered(question),
+            flagged: !!question.flagged,
+            current: index === this.currentQuestionIndex
+        }));
+    }
+
+    /**
+     * Get a summary of unanswered and flagged questions before finishing
+     * @returns {Object} - Indices of unanswered and flagged questions
+     */
+    getSummary() {
+        const statuses = this.getQuestionStatuses();
 
-        // In exam mode, just record the answer without feedback
-        return { recorded: true };
+        return {
+            totalQuestions: this.questions.length,
+            answeredQuestions: statuses.filter(status => status.answered).length,
+            unanswered: statuses.filter(status => !status.answered).map(status => status.index),
+            flagged: statuses.filter(status => status.flagged).map(status => status.index)
+        };
     }
 
     /**
@@ -148,8 +918,7 @@ class ExamSimulator {
      */
     nextQuestion() {
         if (this.currentQuestionIndex < this.questions.length - 1) {
-            this.currentQuestionIndex++;
-            return this.getCurrentQuestion();
+            return this.showQuestion(this.currentQuestionIndex + 1);
         }
         return null;
     }
@@ -160,8 +929,7 @@ class ExamSimulator {
      */
     previousQuestion() {
         if (this.currentQuestionIndex > 0) {
-            this.currentQuestionIndex--;
-            return this.getCurrentQuestion();
+            return this.showQuestion(this.currentQuestionIndex - 1);
         }
         return null;
     }
@@ -173,44 +941,128 @@ class ExamSimulator {
      */
     jumpToQuestion(index) {
         if (index >= 0 && index < this.questions.length) {
-            this.currentQuestionIndex = index;
-            return this.getCurrentQuestion();
+            return this.showQuestion(index);
         }
         throw new Error('Invalid question index');
     }
 
+    /**
+     * Make another question current, charging the time so far to the one being left
+     * @param {number} index - The question index
+     * @returns {Object} - The question, as from getCurrentQuestion()
+     */
+    showQuestion(index) {
+        this.recordQuestionTime();
+        this.currentQuestionIndex = index;
+        if (this.examInProgress) {
+            const question = this.questions[index];
+            question.visits = (question.visits || 0) + 1;
+        }
+        this.saveSession();
+        return this.emitQuestionChanged();
+    }
+
+    /**
+     * Emit questionChanged for the current question
+     * @returns {Object} - The current question, as from getCurrentQuestion()
+     */
+    emitQuestionChanged() {
+        const questionData = this.getCurrentQuestion();
+        this.emit('questionChanged', questionData);
+        return questionData;
+    }
+
     /**
      * End the exam and calculate the score
+     *
+     * Ending an exam that has already ended returns its results again without recording
+     * another attempt.
+     * @param {Object} [options] - End options
+     * @param {boolean} [options.timeUp] - The exam ended because the time ran out
      * @returns {Object} - Exam results
      */
-    endExam() {
-        // Stop the timer
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
+    endExam({ timeUp = false } = {}) {
+        if (this.examCompleted && this.results) {
+            return this.results;
         }
 
+        this.stopTimer();
+        this.recordQuestionTime();
+        this.questionShownAt = null;
+
         this.examInProgress = false;
         this.examCompleted = true;
 
-        // Calculate score
+        // A finished exam can no longer be resumed
+        ExamStorage.clearSession().catch(error => {
+            console.warn('Failed to clear exam session:', error);
+        });
+
+        // Count correct answers; the weighted score under the scoring policy comes from Scoring.calculate()
         this.score = 0;
         let answeredQuestions = 0;
 
         this.questions.forEach(question => {
-            if (question.userAnswer !== null && question.userAnswer !== undefined) {
+            if (QuestionTypes.isAnswered(question)) {
                 answeredQuestions++;
-                if (question.userAnswer === question.correctAnswer) {
+                if (QuestionTypes.isCorrect(question)) {
                     this.score++;
                 }
             }
         });
 
-        return {
+        const results = {
             score: this.score,
             totalQuestions: this.questions.length,
             answeredQuestions,
-            percentage: Math.round((this.score / this.questions.length) * 100)
+            percentage: Math.round((this.score / this.questions.length) * 100),
+            attempt: this.attempt,
+            timing: Timing.summarize(this.questions),
+            ...Scoring.calculate(this.questions, this.scoring)
+        };
+
+        this.results = results;
+        ExamStorage.saveAttempt(this.getAttemptRecord(results)).catch(error => {
+            console.warn('Failed to record attempt:', error);
+        });
+
+        this.emit('examEnded', { results, timeUp });
+        return results;
+    }
+
+    /**
+     * Build the history record of a finished attempt
+     * @param {Object} results - Results from endExam()
+     * @returns {Object} - The attempt record
+     */
+    getAttemptRecord(results) {
+        const finishedAt = Date.now();
+
+        return {
+            bankName: this.examName || 'Untitled exam',
+            mode: this.attempt && this.attempt.spacedRepetition ? 'spaced' : this.mode,
+            startedAt: this.startedAt || finishedAt,
+            finishedAt,
+            durationUsed: Math.max(0, Math.round((finishedAt - (this.startedAt || finishedAt)) / 1000)),
+            score: results.score,
+            totalQuestions: results.totalQuestions,
+            answeredQuestions: results.answeredQuestions,
+            percentage: results.percentage,
+            scaledScore: results.scaledScore,
+            scaleMax: results.scaleMax,
+            passMark: results.passMark,
+            passed: results.passed,
+            seed: this.attempt ? this.attempt.seed : null,
+            questions: this.questions.map((question, index) => ({
+                fingerprint: QuestionUtils.fingerprint(question),
+                originalNumber: (Number.isInteger(question.originalIndex) ? question.originalIndex : index) + 1,
+                text: (question.text || '').replace(/\s+/g, ' ').trim().substring(0, 200),
+                topic: question.topic || '',
+                answered: QuestionTypes.isAnswered(question),
+                isCorrect: QuestionTypes.isCorrect(question),
+                flagged: !!question.flagged,
+                timeSpent: Timing.getTimeSpent(question)
+            }))
         };
     }
 
@@ -226,13 +1078,13 @@ class ExamSimulator {
                 totalQuestions: 0,
                 answeredQuestions: 0,
                 percentage: 0,
+                timing: Timing.summarize([]),
+                topics: [],
                 questions: []
             };
         }
 
-        const answeredQuestions = this.questions.filter(q => 
-            q.userAnswer !== null && q.userAnswer !== undefined
-        ).length;
+        const answeredQuestions = this.questions.filter(q => QuestionTypes.isAnswered(q)).length;
 
         // Ensure we don't divide by zero
         const percentage = this.questions.length > 0 
@@ -244,24 +1096,75 @@ class ExamSimulator {
             totalQuestions: this.questions.length,
             answeredQuestions,
             percentage,
-            questions: this.questions.map(q => ({
+            attempt: this.attempt,
+            ...Scoring.calculate(this.questions, this.scoring),
+            timing: Timing.summarize(this.questions),
+            topics: this.getTopicBreakdown(),
+            // Questions in the order the candidate saw them; originalNumber and optionOrder map back to the file
+            questions: this.questions.map((q, index) => ({
+                originalNumber: (Number.isInteger(q.originalIndex) ? q.originalIndex : index) + 1,
+                optionOrder: Array.isArray(q.optionOrder) ? q.optionOrder : (q.options || []).map((_, i) => i),
                 text: q.text || 'Question text not available',
+                topic: q.topic || '',
+                exhibits: Array.isArray(q.exhibits) ? q.exhibits : [],
+                type: QuestionTypes.getType(q),
                 options: Array.isArray(q.options) ? q.options : [],
+                items: Array.isArray(q.items) ? q.items : [],
                 userAnswer: q.userAnswer,
                 correctAnswer: q.correctAnswer,
-                isCorrect: q.userAnswer === q.correctAnswer,
+                isCorrect: QuestionTypes.isCorrect(q),
+                weight: Scoring.getWeight(q),
+                // Share of the weight earned under the scoring policy; null if left out
+                credit: Scoring.getCredit(q, this.scoring),
+                // Seconds over all visits
+                timeSpent: Timing.getTimeSpent(q),
+                visits: q.visits || 0,
                 explanation: q.explanation || 'No explanation available.'
             }))
         };
     }
 
+    /**
+     * Break the score down by topic, weakest topic first
+     * @param {number} [weakBelow] - Percentage below which a topic counts as weak (defaults to the pass mark)
+     * @returns {Array<Object>} - Topics as { topic, correct, total, percentage, weak, averageTime }, averageTime
+     *                           in seconds per question; empty if no question has a topic
+     */
+    getTopicBreakdown(weakBelow = Scoring.getPassPercentage(this.scoring)) {
+        if (!this.questions.some(question => question.topic)) {
+            return [];
+        }
+
+        const byTopic = new Map();
+        this.questions.forEach(question => {
+            const topic = question.topic || 'Uncategorized';
+            if (!byTopic.has(topic)) {
+                byTopic.set(topic, { topic, correct: 0, total: 0, questions: [] });
+            }
+
+            const entry = byTopic.get(topic);
+            entry.total++;
+            entry.questions.push(question);
+            if (QuestionTypes.isCorrect(question)) {
+                entry.correct++;
+            }
+        });
+
+        return [...byTopic.values()]
+            .map(({ questions, ...entry }) => {
+                const percentage = Math.round((entry.correct / entry.total) * 100);
+                return { ...entry, percentage, weak: percentage < weakBelow, averageTime: Timing.summarize(questions).average };
+            })
+            .sort((a, b) => a.percentage - b.percentage || a.topic.localeCompare(b.topic));
+    }
+
     /**
      * Switch to review mode after exam completion
      */
     switchToReviewMode() {
         this.mode = 'study';
         this.currentQuestionIndex = 0;
-        return this.getCurrentQuestion();
+        return this.emitQuestionChanged();
     }
 
     /**
@@ -285,15 +1188,33 @@ class ExamSimulator {
      */
     reset() {
         this.questions = [];
+        this.bankQuestions = null;
         this.currentQuestionIndex = 0;
         this.timeRemaining = 0;
+        this.deadline = null;
+        this.examName = '';
+        this.parseReport = null;
+        this.mergeGroups = null;
+        this.metadata = {};
+        this.scoring = Scoring.normalizeSettings();
+        this.attempt = null;
+        this.startedAt = null;
         this.score = 0;
         this.examInProgress = false;
         this.examCompleted = false;
-        
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
-        }
+        this.results = null;
+        this.questionShownAt = null;
+        this.timeWarningsGiven.clear();
+        this.stopTimer();
     }
 }
+
+/**
+ * Events emitted by ExamSimulator, see on()
+ */
+ExamSimulator.EVENTS = ['questionChanged', 'answered', 'tick', 'timeWarning', 'timeUp', 'examEnded'];
+
+/**
+ * Seconds remaining at which timeWarning is emitted
+ */
+ExamSimulator.TIME_WARNINGS = [300, 60];
@@ -0,0 +1,273 @@
+/**
+ * Exam Storage - Persists exam data locally using IndexedDB
+ */
+const ExamStorage = {
+    DB_NAME: 'exam-simulator',
+    DB_VERSION: 5,
+
+    /**
+     * Object stores and their creation options
+     */
+    STORES: {
+        sessions: {},
+        banks: { keyPath: 'name' },
+        progress: { keyPath: 'fingerprint' },
+        attempts: { keyPath: 'id', autoIncrement: true },
+        presets: { keyPath: 'name' }
+    },
+
+    /**
+     * Key of the in-progress session in the sessions store
+     */
+    SESSION_KEY: 'current',
+
+    dbPromise: null,
+
+    /**
+     * Open the database, creating any missing object stores
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(this.STORES).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Failed to open exam storage'));
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - The object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store and returns an IDBRequest
+     * @returns {Promise} - Resolves with the request result
+     */
+    async request(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || new Error(`Storage request on "${storeName}" failed`));
+            transaction.onabort = () => reject(transaction.error || new Error(`Storage request on "${storeName}" was aborted`));
+        });
+    },
+
+    /**
+     * Get a value from a store
+     * @param {string} storeName - The object store name
+     * @param {*} key - The key to read
+     * @returns {Promise<*>} - The stored value, or undefined
+     */
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    },
+
+    /**
+     * Get all values from a store
+     * @param {string} storeName - The object store name
+     * @returns {Promise<Array>} - The stored values in key order
+     */
+    getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    },
+
+    /**
+     * Write a value to a store
+     * @param {string} storeName - The object store name
+     * @param {*} value - The value to store
+     * @param {*} [key] - The key, for stores without a key path
+     * @returns {Promise<*>} - The key the value was stored under
+     */
+    put(storeName, value, key) {
+        return this.request(storeName, 'readwrite', store => (key === undefined ? store.put(value) : store.put(value, key)));
+    },
+
+    /**
+     * Delete all values from a store
+     * @param {string} storeName - The object store name
+     * @returns {Promise} - Resolves when the store is empty
+     */
+    clear(storeName) {
+        return this.request(storeName, 'readwrite', store => store.clear());
+    },
+
+    /**
+     * Delete a value from a store
+     * @param {string} storeName - The object store name
+     * @param {*} key - The key to delete
+     * @returns {Promise} - Resolves when the value is deleted
+     */
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    },
+
+    /**
+     * Save the in-progress exam session
+     * @param {Object} snapshot - Snapshot from ExamSimulator.getSnapshot()
+     * @returns {Promise} - Resolves when the session is saved
+     */
+    saveSession(snapshot) {
+        return this.put('sessions', snapshot, this.SESSION_KEY);
+    },
+
+    /**
+     * Load the in-progress exam session
+     * @returns {Promise<Object|null>} - The saved snapshot, or null if there is none
+     */
+    async loadSession() {
+        const snapshot = await this.get('sessions', this.SESSION_KEY);
+        return snapshot || null;
+    },
+
+    /**
+     * Remove the in-progress exam session
+     * @returns {Promise} - Resolves when the session is removed
+     */
+    clearSession() {
+        return this.delete('sessions', this.SESSION_KEY);
+    },
+
+    /**
+     * Save a question bank, replacing any bank with the same name
+     * @param {Object} bank - Bank from ExamSimulator.getBank()
+     * @returns {Promise} - Resolves when the bank is saved
+     */
+    saveBank(bank) {
+        return this.put('banks', bank);
+    },
+
+    /**
+     * Load a saved question bank
+     * @param {string} name - The bank name
+     * @returns {Promise<Object|null>} - The bank, or null if it does not exist
+     */
+    async loadBank(name) {
+        const bank = await this.get('banks', name);
+        return bank || null;
+    },
+
+    /**
+     * List saved question banks
+     * @returns {Promise<Array>} - Saved banks in name order
+     */
+    listBanks() {
+        return this.getAll('banks');
+    },
+
+    /**
+     * Delete a saved question bank
+     * @param {string} name - The bank name
+     * @returns {Promise} - Resolves when the bank is deleted
+     */
+    deleteBank(name) {
+        return this.delete('banks', name);
+    },
+
+    /**
+     * Save the spaced-repetition progress of a question
+     * @param {Object} record - Record from SpacedRepetition.recordOutcome()
+     * @returns {Promise} - Resolves when the record is saved
+     */
+    saveProgress(record) {
+        return this.put('progress', record);
+    },
+
+    /**
+     * Load the spaced-repetition progress of a question
+     * @param {string} fingerprint - The question fingerprint
+     * @returns {Promise<Object|null>} - The record, or null if the question was never reviewed
+     */
+    async loadProgress(fingerprint) {
+        const record = await this.get('progress', fingerprint);
+        return record || null;
+    },
+
+    /**
+     * Load all spaced-repetition progress
+     * @returns {Promise<Map<string, Object>>} - Records by question fingerprint
+     */
+    async loadAllProgress() {
+        const records = await this.getAll('progress');
+        return new Map(records.map(record => [record.fingerprint, record]));
+    },
+
+    /**
+     * Record a finished attempt
+     * @param {Object} attempt - Record from ExamSimulator.getAttemptRecord()
+     * @returns {Promise<number>} - The id of the stored attempt
+     */
+    saveAttempt(attempt) {
+        return this.put('attempts', attempt);
+    },
+
+    /**
+     * List recorded attempts
+     * @returns {Promise<Array>} - Attempts, oldest first
+     */
+    listAttempts() {
+        return this.getAll('attempts');
+    },
+
+    /**
+     * Delete all recorded attempts
+     * @returns {Promise} - Resolves when the history is empty
+     */
+    clearAttempts() {
+        return this.clear('attempts');
+    },
+
+    /**
+     * Save a custom exam preset, replacing any preset with the same name
+     * @param {Object} preset - The preset ({ name, mode, settings, shuffleQuestions, shuffleOptions })
+     * @returns {Promise} - Resolves when the preset is saved
+     */
+    savePreset(preset) {
+        return this.put('presets', preset);
+    },
+
+    /**
+     * List saved custom exam presets
+     * @returns {Promise<Array>} - Presets in name order
+     */
+    listPresets() {
+        return this.getAll('presets');
+    },
+
+    /**
+     * Delete a custom exam preset
+     * @param {string} name - The preset name
+     * @returns {Promise} - Resolves when the preset is deleted
+     */
+    deletePreset(name) {
+        return this.delete('presets', name);
+    }
+};
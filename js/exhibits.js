@@ -0,0 +1,103 @@
+/**
+ * Exhibits - Images that belong to a question ("Refer to the exhibit")
+ *
+ * An exhibit is { src, caption, width, height }. The source is an image data URL or,
+ * in native exam files, any image URL. Width and height are the display size in CSS
+ * pixels and are optional.
+ */
+const Exhibits = {
+    /**
+     * Fields allowed on an exhibit
+     */
+    FIELDS: ['src', 'caption', 'width', 'height'],
+
+    /**
+     * HTML image tags with an embedded image, as found in decoded VCE content
+     */
+    IMAGE_TAG_PATTERN: /<img\b[^>]*?\bsrc\s*=\s*["'](data:image\/[^"']+)["'][^>]*>/gi,
+
+    /**
+     * Embedded image data URLs
+     */
+    DATA_URL_PATTERN: /data:image\/(?:png|jpe?g|gif|webp|bmp);base64,[A-Za-z0-9+/]+={0,2}/gi,
+
+    /**
+     * Normalize exhibits from parser input
+     * @param {string|Object|Array|null} value - An image source, an exhibit object ({ src|url|data, caption|title|alt }) or an array of either
+     * @returns {Array<Object>} - The exhibits; entries without a source are dropped
+     */
+    normalize(value) {
+        if (value === null || value === undefined) {
+            return [];
+        }
+
+        const items = Array.isArray(value) ? value : [value];
+        const exhibits = [];
+
+        items.forEach(item => {
+            const source = typeof item === 'string' ? item : item && (item.src || item.url || item.data);
+            if (typeof source !== 'string' || !source.trim()) {
+                return;
+            }
+
+            const exhibit = { src: source.trim() };
+            const caption = item.caption || item.title || item.alt;
+            if (typeof caption === 'string' && caption.trim()) {
+                exhibit.caption = caption.trim();
+            }
+            ['width', 'height'].forEach(key => {
+                const size = Number(item[key]);
+                if (item[key] !== undefined && Number.isFinite(size) && size > 0) {
+                    exhibit[key] = size;
+                }
+            });
+            exhibits.push(exhibit);
+        });
+
+        return exhibits;
+    },
+
+    /**
+     * Move images embedded in a text (image tags and bare data URLs) into exhibits
+     * @param {string} text - The text
+     * @returns {Object} - The text without the images and the exhibits found ({ text, exhibits })
+     */
+    extractFromText(text) {
+        const exhibits = [];
+        const collect = source => {
+            exhibits.push({ src: source.replace(/\s+/g, '') });
+            return '';
+        };
+
+        const cleaned = String(text || '')
+            .replace(new RegExp(this.IMAGE_TAG_PATTERN.source, 'gi'), (tag, source) => collect(source))
+            .replace(new RegExp(this.DATA_URL_PATTERN.source, 'gi'), source => collect(source));
+
+        if (exhibits.length === 0) {
+            return { text, exhibits };
+        }
+        return { text: cleaned.replace(/[ \t]{2,}/g, ' ').trim(), exhibits };
+    },
+
+    /**
+     * Get the image format of a data URL, as expected by jsPDF
+     * @param {string} src - The image source
+     * @returns {string|null} - 'PNG', 'JPEG', 'GIF', 'WEBP' or 'BMP', or null for URLs and unknown types
+     */
+    getImageFormat(src) {
+        const match = /^data:image\/([a-z]+)[;,]/i.exec(src || '');
+        if (!match) {
+            return null;
+        }
+
+        const type = match[1].toUpperCase();
+        if (type === 'JPG') {
+            return 'JPEG';
+        }
+        return ['PNG', 'JPEG', 'GIF', 'WEBP', 'BMP'].includes(type) ? type : null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exhibits;
+}
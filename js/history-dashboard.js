@@ -0,0 +1,248 @@
+/**
+ * History Dashboard - Shows recorded attempts: score trend, most missed questions,
+ * average time per attempt and readiness against a target pass mark
+ */
+class HistoryDashboard {
+    /**
+     * @param {Object} elements - Dashboard elements ({ content, bankSelect, passMarkInput })
+     */
+    constructor(elements) {
+        this.contentElement = elements.content;
+        this.bankSelect = elements.bankSelect;
+        this.passMarkInput = elements.passMarkInput;
+        this.attempts = [];
+
+        this.bankSelect.addEventListener('change', () => this.render());
+        this.passMarkInput.addEventListener('input', () => this.render());
+    }
+
+    /**
+     * Load the recorded attempts and show the dashboard
+     * @param {string} [bankName] - Bank to select initially (all banks if omitted)
+     * @returns {Promise} - Resolves when the dashboard is rendered
+     */
+    async open(bankName = '') {
+        this.attempts = await ExamStorage.listAttempts();
+
+        this.bankSelect.innerHTML = '';
+        this.bankSelect.appendChild(new Option('All banks', ''));
+        AttemptHistory.getBankNames(this.attempts).forEach(name => {
+            this.bankSelect.appendChild(new Option(name, name));
+        });
+        this.bankSelect.value = AttemptHistory.getBankNames(this.attempts).includes(bankName) ? bankName : '';
+
+        this.render();
+    }
+
+    /**
+     * Delete all recorded attempts
+     * @returns {Promise} - Resolves when the history is cleared
+     */
+    async clear() {
+        await ExamStorage.clearAttempts();
+        await this.open();
+    }
+
+    /**
+     * Render the dashboard for the selected bank and pass mark
+     */
+    render() {
+        this.contentElement.innerHTML = '';
+
+        const passMark = parseInt(this.passMarkInput.value, 10);
+        const summary = AttemptHistory.summarize(this.attempts, {
+            bankName: this.bankSelect.value,
+            passMark: passMark > 0 && passMark <= 100 ? passMark : AttemptHistory.DEFAULT_PASS_MARK
+        });
+
+        if (summary.attemptCount === 0) {
+            this.contentElement.textContent = 'No attempts recorded yet. Finish an exam to start tracking your progress.';
+            return;
+        }
+
+        this.contentElement.appendChild(this.renderStats(summary));
+        this.contentElement.appendChild(this.renderSection('Score Trend', this.renderTrend(summary)));
+        this.contentElement.appendChild(this.renderSection('Most Missed Questions', this.renderMissed(summary)));
+        this.contentElement.appendChild(this.renderSection('Attempts', this.renderAttempts(summary)));
+    }
+
+    /**
+     * Render the headline numbers
+     * @param {Object} summary - Summary from AttemptHistory.summarize()
+     * @returns {HTMLElement} - The stats element
+     */
+    renderStats(summary) {
+        const { readiness } = summary;
+        const stats = document.createElement('div');
+        stats.className = 'history-stats';
+
+        const readinessText = readiness.ready ? 'Ready' : 'Not yet';
+        const readinessDetail = `Last ${readiness.attemptCount} ${readiness.examModeOnly ? 'exam-mode ' : ''}` +
+            `attempt${readiness.attemptCount === 1 ? '' : 's'} averaged ${readiness.recentAverage}% ` +
+            `against a ${readiness.passMark}% target`;
+
+        [
+            ['Attempts', summary.attemptCount],
+            ['Average score', `${summary.averageScore}%`],
+            ['Average time', Timing.formatDuration(summary.averageDuration)],
+            ['Readiness', readinessText, readinessDetail, readiness.ready ? 'ready' : 'not-ready']
+        ].forEach(([label, value, detail, className]) => {
+            const stat = document.createElement('div');
+            stat.className = className ? `history-stat ${className}` : 'history-stat';
+
+            const valueElement = document.createElement('div');
+            valueElement.className = 'history-stat-value';
+            valueElement.textContent = value;
+
+            const labelElement = document.createElement('div');
+            labelElement.className = 'history-stat-label';
+            labelElement.textContent = label;
+
+            stat.appendChild(valueElement);
+            stat.appendChild(labelElement);
+            if (detail) {
+                stat.title = detail;
+                const detailElement = document.createElement('div');
+                detailElement.className = 'history-stat-detail';
+                detailElement.textContent = detail;
+                stat.appendChild(detailElement);
+            }
+            stats.appendChild(stat);
+        });
+
+        return stats;
+    }
+
+    /**
+     * Render a titled section
+     * @param {string} title - The section title
+     * @param {HTMLElement} body - The section content
+     * @returns {HTMLElement} - The section element
+     */
+    renderSection(title, body) {
+        const section = document.createElement('div');
+        section.className = 'history-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+
+        section.appendChild(heading);
+        section.appendChild(body);
+        return section;
+    }
+
+    /**
+     * Render the score trend as a line chart with the pass mark
+     * @param {Object} summary - Summary from AttemptHistory.summarize()
+     * @returns {SVGElement} - The chart
+     */
+    renderTrend(summary) {
+        const width = 600;
+        const height = 200;
+        const padding = 30;
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+
+        const createSvgElement = (name, attributes) => {
+            const element = document.createElementNS(svgNamespace, name);
+            Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+            return element;
+        };
+
+        const svg = createSvgElement('svg', {
+            class: 'history-chart',
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-label': `Score trend over ${summary.attemptCount} attempts`
+        });
+
+        const x = index => (summary.trend.length === 1
+            ? width / 2
+            : padding + (index * (width - padding * 2)) / (summary.trend.length - 1));
+        const y = percentage => height - padding - (percentage * (height - padding * 2)) / 100;
+
+        // Axis labels and pass mark
+        [0, 50, 100].forEach(percentage => {
+            const label = createSvgElement('text', { x: 2, y: y(percentage) + 4, class: 'history-chart-label' });
+            label.textContent = `${percentage}%`;
+            svg.appendChild(label);
+        });
+        svg.appendChild(createSvgElement('line', {
+            x1: padding, x2: width - padding,
+            y1: y(summary.readiness.passMark), y2: y(summary.readiness.passMark),
+            class: 'history-chart-pass-mark'
+        }));
+
+        // Scores
+        const points = summary.trend.map((point, index) => `${x(index)},${y(point.percentage)}`).join(' ');
+        svg.appendChild(createSvgElement('polyline', { points, class: 'history-chart-line' }));
+
+        summary.trend.forEach((point, index) => {
+            const dot = createSvgElement('circle', { cx: x(index), cy: y(point.percentage), r: 4, class: 'history-chart-point' });
+            const title = createSvgElement('title', {});
+            title.textContent = `${new Date(point.date).toLocaleString()}: ${point.percentage}% (${point.mode})`;
+            dot.appendChild(title);
+            svg.appendChild(dot);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Render the most missed questions
+     * @param {Object} summary - Summary from AttemptHistory.summarize()
+     * @returns {HTMLElement} - The list element
+     */
+    renderMissed(summary) {
+        const list = document.createElement('ol');
+        list.className = 'history-missed';
+
+        if (summary.mostMissed.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No missed questions.';
+            list.appendChild(item);
+            return list;
+        }
+
+        summary.mostMissed.forEach(entry => {
+            const item = document.createElement('li');
+            const bank = this.bankSelect.value ? '' : ` - ${entry.bankName}`;
+            item.textContent = `Missed ${entry.missed} of ${entry.seen} (question ${entry.originalNumber}${bank}): ${entry.text}`;
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Render the table of attempts, newest first
+     * @param {Object} summary - Summary from AttemptHistory.summarize()
+     * @returns {HTMLElement} - The table element
+     */
+    renderAttempts(summary) {
+        const table = document.createElement('table');
+        table.className = 'history-table';
+
+        const header = table.createTHead().insertRow();
+        ['Date', 'Bank', 'Mode', 'Score', 'Time'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        [...summary.attempts].reverse().forEach(attempt => {
+            const row = body.insertRow();
+            [
+                new Date(attempt.finishedAt).toLocaleString(),
+                attempt.bankName,
+                attempt.mode,
+                `${attempt.score}/${attempt.totalQuestions} (${attempt.percentage}%)`,
+                Timing.formatDuration(attempt.durationUsed || 0)
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+
+        return table;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Parse Report - Describes how an exam file was parsed and how far the result can be trusted
+ */
+const ParseReport = {
+    /**
+     * Create an empty report
+     * @param {string} source - The parser that produced the report ('pdf' or 'vce')
+     * @param {string} [fileName] - The parsed file name
+     * @returns {Object} - The report
+     */
+    create(source, fileName = '') {
+        return {
+            source,
+            fileName,
+            strategy: null,
+            questionCount: 0,
+            warnings: [],
+            unparsedBlocks: [],
+            confidence: 0,
+            pageCount: null,
+            duration: null
+        };
+    },
+
+    /**
+     * Add a warning, optionally tied to a question
+     * @param {Object} report - The report
+     * @param {number|null} questionIndex - Index of the affected question, or null for the whole file
+     * @param {string} message - What went wrong
+     */
+    warn(report, questionIndex, message) {
+        report.warnings.push({ questionIndex, message });
+    },
+
+    /**
+     * Record a block of text that looked like a question but could not be parsed
+     * @param {Object} report - The report
+     * @param {string} text - The block text
+     * @param {number|null} [page] - The page the block starts on (PDF only)
+     */
+    addUnparsedBlock(report, text, page = null) {
+        report.unparsedBlocks.push({ page, text: text.trim() });
+    },
+
+    /**
+     * Copy warnings from a partial report (e.g. a single page) into another report
+     * @param {Object} target - The report to add to
+     * @param {Object} source - The partial report
+     * @param {number} indexOffset - Offset of the partial report's first question in the target
+     */
+    merge(target, source, indexOffset) {
+        source.warnings.forEach(warning => {
+            target.warnings.push({
+                questionIndex: warning.questionIndex === null ? null : warning.questionIndex + indexOffset,
+                message: warning.message
+            });
+        });
+        target.unparsedBlocks.push(...source.unparsedBlocks);
+    },
+
+    /**
+     * Fill in the question count and overall confidence
+     * @param {Object} report - The report
+     * @param {Array} questions - The parsed questions
+     * @returns {Object} - The report
+     */
+    finalize(report, questions) {
+        report.questionCount = questions.length;
+
+        if (questions.length === 0) {
+            report.confidence = 0;
+            return report;
+        }
+
+        // Share of questions parsed without warnings, reduced by blocks that were skipped
+        const flagged = new Set(report.warnings
+            .filter(warning => warning.questionIndex !== null)
+            .map(warning => warning.questionIndex));
+        const clean = (questions.length - flagged.size) / questions.length;
+        const coverage = questions.length / (questions.length + report.unparsedBlocks.length);
+
+        report.confidence = Math.round(clean * coverage * 100) / 100;
+        return report;
+    },
+
+    /**
+     * Describe the confidence as a level
+     * @param {Object} report - The report
+     * @returns {string} - 'high', 'medium' or 'low'
+     */
+    getConfidenceLevel(report) {
+        if (report.confidence >= 0.8) return 'high';
+        if (report.confidence >= 0.5) return 'medium';
+        return 'low';
+    },
+
+    /**
+     * Report parsing progress and stop if parsing was cancelled
+     * @param {Object} options - Parser options
+     * @param {Function} [options.onProgress] - Called with { stage, message, current, total }
+     * @param {AbortSignal} [options.signal] - Signal that cancels parsing
+     * @param {string} stage - The parsing stage ('reading', 'decompress', 'pages', 'strategy', 'answers' or 'exhibits')
+     * @param {string} message - What is happening, for display
+     * @param {number} [current] - Progress within the stage
+     * @param {number} [total] - The end of the stage, if known
+     */
+    progress(options, stage, message, current = null, total = null) {
+        if (options.signal && options.signal.aborted) {
+            throw this.createAbortError();
+        }
+        if (options.onProgress) {
+            options.onProgress({ stage, message, current, total });
+        }
+    },
+
+    /**
+     * Create the error a cancelled parse rejects with
+     * @returns {DOMException} - An AbortError
+     */
+    createAbortError() {
+        return new DOMException('Parsing was cancelled.', 'AbortError');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParseReport;
+}
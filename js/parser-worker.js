@@ -0,0 +1,45 @@
+/**
+ * Parser Worker - Runs PDFParser and VCEParser off the main thread
+ *
+ * Receives { type: 'parse', format, file } and posts { type: 'progress', progress } while
+ * parsing, then either { type: 'result', result } or { type: 'error', error }. Started by
+ * BackgroundParser, which cancels parsing by terminating the worker.
+ */
+importScripts(
+    'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.4.120/build/pdf.min.js',
+    // With the PDF.js worker code loaded here, PDF.js runs in this thread instead of starting a worker of its own
+    'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.4.120/build/pdf.worker.min.js',
+    'question-utils.js',
+    'exhibits.js',
+    'parse-report.js',
+    'vce-parser.js',
+    'pdf-parser.js'
+);
+
+self.onmessage = async event => {
+    const { type, format, file } = event.data;
+    if (type !== 'parse') {
+        return;
+    }
+
+    try {
+        const parser = format === 'pdf' ? PDFParser : VCEParser;
+        const result = await parser.parse(file, {
+            onProgress: progress => self.postMessage({ type: 'progress', progress })
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        // Errors are cloned without their extra fields, so send the ones the page shows
+        self.postMessage({
+            type: 'error',
+            error: {
+                name: error.name,
+                message: error.message,
+                code: error.code,
+                signature: error.signature,
+                version: error.version,
+                report: error.report
+            }
+        });
+    }
+};
@@ -2,108 +2,241 @@
  * Enhanced PDF Parser - Extracts questions from PDF files with improved pattern recognition
  */
 const PDFParser = {
+  /**
+   * Question headers at the start of a line: "Question: 1", "QUESTION NO: 12", "Q5."
+   */
+  QUESTION_HEADER_PATTERN: /^[ \t]*(?:Question|Q)(?:[ \t]+No\.?)?[ \t]*[.:#]?[ \t]*(\d+)\b[ \t]*[.:)]?/gim,
+  
+  /**
+   * Bare question numbers at the start of a line: "1.", "2)", "(3)"
+   */
+  NUMBERED_HEADER_PATTERN: /^[ \t]*\(?(\d+)[.)](?:[ \t]+|$)/gm,
+  
+  /**
+   * Option label styles, each matching a label at the start of a line and capturing its letter
+   */
+  OPTION_LABEL_STYLES: [
+    { style: 'A.', pattern: /^[ \t]*([A-J])\.\s+/gm },
+    { style: 'A)', pattern: /^[ \t]*([A-J])\)\s+/gm },
+    { style: '(A)', pattern: /^[ \t]*\(([A-J])\)\s*/gm },
+    { style: 'a.', pattern: /^[ \t]*([a-j])\.\s+/gm },
+    { style: 'a)', pattern: /^[ \t]*([a-j])\)\s+/gm },
+    { style: '(a)', pattern: /^[ \t]*\(([a-j])\)\s*/gm }
+  ],
+  
+  /**
+   * Option labels anywhere in a line, for options written side by side ("A. Yes B. No")
+   */
+  INLINE_OPTION_PATTERN: /(?:^|\s)\(?([A-J])[.)][ \t]+/g,
+  
+  /**
+   * Lines that end an option: an answer, an explanation or the next question
+   */
+  OPTION_END_PATTERN: /^[ \t]*(?:(?:correct\s+)?answers?\b|correct\s*:|explanation\b|reason\b|reference\b|(?:question|q)(?:[ \t]+no\.?)?[ \t]*[.:#]?[ \t]*\d+\b|\(?\d+[.)][ \t])/i,
+  
+  /**
+   * Headings of answer key and explanation sections at the end of a file: "Answer Key", "Answers",
+   * "Solutions", "Answers and Explanations", "Explanations"
+   */
+  APPENDIX_HEADING_PATTERN: /^[ \t]*(answer[ \t]+key|answer[ \t]+sheet|answers|solutions|answers?[ \t]+(?:and|&)[ \t]+explanations|explanations)[ \t]*:?[ \t]*(?=\d|\n|$)/gim,
+  
+  /**
+   * Answer key entries, one per line or several on a line: "1. B", "2) A, C", "3 | BD", "Q4: Answer D"
+   */
+  ANSWER_KEY_ENTRY_PATTERN: /(?:^|[ \t])(?:(?:[Qq]uestion|QUESTION|Q)[ \t]*)?(\d{1,4})[ \t]*[.):\-|]?[ \t]*(?:(?:Answer|Ans)[ \t]*[.:]?[ \t]*)?([A-J](?:[ \t]*(?:,|&|\/|and)[ \t]*[A-J])*|[A-J]{2,6})\b/gm,
+  
+  /**
+   * Explanation entries, each starting a line with its question number: "1. Because ...", "Question 2: ..."
+   */
+  EXPLANATION_ENTRY_PATTERN: /^[ \t]*(?:(?:[Qq]uestion|QUESTION|Q)[ \t]*)?(\d{1,4})[ \t]*[.):\-]?(?=\s)/gm,
+  
+  /**
+   * Answer letters at the start of an explanation entry, followed by punctuation or the end of the line
+   */
+  LEADING_ANSWER_PATTERN: /^[ \t]*([A-J](?:[ \t]*(?:,|&|\/|and)[ \t]*[A-J])*)(?=[ \t]*[.):\-\u2013]|[ \t]*(?:\n|$))/,
+  
+  /**
+   * Images smaller than this in either direction (in PDF points) are icons or bullets, not exhibits
+   */
+  MIN_EXHIBIT_SIZE: 24,
+  
+  /**
+   * Scale at which pages are rendered to crop exhibits from
+   */
+  EXHIBIT_RENDER_SCALE: 2,
+  
+  /**
+   * Warning for questions whose answer was not found
+   */
+  ANSWER_NOT_FOUND: 'Answer not found, defaulted to A',
+  
   /**
    * Parse a PDF file and extract questions
    * @param {File} file - The PDF file to parse
-   * @returns {Promise<Array>} - Array of question objects
+   * @param {Object} [options] - Parse options
+   * @param {Function} [options.onProgress] - Called with { stage, message, current, total } as parsing proceeds
+   * @param {AbortSignal} [options.signal] - Signal that cancels parsing; the promise then rejects with an AbortError
+   * @returns {Promise<Object>} - The question objects and a parse report ({ questions, report })
    */
-  async parse(file) {
+  async parse(file, options = {}) {
     try {
       console.log('Starting to parse PDF file:', file.name);
+      ParseReport.progress(options, 'reading', 'Opening PDF...');
       
       // Set up PDF.js worker
       pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.4.120/build/pdf.worker.min.js';
       
       // Load the PDF file
       const arrayBuffer = await file.arrayBuffer();
-      const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+      // Without a document (in a Web Worker) fonts cannot be loaded, so glyphs are drawn as paths
+      const pdfDoc = await pdfjsLib.getDocument({
+        data: arrayBuffer,
+        disableFontFace: typeof document === 'undefined'
+      }).promise;
       
       // Extract text from all pages with better formatting preservation
       const numPages = pdfDoc.numPages;
       let fullText = '';
       let pageTexts = [];
+      let pageOffsets = [];
+      let pageLines = [];
       
       console.log(`PDF has ${numPages} pages`);
       
       for (let i = 1; i <= numPages; i++) {
+        ParseReport.progress(options, 'pages', `Reading page ${i} of ${numPages}`, i, numPages);
         const page = await pdfDoc.getPage(i);
         const textContent = await page.getTextContent();
         
         // Preserve more formatting by considering item positions
         let lastY = null;
         let pageText = '';
+        const lines = [];
         
         for (const item of textContent.items) {
           if (lastY !== null && Math.abs(lastY - item.transform[5]) > 5) {
             // New line if Y position changes significantly
             pageText += '\n';
           }
+          if (lastY === null || Math.abs(lastY - item.transform[5]) > 5) {
+            // Remember where each line is on the page, to place images between lines
+            lines.push({ offset: fullText.length + pageText.length, y: item.transform[5] });
+          }
           pageText += item.str;
           lastY = item.transform[5];
         }
         
         pageTexts.push(pageText);
+        pageLines.push(lines);
+        pageOffsets.push(fullText.length);
         fullText += pageText + '\n\n';
       }
       
       console.log('Text extraction complete');
       
-      // Try multiple parsing strategies
+      // Answer keys and explanations collected at the end of the file are parsed separately
+      // and joined to the questions by number
+      const appendix = this.splitAppendices(fullText);
+      const questionText = fullText.substring(0, appendix.start);
+      const questionPages = pageTexts.map((pageText, i) => pageText.substring(0, Math.max(appendix.start - pageOffsets[i], 0)));
+      if (appendix.entries.size > 0) {
+        console.log(`Found an answer key with ${appendix.entries.size} entries`);
+      }
+      
+      // Try multiple parsing strategies, keeping the report of the one that wins
       let questions = [];
+      let report = ParseReport.create('pdf', file.name);
       
       // Strategy 1: Try to parse using standard question patterns
-      questions = this.extractQuestionsFromText(fullText);
+      ParseReport.progress(options, 'strategy', 'Finding questions...');
+      questions = this.extractQuestionsFromText(questionText, report);
       console.log(`Strategy 1 found ${questions.length} questions`);
       
       // If that didn't work well, try page-by-page parsing
       if (questions.length <= 1) {
         console.log('Standard parsing found only one or zero questions, trying page-by-page parsing');
+        ParseReport.progress(options, 'strategy', 'Trying page-by-page parsing...');
         let pageQuestions = [];
-        for (const pageText of pageTexts) {
-          const foundQuestions = this.extractQuestionsFromText(pageText);
+        const pageReport = ParseReport.create('pdf', file.name);
+        pageReport.strategy = 'page-by-page';
+        let currentTopic = '';
+        
+        for (const pageText of questionPages) {
+          const singlePageReport = ParseReport.create('pdf', file.name);
+          const foundQuestions = this.extractQuestionsFromText(pageText, singlePageReport);
+          
+          // A topic heading applies until the next one, even across pages
+          foundQuestions.forEach(question => {
+            question.topic = question.topic || currentTopic;
+          });
+          const pageHeadings = QuestionUtils.findTopicHeadings(pageText);
+          if (pageHeadings.length > 0) {
+            currentTopic = pageHeadings[pageHeadings.length - 1].topic;
+          }
+          
+          ParseReport.merge(pageReport, singlePageReport, pageQuestions.length);
           pageQuestions = pageQuestions.concat(foundQuestions);
         }
         
         if (pageQuestions.length > questions.length) {
           console.log(`Page-by-page parsing found ${pageQuestions.length} questions, using these results`);
           questions = pageQuestions;
+          report = pageReport;
         }
       }
       
       // If still no questions or just one, try more lenient parsing
       if (questions.length <= 1) {
         console.log('Trying lenient parsing');
-        const lenientQuestions = this.extractQuestionsLenient(fullText);
+        ParseReport.progress(options, 'strategy', 'Trying lenient parsing...');
+        const lenientReport = ParseReport.create('pdf', file.name);
+        const lenientQuestions = this.extractQuestionsLenient(questionText, lenientReport);
         
         if (lenientQuestions.length > questions.length) {
           console.log(`Lenient parsing found ${lenientQuestions.length} questions, using these results`);
           questions = lenientQuestions;
+          report = lenientReport;
         }
       }
       
       console.log(`Found ${questions.length} questions in total`);
       
       if (questions.length === 0) {
-        // If all parsing strategies fail, create a sample question with debugging info
-        questions = [{
-          text: "Could not parse questions from this PDF. Please check the format.",
-          options: [
-            "The PDF might have a non-standard format",
-            "Text extraction might be incomplete",
-            "Try a different PDF or format",
-            "Contact support for assistance"
-          ],
-          correctAnswer: 0,
-          explanation: "PDF parsing failed. Please check the console for more details.",
-          userAnswer: null
-        }];
+        ParseReport.warn(report, null, 'No questions could be parsed. The PDF might have a non-standard format or contain scanned images instead of text.');
         
         // Log a sample of the extracted text for debugging
         console.log('Sample of extracted text:', fullText.substring(0, 500));
       }
       
-      return questions;
+      if (appendix.entries.size > 0) {
+        ParseReport.progress(options, 'answers', 'Matching the answer key...');
+        this.applyAppendix(questions, appendix.entries, report);
+      }
+      // Question numbers are only needed to match the answer key
+      questions.forEach(question => delete question.number);
+      
+      // Images ("Refer to the exhibit") are attached to the question they appear in
+      if (questions.length > 0) {
+        try {
+          await this.extractExhibits(pdfDoc, pageLines, questionText, questions, options);
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+          console.warn('Failed to extract images:', error);
+          ParseReport.warn(report, null, `Images could not be extracted: ${error.message}`);
+        }
+      }
+      
+      this.findUnparsedBlocks(questionText, pageOffsets, questions, report);
+      report.pageCount = numPages;
+      ParseReport.finalize(report, questions);
+      
+      return { questions, report };
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('Error parsing PDF:', error);
       throw new Error(`Failed to parse PDF: ${error.message}`);
     }
@@ -112,111 +245,69 @@ const PDFParser = {
   /**
    * Extract questions from text content using multiple patterns
    * @param {string} text - The text content from the PDF
+   * @param {Object} [report] - Parse report to record the strategy and warnings in
    * @returns {Array} - Array of question objects
    */
-  extractQuestionsFromText(text) {
+  extractQuestionsFromText(text, report = ParseReport.create('pdf')) {
     const questions = [];
     
-    // Pattern 1: Question number followed by text, then options A., B., C., D.
-    // Strictly using capital letters followed by a period for options
-    const questionPattern1 = /(?:Question|Q)?[\s\.:]?(\d+)[\.\s:]+([\s\S]+?)(?=(?:A\.[\s]+))([\s\S]+?)(?=(?:B\.[\s]+))([\s\S]+?)(?=(?:C\.[\s]+))([\s\S]+?)(?=(?:D\.[\s]+))([\s\S]+?)(?=(?:(?:Question|Q)?[\s\.:]?\d+|Answer|Correct|$))/gi;
+    // Section headings ("Topic 1, Networking", "Case Study 2") apply to the questions after them
+    const headings = QuestionUtils.findTopicHeadings(text);
     
-    // Try first pattern
-    let match;
-    while ((match = questionPattern1.exec(text)) !== null) {
-      const [, num, questionText, optionA, optionB, optionC, optionD] = match;
-      
-      // Look for the answer and explanation after this question
-      const answerPattern = new RegExp(`Answer(?:\\s*for)?\\s*(?:question)?\\s*${num}?[\.:\\s]+([A-D])`, 'i');
-      const answerMatch = text.substring(match.index + match[0].length, match.index + match[0].length + 200).match(answerPattern);
-      
-      const explanationPattern = new RegExp(`Explanation(?:\\s*for)?\\s*(?:question)?\\s*${num}?[\.:\\s]+([^\\n]+)`, 'i');
-      const explanationMatch = text.substring(match.index + match[0].length, match.index + match[0].length + 500).match(explanationPattern);
-      
-      // Clean up options (remove A., B., etc.)
-      const cleanOptionA = optionA.replace(/^A\.[\s]+/, '').trim();
-      const cleanOptionB = optionB.replace(/^B\.[\s]+/, '').trim();
-      const cleanOptionC = optionC.replace(/^C\.[\s]+/, '').trim();
-      const cleanOptionD = optionD.replace(/^D\.[\s]+/, '').trim();
-      
-      // Map the answer letter to index
-      let correctAnswer = 0; // Default to A if not found
-      if (answerMatch) {
-        const answerLetter = answerMatch[1].toUpperCase();
-        if (answerLetter === 'A') correctAnswer = 0;
-        else if (answerLetter === 'B') correctAnswer = 1;
-        else if (answerLetter === 'C') correctAnswer = 2;
-        else if (answerLetter === 'D') correctAnswer = 3;
-      }
-      
-      questions.push({
-        text: questionText.trim(),
-        options: [
-          cleanOptionA,
-          cleanOptionB,
-          cleanOptionC,
-          cleanOptionD
-        ],
-        correctAnswer,
-        explanation: explanationMatch ? explanationMatch[1].trim() : '',
-        userAnswer: null
-      });
+    // Pattern 1: Numbered question blocks ("Question: 1", "QUESTION NO: 2", "3."), each followed by
+    // its own options in whatever label style and number the question uses
+    for (const block of this.splitQuestionBlocks(text)) {
+      const question = this.parseQuestionBlock(block.text, report, questions.length);
+      if (question) {
+        question.topic = QuestionUtils.getTopicAt(headings, block.start);
+        question.number = block.number;
+        questions.push(question);
+      }
+    }
+    
+    if (questions.length > 0) {
+      report.strategy = 'question pattern';
     }
     
     // If no questions found with first pattern, try another pattern
     if (questions.length === 0) {
+      report.strategy = 'numbered sections';
+      
       // Pattern 2: Look for numbered questions with options
       const sections = text.split(/(?:\n|\r\n?)+(?:\d+\.|\(?[0-9]+\))/i).filter(Boolean);
+      let sectionOffset = 0;
       
       for (let i = 0; i < sections.length; i++) {
-        const section = sections[i].trim();
+        sectionOffset = Math.max(text.indexOf(sections[i], sectionOffset), sectionOffset);
+        const topic = QuestionUtils.getTopicAt(headings, sectionOffset);
+        const section = QuestionUtils.removeTopicHeadings(sections[i]).trim();
         
         // Skip short sections that are unlikely to be questions
         if (section.length < 20) continue;
         
-        // Look for option patterns - strictly capital letters followed by period
-        const optionMatches = section.match(/A\.\s+[^\n]+(?:\n|\r\n?)+B\.\s+[^\n]+(?:\n|\r\n?)+C\.\s+[^\n]+(?:\n|\r\n?)+D\.\s+[^\n]+/g);
+        // Look for at least two labelled options
+        const found = this.extractOptions(section);
+        if (!found || found.start <= 0) continue;
         
-        if (optionMatches && optionMatches.length > 0) {
-          // Extract question text (everything before first option)
-          const firstOptionIndex = section.indexOf('A.');
-          if (firstOptionIndex <= 0) continue;
-          
-          const questionText = section.substring(0, firstOptionIndex).trim();
-          
-          if (questionText.length > 10) { // Ensure we have a substantial question
-            // Extract individual options
-            const optionA = section.match(/A\.\s+([^\n]+)/);
-            const optionB = section.match(/B\.\s+([^\n]+)/);
-            const optionC = section.match(/C\.\s+([^\n]+)/);
-            const optionD = section.match(/D\.\s+([^\n]+)/);
-            
-            if (optionA && optionB && optionC && optionD) {
-              const options = [
-                optionA[1].trim(),
-                optionB[1].trim(),
-                optionC[1].trim(),
-                optionD[1].trim()
-              ];
-              
-              // Look for answer indication
-              const answerMatch = section.match(/(?:answer|correct)[^A-D]*(A|B|C|D)/i);
-              let correctAnswer = 0;
-              
-              if (answerMatch) {
-                const answerLetter = answerMatch[1].toUpperCase();
-                correctAnswer = 'ABCD'.indexOf(answerLetter);
-              }
-              
-              questions.push({
-                text: questionText,
-                options,
-                correctAnswer,
-                explanation: '',
-                userAnswer: null
-              });
-            }
+        // Extract question text (everything before first option)
+        const questionText = section.substring(0, found.start).trim();
+        
+        if (questionText.length > 10) { // Ensure we have a substantial question
+          // Look for answer indication ("Answer: B", "Correct Answers: A, C")
+          const answer = QuestionUtils.findAnswer(section);
+          if (!answer) {
+            ParseReport.warn(report, questions.length, this.ANSWER_NOT_FOUND);
           }
+          const correctAnswer = answer || [0];
+          
+          questions.push({
+            text: questionText,
+            options: found.options,
+            correctAnswer,
+            explanation: '',
+            topic,
+            userAnswer: null
+          });
         }
       }
     }
@@ -224,42 +315,209 @@ const PDFParser = {
     return questions;
   },
   
+  /**
+   * Split text into blocks that each start with a question number
+   * @param {string} text - The text content from the PDF
+   * @returns {Array<Object>} - Blocks as { number, start, text }, where text follows the question number
+   */
+  splitQuestionBlocks(text) {
+    const findHeaders = pattern => {
+      const regex = new RegExp(pattern.source, pattern.flags);
+      const headers = [];
+      let match;
+      
+      while ((match = regex.exec(text)) !== null) {
+        headers.push({ number: parseInt(match[1], 10), start: match.index, end: regex.lastIndex });
+      }
+      
+      return headers;
+    };
+    
+    // Bare numbers are only trusted when the file has no "Question N" headers, as question
+    // text often contains numbered steps
+    let headers = findHeaders(this.QUESTION_HEADER_PATTERN);
+    if (headers.length === 0) {
+      headers = findHeaders(this.NUMBERED_HEADER_PATTERN);
+    }
+    
+    return headers.map((header, i) => ({
+      number: header.number,
+      start: header.start,
+      text: text.substring(header.end, i + 1 < headers.length ? headers[i + 1].start : text.length)
+    }));
+  },
+  
+  /**
+   * Parse the text of a single question: question text, options, answer and explanation
+   * @param {string} block - The question text after its number
+   * @param {Object} report - Parse report to record warnings in
+   * @param {number} questionIndex - Index the question will have
+   * @returns {Object|null} - The question object, or null if the block has no options
+   */
+  parseQuestionBlock(block, report, questionIndex) {
+    const found = this.extractOptions(block);
+    if (!found) {
+      return null;
+    }
+    
+    const questionText = QuestionUtils.removeTopicHeadings(block.substring(0, found.start)).trim();
+    if (!questionText) {
+      return null;
+    }
+    
+    // Look for the answer and explanation after the options
+    const rest = block.substring(found.end);
+    const answer = QuestionUtils.findAnswer(rest);
+    const explanationMatch = rest.match(/(?:Explanation|Reason)(?:\s*for)?(?:\s*question\s*\d+)?[.:\s]+([^\n]+)/i);
+    
+    // Answers are sets of option indices; default to A if not found
+    if (!answer) {
+      ParseReport.warn(report, questionIndex, this.ANSWER_NOT_FOUND);
+    } else if (answer.some(index => index >= found.options.length)) {
+      ParseReport.warn(report, questionIndex, `Answer refers to an option that was not found (only ${found.options.length} options)`);
+    }
+    
+    return {
+      text: questionText,
+      options: found.options,
+      correctAnswer: answer || [0],
+      explanation: explanationMatch ? explanationMatch[1].trim() : '',
+      topic: '',
+      userAnswer: null
+    };
+  },
+  
+  /**
+   * Find the options of a question, detecting how they are labelled ("A.", "A)", "(a)", "a." ...)
+   * and how many there are
+   * @param {string} text - Text holding the options, usually after the question text
+   * @returns {Object|null} - { options, labelStyle, start, end } with the offsets of the first label and
+   *   the end of the last option, or null if fewer than two options were found
+   */
+  extractOptions(text) {
+    let best = null;
+    
+    const tryStyle = (labelStyle, pattern) => {
+      const found = this.readOptions(text, this.findOptionLabels(text, pattern));
+      // Prefer the style with the most options, then the one starting first
+      if (found && (!best || found.options.length > best.options.length ||
+          (found.options.length === best.options.length && found.start < best.start))) {
+        best = { ...found, labelStyle };
+      }
+    };
+    
+    this.OPTION_LABEL_STYLES.forEach(({ style, pattern }) => tryStyle(style, pattern));
+    
+    // Options written on a single line are only considered when no style works line by line
+    if (!best) {
+      tryStyle('inline', this.INLINE_OPTION_PATTERN);
+    }
+    
+    return best;
+  },
+  
+  /**
+   * Find the labels of consecutive options (A, B, C ...) in a text
+   * @param {string} text - The text to search
+   * @param {RegExp} pattern - Label pattern capturing the letter
+   * @returns {Array<Object>} - Labels as { start, end }, in option order
+   */
+  findOptionLabels(text, pattern) {
+    const regex = new RegExp(pattern.source, pattern.flags);
+    const labels = [];
+    let match;
+    
+    while ((match = regex.exec(text)) !== null) {
+      // Other letters are part of the option text ("A. Use option B. ...")
+      if (match[1].toUpperCase() === QuestionUtils.indexToLetter(labels.length)) {
+        labels.push({ start: match.index, end: regex.lastIndex });
+      }
+    }
+    
+    return labels;
+  },
+  
+  /**
+   * Read the option texts between labels
+   * @param {string} text - The text the labels were found in
+   * @param {Array<Object>} labels - Labels from findOptionLabels()
+   * @returns {Object|null} - { options, start, end }, or null if fewer than two options were found
+   */
+  readOptions(text, labels) {
+    const options = [];
+    let end = 0;
+    
+    for (let i = 0; i < labels.length; i++) {
+      const isLast = i === labels.length - 1;
+      const segment = text.substring(labels[i].end, isLast ? text.length : labels[i + 1].start);
+      const optionLength = this.findOptionEnd(segment, isLast);
+      
+      options.push(segment.substring(0, optionLength).trim());
+      end = labels[i].end + optionLength;
+      
+      // An answer or the next question before the next label means the options ended here
+      if (optionLength < segment.length) {
+        break;
+      }
+    }
+    
+    return options.length >= 2 ? { options, start: labels[0].start, end } : null;
+  },
+  
+  /**
+   * Find where an option's text ends. Options may wrap over several lines, but end at an answer,
+   * an explanation, the next question or a topic heading
+   * @param {string} segment - Text from the end of the option label
+   * @param {boolean} isLast - Whether this is the last option (which also ends at an empty line)
+   * @returns {number} - Length of the option text within the segment
+   */
+  findOptionEnd(segment, isLast) {
+    const lines = segment.split('\n');
+    const headingPattern = new RegExp(QuestionUtils.TOPIC_HEADING_PATTERN.source, 'i');
+    let offset = lines[0].length;
+    
+    for (let i = 1; i < lines.length; i++) {
+      if (this.OPTION_END_PATTERN.test(lines[i]) || headingPattern.test(lines[i]) || (isLast && !lines[i].trim())) {
+        return offset;
+      }
+      offset += 1 + lines[i].length;
+    }
+    
+    return segment.length;
+  },
+  
   /**
    * Extract questions using a more lenient approach
    * @param {string} text - The text content from the PDF
+   * @param {Object} [report] - Parse report to record the strategy and warnings in
    * @returns {Array} - Array of question objects
    */
-  extractQuestionsLenient(text) {
+  extractQuestionsLenient(text, report = ParseReport.create('pdf')) {
     const questions = [];
+    report.strategy = 'lenient blocks';
     
     // Split text into potential question blocks
     // Look for patterns like "1.", "Question 1:", etc.
     const questionBlocks = text.split(/(?:\n|\r\n?)+(?:\d+\.|\(?[0-9]+\)|Question\s+\d+:)/i).filter(Boolean);
+    const headings = QuestionUtils.findTopicHeadings(text);
+    let blockOffset = 0;
     
-    for (const block of questionBlocks) {
+    for (const rawBlock of questionBlocks) {
+      blockOffset = Math.max(text.indexOf(rawBlock, blockOffset), blockOffset);
+      const topic = QuestionUtils.getTopicAt(headings, blockOffset);
+      const block = QuestionUtils.removeTopicHeadings(rawBlock);
+      
       // Skip very short blocks
       if (block.length < 50) continue;
       
-      // Look for options - strictly capital letters followed by period
-      const optionAMatch = block.match(/A\.\s+([^\n]+)/);
-      const optionBMatch = block.match(/B\.\s+([^\n]+)/);
-      const optionCMatch = block.match(/C\.\s+([^\n]+)/);
-      const optionDMatch = block.match(/D\.\s+([^\n]+)/);
+      // Look for at least two labelled options
+      const found = this.extractOptions(block);
       
-      // If we found all four options, consider it a question
-      if (optionAMatch && optionBMatch && optionCMatch && optionDMatch) {
+      if (found) {
         // Extract question text (everything before the first option)
         let questionText = "";
-        const optionIndices = [
-          block.indexOf('A.'),
-          block.indexOf('B.'),
-          block.indexOf('C.'),
-          block.indexOf('D.')
-        ].filter(idx => idx >= 0);
-        
-        const firstOptionIndex = Math.min(...optionIndices);
-        if (firstOptionIndex > 0) {
-          questionText = block.substring(0, firstOptionIndex).trim();
+        if (found.start > 0) {
+          questionText = block.substring(0, found.start).trim();
         }
         
         // If question text is too short, try to find it another way
@@ -273,22 +531,14 @@ const PDFParser = {
         
         // Only proceed if we have a valid question text
         if (questionText.length >= 10) {
-          // Extract options
-          const options = [
-            optionAMatch[1].trim(),
-            optionBMatch[1].trim(),
-            optionCMatch[1].trim(),
-            optionDMatch[1].trim()
-          ];
-          
-          // Look for answer indication
-          const answerMatch = block.match(/(?:answer|correct)[^A-D]*(A|B|C|D)/i);
-          let correctAnswer = 0;
+          const options = found.options;
           
-          if (answerMatch) {
-            const answerLetter = answerMatch[1].toUpperCase();
-            correctAnswer = 'ABCD'.indexOf(answerLetter);
+          // Look for answer indication ("Answer: B", "Correct Answers: A, C")
+          const answer = QuestionUtils.findAnswer(block);
+          if (!answer) {
+            ParseReport.warn(report, questions.length, this.ANSWER_NOT_FOUND);
           }
+          const correctAnswer = answer || [0];
           
           // Look for explanation
           let explanation = "";
@@ -302,6 +552,7 @@ const PDFParser = {
             options,
             correctAnswer,
             explanation,
+            topic,
             userAnswer: null
           });
         }
@@ -310,6 +561,8 @@ const PDFParser = {
     
     // If we still don't have questions, try an even more aggressive approach
     if (questions.length === 0) {
+      report.strategy = 'question marks';
+      
       // Look for any text that might be a question (ending with ?)
       const possibleQuestions = text.match(/[^\.\?!]+\?/g);
       
@@ -319,24 +572,18 @@ const PDFParser = {
           const questionIndex = text.indexOf(questionText);
           const textAfterQuestion = text.substring(questionIndex + questionText.length, questionIndex + questionText.length + 500);
           
-          const optionAMatch = textAfterQuestion.match(/A\.\s+([^\n]+)/);
-          const optionBMatch = textAfterQuestion.match(/B\.\s+([^\n]+)/);
-          const optionCMatch = textAfterQuestion.match(/C\.\s+([^\n]+)/);
-          const optionDMatch = textAfterQuestion.match(/D\.\s+([^\n]+)/);
+          const found = this.extractOptions(textAfterQuestion);
           
-          if (optionAMatch && optionBMatch && optionCMatch && optionDMatch) {
-            const options = [
-              optionAMatch[1].trim(),
-              optionBMatch[1].trim(),
-              optionCMatch[1].trim(),
-              optionDMatch[1].trim()
-            ];
+          if (found) {
+            const options = found.options;
             
+            ParseReport.warn(report, questions.length, this.ANSWER_NOT_FOUND);
             questions.push({
-              text: questionText.trim(),
+              text: QuestionUtils.removeTopicHeadings(questionText).trim(),
               options,
-              correctAnswer: 0, // Default to A since we can't reliably determine
+              correctAnswer: [0], // Default to A since we can't reliably determine
               explanation: '',
+              topic: QuestionUtils.getTopicAt(headings, questionIndex),
               userAnswer: null
             });
           }
@@ -345,5 +592,428 @@ const PDFParser = {
     }
     
     return questions;
+  },
+  
+  /**
+   * Find answer key and explanation sections at the end of the text
+   * @param {string} text - The full text content from the PDF
+   * @returns {Object} - { start, entries }: where the sections start (the text length if there are none)
+   *   and the entries by question number as { answer, explanation }
+   */
+  splitAppendices(text) {
+    const regex = new RegExp(this.APPENDIX_HEADING_PATTERN.source, this.APPENDIX_HEADING_PATTERN.flags);
+    const headings = [];
+    let match;
+    
+    while ((match = regex.exec(text)) !== null) {
+      headings.push({
+        start: match.index,
+        end: regex.lastIndex,
+        explanationsOnly: !/answer|solution/i.test(match[1])
+      });
+    }
+    
+    const entries = new Map();
+    let start = text.length;
+    
+    headings.forEach((heading, i) => {
+      const section = text.substring(heading.end, i + 1 < headings.length ? headings[i + 1].start : text.length);
+      
+      // A heading followed by more questions is not an appendix
+      if (this.extractOptions(section)) {
+        return;
+      }
+      
+      const sectionEntries = this.parseAppendixEntries(section, heading.explanationsOnly);
+      if (sectionEntries.size === 0) {
+        return;
+      }
+      
+      start = Math.min(start, heading.start);
+      sectionEntries.forEach((entry, number) => {
+        const existing = entries.get(number) || { answer: null, explanation: '' };
+        entries.set(number, {
+          answer: entry.answer || existing.answer,
+          explanation: entry.explanation || existing.explanation
+        });
+      });
+    });
+    
+    return { start, entries };
+  },
+  
+  /**
+   * Parse the entries of an answer key or explanation section
+   * @param {string} section - The section text after its heading
+   * @param {boolean} explanationsOnly - Whether the section holds explanations rather than an answer key
+   * @returns {Map<number, Object>} - Entries by question number as { answer, explanation }
+   */
+  parseAppendixEntries(section, explanationsOnly) {
+    const pattern = explanationsOnly ? this.EXPLANATION_ENTRY_PATTERN : this.ANSWER_KEY_ENTRY_PATTERN;
+    const regex = new RegExp(pattern.source, pattern.flags);
+    const matches = [];
+    let match;
+    
+    while ((match = regex.exec(section)) !== null) {
+      const number = parseInt(match[1], 10);
+      // A number seen before is part of the previous entry's text
+      if (!matches.some(entry => entry.number === number)) {
+        matches.push({ number, letters: match[2], start: match.index, end: regex.lastIndex });
+      }
+    }
+    
+    const entries = new Map();
+    
+    matches.forEach((entry, i) => {
+      let body = section.substring(entry.end, i + 1 < matches.length ? matches[i + 1].start : section.length);
+      let answer = entry.letters ? QuestionUtils.parseAnswerLetters(entry.letters) : null;
+      
+      if (!answer) {
+        const lettersMatch = body.match(this.LEADING_ANSWER_PATTERN);
+        if (lettersMatch) {
+          answer = QuestionUtils.parseAnswerLetters(lettersMatch[1]);
+          body = body.substring(lettersMatch[0].length);
+        } else {
+          answer = QuestionUtils.findAnswer(body);
+        }
+      }
+      
+      const explanation = body
+        .replace(/^[\s.:)\-–|]+/, '')
+        .replace(/^(?:Explanation|Reason)[\s.:]+/i, '')
+        .trim();
+      
+      entries.set(entry.number, { answer, explanation });
+    });
+    
+    return entries;
+  },
+  
+  /**
+   * Join answer key and explanation entries to the questions by number, reporting questions
+   * without an entry and entries without a question
+   * @param {Array} questions - The parsed questions (with their number, if known)
+   * @param {Map<number, Object>} entries - Entries from splitAppendices()
+   * @param {Object} report - Parse report to record warnings in
+   */
+  applyAppendix(questions, entries, report) {
+    const matched = new Set();
+    
+    questions.forEach((question, index) => {
+      const number = question.number || index + 1;
+      const entry = entries.get(number);
+      
+      if (!entry) {
+        ParseReport.warn(report, index, `Question ${number} has no entry in the answer key`);
+        return;
+      }
+      matched.add(number);
+      
+      if (entry.answer) {
+        const defaulted = report.warnings.some(warning => warning.questionIndex === index && warning.message === this.ANSWER_NOT_FOUND);
+        
+        if (defaulted) {
+          report.warnings = report.warnings.filter(warning => warning.questionIndex !== index || warning.message !== this.ANSWER_NOT_FOUND);
+        } else if (!QuestionUtils.answersEqual(question.correctAnswer, entry.answer)) {
+          ParseReport.warn(report, index, `The answer key gives ${QuestionUtils.formatAnswer(entry.answer)} but the question gives ` +
+            `${QuestionUtils.formatAnswer(question.correctAnswer)}; using the answer key`);
+        }
+        
+        question.correctAnswer = entry.answer;
+        if (entry.answer.some(answerIndex => answerIndex >= question.options.length)) {
+          ParseReport.warn(report, index, `Answer refers to an option that was not found (only ${question.options.length} options)`);
+        }
+      }
+      
+      if (entry.explanation && !question.explanation) {
+        question.explanation = entry.explanation;
+      }
+    });
+    
+    const unmatched = [...entries.keys()].filter(number => !matched.has(number));
+    if (unmatched.length > 0) {
+      ParseReport.warn(report, null, `Answer key entries without a matching question: ${unmatched.join(', ')}`);
+    }
+  },
+  
+  /**
+   * Find the images on each page and attach them, cropped from the rendered page, to the question
+   * whose text comes before them
+   * @param {Object} pdfDoc - The PDF.js document
+   * @param {Array<Array<Object>>} pageLines - Lines of each page as { offset, y }, offsets in the full text
+   * @param {string} text - The question part of the full text
+   * @param {Array} questions - The parsed questions
+   * @param {Object} [options] - Parse options ({ onProgress, signal })
+   */
+  async extractExhibits(pdfDoc, pageLines, text, questions, options = {}) {
+    const questionOffsets = this.findQuestionOffsets(text, questions);
+    const pages = [];
+    
+    for (let i = 1; i <= pdfDoc.numPages; i++) {
+      ParseReport.progress(options, 'exhibits', `Looking for images on page ${i} of ${pdfDoc.numPages}`, i, pdfDoc.numPages);
+      const page = await pdfDoc.getPage(i);
+      pages.push({ page, boxes: await this.findImageBoxes(page) });
+    }
+    
+    // An image in the same place on several pages is a logo or watermark
+    const boxKey = box => box.map(Math.round).join(',');
+    const boxCounts = new Map();
+    pages.forEach(({ boxes }) => {
+      new Set(boxes.map(boxKey)).forEach(key => boxCounts.set(key, (boxCounts.get(key) || 0) + 1));
+    });
+    
+    let exhibitCount = 0;
+    
+    for (let i = 0; i < pages.length; i++) {
+      const lines = pageLines[i] || [];
+      const pageStart = lines.length > 0 ? lines[0].offset : null;
+      const boxes = pages[i].boxes.filter(box => boxCounts.get(boxKey(box)) < 3);
+      if (boxes.length === 0 || pageStart === null || pageStart >= text.length) {
+        continue;
+      }
+      
+      ParseReport.progress(options, 'exhibits', `Extracting images from page ${i + 1}`, i + 1, pages.length);
+      const rendered = await this.renderPage(pages[i].page);
+      
+      for (const box of boxes) {
+        // The image belongs to the question of the last line above it (PDF y grows upwards)
+        const above = lines.filter(line => line.y > box[3]);
+        const anchor = above.length > 0 ? Math.max(...above.map(line => line.offset)) : pageStart;
+        
+        let owner = -1;
+        questionOffsets.forEach((offset, index) => {
+          if (offset !== null && offset <= anchor && (owner < 0 || offset >= questionOffsets[owner])) {
+            owner = index;
+          }
+        });
+        if (owner < 0 || anchor >= text.length) {
+          continue;
+        }
+        
+        const question = questions[owner];
+        question.exhibits = (question.exhibits || []).concat({
+          src: await this.cropToDataURL(rendered, box),
+          // Display size in CSS pixels (96 per inch) from the size in PDF points (72 per inch)
+          width: Math.round(((box[2] - box[0]) * 4) / 3),
+          height: Math.round(((box[3] - box[1]) * 4) / 3)
+        });
+        exhibitCount++;
+      }
+    }
+    
+    console.log(`Attached ${exhibitCount} images to questions`);
+  },
+  
+  /**
+   * Find where each question starts in the text
+   * @param {string} text - The text the questions were parsed from
+   * @param {Array} questions - The parsed questions, in text order
+   * @returns {Array<number|null>} - Offset of each question, or null if its text could not be found
+   */
+  findQuestionOffsets(text, questions) {
+    let cursor = 0;
+    
+    return questions.map(question => {
+      const start = (question.text || '').trim().substring(0, 40);
+      if (!start) {
+        return null;
+      }
+      
+      let offset = text.indexOf(start, cursor);
+      if (offset < 0) {
+        offset = text.indexOf(start);
+      }
+      if (offset < 0) {
+        return null;
+      }
+      
+      cursor = offset + start.length;
+      return offset;
+    });
+  },
+  
+  /**
+   * Find the images painted on a page
+   * @param {Object} page - The PDF.js page
+   * @returns {Promise<Array<Array<number>>>} - Image boxes as [x1, y1, x2, y2] in PDF points
+   */
+  async findImageBoxes(page) {
+    const { OPS, Util } = pdfjsLib;
+    const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintJpegXObject]);
+    const operatorList = await page.getOperatorList();
+    const [pageX1, pageY1, pageX2, pageY2] = page.view;
+    const pageArea = (pageX2 - pageX1) * (pageY2 - pageY1);
+    const boxes = [];
+    const stack = [];
+    let matrix = [1, 0, 0, 1, 0, 0];
+    
+    operatorList.fnArray.forEach((fn, i) => {
+      const args = operatorList.argsArray[i];
+      
+      if (fn === OPS.save) {
+        stack.push(matrix);
+      } else if (fn === OPS.restore) {
+        matrix = stack.pop() || matrix;
+      } else if (fn === OPS.transform) {
+        matrix = Util.transform(matrix, args);
+      } else if (fn === OPS.paintFormXObjectBegin) {
+        stack.push(matrix);
+        if (Array.isArray(args[0]) && args[0].length === 6) {
+          matrix = Util.transform(matrix, args[0]);
+        }
+      } else if (fn === OPS.paintFormXObjectEnd) {
+        matrix = stack.pop() || matrix;
+      } else if (imageOps.has(fn)) {
+        // Images are painted into the unit square of the current transformation
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(point => Util.applyTransform(point, matrix));
+        const xs = corners.map(point => point[0]);
+        const ys = corners.map(point => point[1]);
+        const box = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+        const width = box[2] - box[0];
+        const height = box[3] - box[1];
+        
+        // Skip icons and bullets, and backgrounds or scans covering the page
+        if (width >= this.MIN_EXHIBIT_SIZE && height >= this.MIN_EXHIBIT_SIZE && width * height < pageArea * 0.9) {
+          boxes.push(box);
+        }
+      }
+    });
+    
+    return boxes;
+  },
+  
+  /**
+   * Render a page for cropping exhibits
+   * @param {Object} page - The PDF.js page
+   * @returns {Promise<Object>} - The canvas and viewport ({ canvas, viewport })
+   */
+  async renderPage(page) {
+    const viewport = page.getViewport({ scale: this.EXHIBIT_RENDER_SCALE });
+    const canvas = this.createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // PDF.js creates its scratch canvases in the page document unless given a factory
+    const canvasFactory = typeof document === 'undefined' ? this.createCanvasFactory() : undefined;
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport, canvasFactory }).promise;
+    return { canvas, viewport };
+  },
+  
+  /**
+   * Create a PDF.js canvas factory that works without a document
+   * @returns {Object} - The factory ({ create, reset, destroy })
+   */
+  createCanvasFactory() {
+    return {
+      create: (width, height) => {
+        const canvas = this.createCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+      },
+      reset: (canvasAndContext, width, height) => {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+      },
+      destroy: canvasAndContext => {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+      }
+    };
+  },
+  
+  /**
+   * Crop a region of a rendered page into a PNG data URL
+   * @param {Object} rendered - The rendered page from renderPage()
+   * @param {Array<number>} box - The region as [x1, y1, x2, y2] in PDF points
+   * @returns {Promise<string>} - The image data URL
+   */
+  async cropToDataURL(rendered, box) {
+    const [x1, y1, x2, y2] = rendered.viewport.convertToViewportRectangle(box);
+    const left = Math.floor(Math.min(x1, x2));
+    const top = Math.floor(Math.min(y1, y2));
+    const width = Math.max(Math.ceil(Math.abs(x2 - x1)), 1);
+    const height = Math.max(Math.ceil(Math.abs(y2 - y1)), 1);
+    
+    const canvas = this.createCanvas(width, height);
+    canvas.getContext('2d').drawImage(rendered.canvas, left, top, width, height, 0, 0, width, height);
+    
+    if (canvas.toDataURL) {
+      return canvas.toDataURL('image/png');
+    }
+    
+    // OffscreenCanvas has no toDataURL
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read image'));
+      reader.readAsDataURL(blob);
+    });
+  },
+  
+  /**
+   * Create a canvas, in the page or offscreen
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {HTMLCanvasElement|OffscreenCanvas} - The canvas
+   */
+  createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    if (typeof OffscreenCanvas === 'undefined') {
+      // Under Node there is nothing to render pages on
+      throw new Error('no canvas is available to render pages');
+    }
+    return new OffscreenCanvas(width, height);
+  },
+  
+  /**
+   * Record question-like blocks of text that no parsed question came from
+   * @param {string} text - The full text content from the PDF
+   * @param {Array<number>} pageOffsets - Offset of each page in the full text
+   * @param {Array} questions - The parsed questions
+   * @param {Object} report - Parse report to add the blocks to
+   */
+  findUnparsedBlocks(text, pageOffsets, questions, report) {
+    const blockPattern = /(?:^|\n)\s*(?:Question\s+\d+[:.]?|Q\d+[:.]|\d+[.)])\s/gi;
+    const starts = [];
+    let match;
+    
+    while ((match = blockPattern.exec(text)) !== null) {
+      starts.push(match.index);
+    }
+    
+    // Compare on whitespace-normalized text since extraction may reflow lines
+    const normalize = value => value.replace(/\s+/g, ' ').trim();
+    const questionStarts = questions.map(q => normalize(q.text || '').substring(0, 40)).filter(Boolean);
+    
+    starts.forEach((start, i) => {
+      const block = text.substring(start, i + 1 < starts.length ? starts[i + 1] : text.length);
+      const normalizedBlock = normalize(block);
+      
+      // Only blocks that look like questions: a question mark or at least two options
+      const looksLikeQuestion = block.includes('?') || (block.match(/(?:^|\n)\s*\(?[A-Ja-j][.)]\s/g) || []).length >= 2;
+      if (!looksLikeQuestion) {
+        return;
+      }
+      
+      if (questionStarts.some(questionStart => normalizedBlock.includes(questionStart))) {
+        return;
+      }
+      
+      // Find the page the block starts on
+      let page = 1;
+      while (page < pageOffsets.length && pageOffsets[page] <= start) {
+        page++;
+      }
+      
+      ParseReport.addUnparsedBlock(report, block, page);
+    });
   }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PDFParser;
+}
@@ -0,0 +1,529 @@
+/**
+ * Question Bank Editor - Edit, add, delete and reorder the loaded questions
+ * so a cleaned-up bank can be saved locally or exported instead of re-parsed
+ */
+class QuestionBankEditor {
+    /**
+     * @param {ExamSimulator} examSimulator - The simulator holding the question bank
+     * @param {Object} elements - Container elements ({ list, form })
+     */
+    constructor(examSimulator, elements) {
+        this.examSimulator = examSimulator;
+        this.listElement = elements.list;
+        this.formElement = elements.form;
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * Show the first question of the bank
+     */
+    open() {
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Render the question list and the form for the selected question
+     */
+    render() {
+        this.renderList();
+        this.renderForm();
+    }
+
+    /**
+     * Render the list of questions
+     */
+    renderList() {
+        this.listElement.innerHTML = '';
+
+        this.examSimulator.questions.forEach((question, index) => {
+            const item = document.createElement('button');
+            item.className = 'editor-list-item';
+            item.classList.toggle('current', index === this.selectedIndex);
+            item.classList.toggle('conflict', !!question.answerConflict);
+            item.textContent = this.getListLabel(question, index);
+            item.addEventListener('click', () => this.selectQuestion(index));
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Get the label shown for a question in the list
+     * @param {Object} question - The question object
+     * @param {number} index - The question index
+     * @returns {string} - Question number and the start of its text
+     */
+    getListLabel(question, index) {
+        const text = (question.text || '').replace(/\s+/g, ' ').trim() || '(no question text)';
+        const label = `${index + 1}. ${text.length > 60 ? `${text.substring(0, 60)}...` : text}`;
+        return question.answerConflict ? `${label} (answers disagree)` : label;
+    }
+
+    /**
+     * Render the edit form for the selected question
+     */
+    renderForm() {
+        this.formElement.innerHTML = '';
+
+        const question = this.examSimulator.questions[this.selectedIndex];
+        if (!question) {
+            this.formElement.textContent = 'The question bank is empty. Add a question to get started.';
+            return;
+        }
+
+        // Files the question was merged from; copies that disagree on the answer need checking
+        if (question.answerConflict || (Array.isArray(question.sources) && question.sources.length > 1)) {
+            this.formElement.appendChild(this.createSourcesNotice(question));
+        }
+
+        // Question text
+        const textArea = this.createTextArea(question.text, 4);
+        textArea.addEventListener('input', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, { text: textArea.value });
+            this.refreshListItem();
+        });
+        this.formElement.appendChild(this.createField(`Question ${this.selectedIndex + 1}`, textArea));
+
+        // Topic, suggesting the topics already used in the bank
+        this.formElement.appendChild(this.createField('Topic', this.createTopicInput(question)));
+
+        // Weight in the scaled score
+        const weightInput = document.createElement('input');
+        weightInput.type = 'number';
+        weightInput.min = '0.1';
+        weightInput.step = '0.1';
+        weightInput.value = Scoring.getWeight(question);
+        weightInput.addEventListener('change', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, { weight: weightInput.value });
+            weightInput.value = Scoring.getWeight(question);
+        });
+        this.formElement.appendChild(this.createField('Weight', weightInput));
+
+        // Question type; changing it keeps the options and answers that carry over
+        const typeSelect = document.createElement('select');
+        QuestionTypes.TYPES.forEach(type => {
+            typeSelect.appendChild(new Option(QuestionTypes.NAMES[type], type));
+        });
+        typeSelect.value = QuestionTypes.getType(question);
+        typeSelect.addEventListener('change', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, QuestionTypes.convert(question, typeSelect.value));
+            this.renderForm();
+        });
+        this.formElement.appendChild(this.createField('Type', typeSelect));
+
+        this.renderAnswerFields(question);
+
+        // Explanation
+        const explanationArea = this.createTextArea(question.explanation || '', 3);
+        explanationArea.addEventListener('input', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, { explanation: explanationArea.value });
+        });
+        this.formElement.appendChild(this.createField('Explanation', explanationArea));
+
+        // Question actions
+        const actions = document.createElement('div');
+        actions.className = 'editor-question-actions';
+        actions.appendChild(this.createButton('Move up', 'nav-button', () => this.moveQuestion(-1), this.selectedIndex === 0));
+        actions.appendChild(this.createButton('Move down', 'nav-button', () => this.moveQuestion(1),
+            this.selectedIndex === this.examSimulator.questions.length - 1));
+        actions.appendChild(this.createButton('Delete question', 'secondary-button', () => this.deleteQuestion()));
+        this.formElement.appendChild(actions);
+    }
+
+    /**
+     * Render the fields for the options and correct answer, which depend on the question type
+     * @param {Object} question - The question object
+     */
+    renderAnswerFields(question) {
+        const type = QuestionTypes.getType(question);
+
+        if (type === 'fillin') {
+            const answersArea = this.createTextArea((question.correctAnswer || []).join('\n'), 3);
+            answersArea.addEventListener('input', () => {
+                this.examSimulator.updateQuestion(this.selectedIndex, { correctAnswer: answersArea.value.split('\n') });
+            });
+            this.formElement.appendChild(this.createField('Accepted answers (one per line, case is ignored)', answersArea));
+            return;
+        }
+
+        if (type === 'truefalse') {
+            const answerSelect = document.createElement('select');
+            question.options.forEach((option, optionIndex) => {
+                answerSelect.appendChild(new Option(option, String(optionIndex)));
+            });
+            answerSelect.value = String(question.correctAnswer[0]);
+            answerSelect.addEventListener('change', () => {
+                this.examSimulator.updateQuestion(this.selectedIndex, { correctAnswer: [Number(answerSelect.value)] });
+            });
+            this.formElement.appendChild(this.createField('Correct answer', answerSelect));
+            return;
+        }
+
+        if (type === 'matching') {
+            const itemsList = document.createElement('div');
+            itemsList.className = 'editor-options';
+            question.items.forEach((item, itemIndex) => {
+                itemsList.appendChild(this.createItemRow(question, item, itemIndex));
+            });
+            itemsList.appendChild(this.createButton('Add item', 'nav-button', () => {
+                this.examSimulator.updateQuestion(this.selectedIndex, {
+                    items: [...question.items, ''],
+                    correctAnswer: [...question.correctAnswer, 0]
+                });
+                this.renderForm();
+            }));
+            this.formElement.appendChild(this.createField('Items (choose the matching option)', itemsList));
+        }
+
+        // Options, with a checkbox marking each correct answer or the position of each in the correct order
+        const optionsList = document.createElement('div');
+        optionsList.className = 'editor-options';
+
+        question.options.forEach((option, optionIndex) => {
+            optionsList.appendChild(this.createOptionRow(question, option, optionIndex));
+        });
+
+        const addOptionButton = this.createButton('Add option', 'nav-button', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, { options: [...question.options, ''] });
+            this.renderForm();
+        });
+        optionsList.appendChild(addOptionButton);
+
+        const labels = {
+            ordering: 'Options (choose the position of each in the correct order)',
+            matching: 'Options'
+        };
+        this.formElement.appendChild(this.createField(labels[type] || 'Options (check the correct answers)', optionsList));
+    }
+
+    /**
+     * Create the notice listing the files a merged question came from
+     * @param {Object} question - The question object
+     * @returns {HTMLElement} - The notice element
+     */
+    createSourcesNotice(question) {
+        const notice = document.createElement('div');
+        notice.className = question.answerConflict ? 'editor-sources conflict' : 'editor-sources';
+
+        const text = document.createElement('p');
+        text.textContent = question.answerConflict
+            ? `The merged copies disagree on the answer. ${BankMerger.describeSources(question)}`
+            : `Merged from ${BankMerger.describeSources(question)}`;
+        notice.appendChild(text);
+
+        if (question.answerConflict) {
+            notice.appendChild(this.createButton('Mark answer as checked', 'nav-button', () => {
+                this.examSimulator.updateQuestion(this.selectedIndex, { answerConflict: false });
+                this.render();
+            }));
+        }
+
+        return notice;
+    }
+
+    /**
+     * Create the editing row for one option
+     * @param {Object} question - The question object
+     * @param {string} option - The option text
+     * @param {number} optionIndex - The option index
+     * @returns {HTMLElement} - The row element
+     */
+    createOptionRow(question, option, optionIndex) {
+        const row = document.createElement('div');
+        row.className = 'editor-option';
+        const type = QuestionTypes.getType(question);
+
+        if (type === 'ordering') {
+            row.appendChild(this.createPositionSelect(question, optionIndex));
+        } else if (type !== 'matching') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = question.correctAnswer.includes(optionIndex);
+            checkbox.title = 'Correct answer';
+            checkbox.addEventListener('change', () => {
+                const checked = Array.from(this.formElement.querySelectorAll('.editor-option input[type="checkbox"]'))
+                    .map((box, index) => (box.checked ? index : null))
+                    .filter(index => index !== null);
+                this.examSimulator.updateQuestion(this.selectedIndex, { correctAnswer: checked });
+                // At least one answer stays selected, so re-render to reflect any default
+                this.renderForm();
+            });
+            row.appendChild(checkbox);
+        }
+
+        const label = document.createElement('span');
+        label.className = 'editor-option-label';
+        label.textContent = QuestionUtils.indexToLetter(optionIndex);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = option;
+        input.addEventListener('input', () => {
+            const options = [...question.options];
+            options[optionIndex] = input.value;
+            this.examSimulator.updateQuestion(this.selectedIndex, { options });
+        });
+
+        const removeButton = this.createButton('Remove', 'nav-button', () => {
+            const options = question.options.filter((_, index) => index !== optionIndex);
+
+            // Shift answers after the removed option down by one; items matched to it fall back to the first option
+            const shift = index => (index > optionIndex ? index - 1 : index);
+            const correctAnswer = type === 'matching'
+                ? question.correctAnswer.map(index => (index === optionIndex ? 0 : shift(index)))
+                : question.correctAnswer.filter(index => index !== optionIndex).map(shift);
+
+            this.examSimulator.updateQuestion(this.selectedIndex, { options, correctAnswer });
+            this.renderForm();
+        }, question.options.length <= 2);
+
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(removeButton);
+        return row;
+    }
+
+    /**
+     * Create the select for an option's position in the correct order of an ordering question
+     * @param {Object} question - The question object
+     * @param {number} optionIndex - The option index
+     * @returns {HTMLSelectElement} - The select
+     */
+    createPositionSelect(question, optionIndex) {
+        const select = document.createElement('select');
+        select.title = 'Position in the correct order';
+        question.options.forEach((_, position) => {
+            select.appendChild(new Option(String(position + 1), String(position)));
+        });
+        select.value = String(question.correctAnswer.indexOf(optionIndex));
+        select.addEventListener('change', () => {
+            const order = question.correctAnswer.filter(index => index !== optionIndex);
+            order.splice(Number(select.value), 0, optionIndex);
+            this.examSimulator.updateQuestion(this.selectedIndex, { correctAnswer: order });
+            this.renderForm();
+        });
+        return select;
+    }
+
+    /**
+     * Create the editing row for one item of a matching question
+     * @param {Object} question - The question object
+     * @param {string} item - The item text
+     * @param {number} itemIndex - The item index
+     * @returns {HTMLElement} - The row element
+     */
+    createItemRow(question, item, itemIndex) {
+        const row = document.createElement('div');
+        row.className = 'editor-option';
+
+        const label = document.createElement('span');
+        label.className = 'editor-option-label';
+        label.textContent = String(itemIndex + 1);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = item;
+        input.addEventListener('input', () => {
+            const items = [...question.items];
+            items[itemIndex] = input.value;
+            this.examSimulator.updateQuestion(this.selectedIndex, { items });
+        });
+
+        const matchSelect = document.createElement('select');
+        matchSelect.title = 'Matching option';
+        question.options.forEach((_, optionIndex) => {
+            matchSelect.appendChild(new Option(QuestionUtils.indexToLetter(optionIndex), String(optionIndex)));
+        });
+        matchSelect.value = String(question.correctAnswer[itemIndex]);
+        matchSelect.addEventListener('change', () => {
+            const correctAnswer = [...question.correctAnswer];
+            correctAnswer[itemIndex] = Number(matchSelect.value);
+            this.examSimulator.updateQuestion(this.selectedIndex, { correctAnswer });
+        });
+
+        const removeButton = this.createButton('Remove', 'nav-button', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, {
+                items: question.items.filter((_, index) => index !== itemIndex),
+                correctAnswer: question.correctAnswer.filter((_, index) => index !== itemIndex)
+            });
+            this.renderForm();
+        }, question.items.length <= 1);
+
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(matchSelect);
+        row.appendChild(removeButton);
+        return row;
+    }
+
+    /**
+     * Create the topic input with a list of the bank's existing topics
+     * @param {Object} question - The question object
+     * @returns {HTMLElement} - The input and its suggestion list
+     */
+    createTopicInput(question) {
+        const wrapper = document.createElement('div');
+
+        const topicList = document.createElement('datalist');
+        topicList.id = 'editor-topic-list';
+        const topics = new Set(this.examSimulator.questions.map(item => item.topic).filter(Boolean));
+        [...topics].sort((a, b) => a.localeCompare(b)).forEach(topic => {
+            topicList.appendChild(new Option(topic));
+        });
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = question.topic || '';
+        input.placeholder = 'e.g. Topic 1, Networking';
+        input.setAttribute('list', topicList.id);
+        input.addEventListener('input', () => {
+            this.examSimulator.updateQuestion(this.selectedIndex, { topic: input.value });
+        });
+
+        wrapper.appendChild(input);
+        wrapper.appendChild(topicList);
+        return wrapper;
+    }
+
+    /**
+     * Create a labelled form field
+     * @param {string} labelText - The label
+     * @param {HTMLElement} control - The field control
+     * @returns {HTMLElement} - The field element
+     */
+    createField(labelText, control) {
+        const field = document.createElement('div');
+        field.className = 'editor-field';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+
+        field.appendChild(label);
+        field.appendChild(control);
+        return field;
+    }
+
+    /**
+     * Create a textarea
+     * @param {string} value - The initial value
+     * @param {number} rows - The visible row count
+     * @returns {HTMLTextAreaElement} - The textarea
+     */
+    createTextArea(value, rows) {
+        const textArea = document.createElement('textarea');
+        textArea.rows = rows;
+        textArea.value = value;
+        return textArea;
+    }
+
+    /**
+     * Create a button
+     * @param {string} text - The button text
+     * @param {string} className - The button class
+     * @param {Function} onClick - Click handler
+     * @param {boolean} [disabled] - Whether the button is disabled
+     * @returns {HTMLButtonElement} - The button
+     */
+    createButton(text, className, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Update the list label of the selected question after its text changed
+     */
+    refreshListItem() {
+        const item = this.listElement.children[this.selectedIndex];
+        if (item) {
+            item.textContent = this.getListLabel(this.examSimulator.questions[this.selectedIndex], this.selectedIndex);
+        }
+    }
+
+    /**
+     * Select a question for editing
+     * @param {number} index - The question index
+     */
+    selectQuestion(index) {
+        this.selectedIndex = index;
+        this.render();
+    }
+
+    /**
+     * Add a blank question and select it
+     */
+    addQuestion() {
+        this.selectQuestion(this.examSimulator.addQuestion());
+    }
+
+    /**
+     * Delete the selected question
+     */
+    deleteQuestion() {
+        if (!confirm(`Delete question ${this.selectedIndex + 1}?`)) {
+            return;
+        }
+
+        this.examSimulator.removeQuestion(this.selectedIndex);
+        this.selectQuestion(Math.min(this.selectedIndex, Math.max(this.examSimulator.questions.length - 1, 0)));
+    }
+
+    /**
+     * Move the selected question up or down
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveQuestion(offset) {
+        const targetIndex = this.selectedIndex + offset;
+        this.examSimulator.moveQuestion(this.selectedIndex, targetIndex);
+        this.selectQuestion(targetIndex);
+    }
+
+    /**
+     * Check the bank for questions that cannot be used in an exam
+     * @returns {Array<string>} - Problems found, empty if the bank is usable
+     */
+    validate() {
+        const problems = [];
+
+        this.examSimulator.questions.forEach((question, index) => {
+            if (!question.text.trim()) {
+                problems.push(`Question ${index + 1} has no text.`);
+            }
+            QuestionTypes.getProblems(question).forEach(problem => {
+                problems.push(`Question ${index + 1} ${problem}.`);
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * Download the bank as a native-format JSON file that can be loaded again
+     * @param {string} name - The bank name
+     */
+    exportBank(name) {
+        const warnings = [];
+        const examData = this.examSimulator.toExamFormat(name, { onWarning: message => warnings.push(message) });
+        const blob = new Blob([JSON.stringify(examData, null, 2)], { type: 'application/json' });
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = URL.createObjectURL(blob);
+        downloadLink.download = `${name.replace(/\.[^/.]+$/, '') || 'question-bank'}.json`;
+
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+
+        setTimeout(() => {
+            URL.revokeObjectURL(downloadLink.href);
+        }, 100);
+
+        if (warnings.length > 0) {
+            alert(`The exported file was adjusted so it can be loaded again:\n${warnings.join('\n')}`);
+        }
+    }
+}
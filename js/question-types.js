@@ -0,0 +1,452 @@
+/**
+ * Question Types - Answer rules for each kind of question
+ *
+ * Choice questions ('single', 'multiple' and 'truefalse') answer with a sorted array of
+ * option indices, as described in QuestionUtils. The other types keep their own shape:
+ * - 'fillin': no options; correctAnswer lists the accepted texts and the user answer is [text]
+ * - 'ordering': correctAnswer lists every option index in the right order; so does the user answer
+ * - 'matching': question.items are matched to options; correctAnswer[i] is the option index for
+ *   item i, and the user answer has null for items not matched yet
+ */
+const QuestionTypes = {
+    /**
+     * All question types
+     */
+    TYPES: ['single', 'multiple', 'truefalse', 'fillin', 'ordering', 'matching'],
+
+    /**
+     * Names of the question types for display
+     */
+    NAMES: {
+        single: 'Single answer',
+        multiple: 'Multiple answers',
+        truefalse: 'True/false',
+        fillin: 'Fill in the blank',
+        ordering: 'Ordering',
+        matching: 'Matching'
+    },
+
+    /**
+     * Options of a true/false question
+     */
+    TRUE_FALSE_OPTIONS: ['True', 'False'],
+
+    /**
+     * Get the type of a question
+     *
+     * 'single' and 'multiple' follow from the number of correct answers, so they stay right
+     * when an answer key is edited. A question of no set type with just "True" and "False"
+     * options is 'truefalse'.
+     * @param {Object} question - The question object
+     * @returns {string} - One of TYPES
+     */
+    getType(question) {
+        if (['truefalse', 'fillin', 'ordering', 'matching'].includes(question.type)) {
+            return question.type;
+        }
+
+        const options = Array.isArray(question.options) ? question.options : [];
+        if (!question.type && options.length === 2 &&
+            options.every((option, index) => String(option).trim().toLowerCase() === this.TRUE_FALSE_OPTIONS[index].toLowerCase())) {
+            return 'truefalse';
+        }
+        return QuestionUtils.isMultipleResponse(question) ? 'multiple' : 'single';
+    },
+
+    /**
+     * Check if a question is answered by choosing options
+     * @param {Object} question - The question object
+     * @returns {boolean} - True for 'single', 'multiple' and 'truefalse' questions
+     */
+    isChoice(question) {
+        return ['single', 'multiple', 'truefalse'].includes(this.getType(question));
+    },
+
+    /**
+     * Normalize an answer to the shape of the question's type
+     * @param {Object} question - The question object
+     * @param {*} value - The answer
+     * @returns {Array|null} - The normalized answer, or null if there is no answer
+     */
+    normalizeAnswer(question, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        switch (this.getType(question)) {
+            case 'fillin': {
+                const texts = (Array.isArray(value) ? value : [value])
+                    .map(text => String(text === null || text === undefined ? '' : text).trim())
+                    .filter(Boolean);
+                return texts.length > 0 ? [...new Set(texts)] : null;
+            }
+            case 'ordering': {
+                const indices = (Array.isArray(value) ? value : [value])
+                    .filter(index => Number.isInteger(index) && index >= 0);
+                const order = [...new Set(indices)];
+                return order.length > 0 ? order : null;
+            }
+            case 'matching': {
+                const matches = (Array.isArray(value) ? value : [value])
+                    .map(index => (Number.isInteger(index) && index >= 0 ? index : null));
+                return matches.some(index => index !== null) ? matches : null;
+            }
+            default:
+                return QuestionUtils.normalizeAnswer(value);
+        }
+    },
+
+    /**
+     * Check if a question has been fully answered
+     * @param {Object} question - The question object
+     * @param {Array|null} [answer] - The answer (the user's answer if omitted)
+     * @returns {boolean} - True if nothing is left to choose, type or match
+     */
+    isAnswered(question, answer = question.userAnswer) {
+        if (!Array.isArray(answer)) {
+            return false;
+        }
+
+        switch (this.getType(question)) {
+            case 'fillin':
+                return answer.some(text => String(text).trim());
+            case 'ordering':
+                return answer.length >= question.options.length;
+            case 'matching':
+                return answer.length >= (question.items || []).length && answer.every(index => index !== null);
+            default:
+                return answer.length >= QuestionUtils.getRequiredCount(question);
+        }
+    },
+
+    /**
+     * Check if any part of a question has been answered
+     * @param {Object} question - The question object
+     * @param {Array|null} [answer] - The answer (the user's answer if omitted)
+     * @returns {boolean} - True unless the answer is missing or empty; a partly matched matching counts
+     */
+    hasAnswer(question, answer = question.userAnswer) {
+        return this.normalizeAnswer(question, answer) !== null;
+    },
+
+    /**
+     * Check if an answer is correct
+     *
+     * Answers are all-or-nothing: every option, position or match must be right. Typed
+     * answers match an accepted text regardless of case and spacing.
+     * @param {Object} question - The question object
+     * @param {Array|null} [answer] - The answer (the user's answer if omitted)
+     * @returns {boolean} - True if the answer is correct
+     */
+    isCorrect(question, answer = question.userAnswer) {
+        if (this.getType(question) === 'fillin') {
+            const given = this.normalizeAnswer(question, answer);
+            const accepted = (this.normalizeAnswer(question, question.correctAnswer) || []).map(this.normalizeText);
+            return !!given && accepted.includes(this.normalizeText(given[0]));
+        }
+        return this.answersEqual(question, answer, question.correctAnswer);
+    },
+
+    /**
+     * Get the share of a question an answer gets right, for partial credit
+     *
+     * Multiple-answer questions earn a share for each correct option chosen and lose one for each
+     * wrong option, never going below zero. Orderings and matchings earn a share for each position
+     * or match that is right. Single answer, true/false and fill-in questions are right or wrong.
+     * @param {Object} question - The question object
+     * @param {Array|null} [answer] - The answer (the user's answer if omitted)
+     * @returns {number} - From 0 (nothing right) to 1 (correct)
+     */
+    getPartialCredit(question, answer = question.userAnswer) {
+        const given = this.normalizeAnswer(question, answer);
+        const correct = this.normalizeAnswer(question, question.correctAnswer) || [];
+        if (!given || correct.length === 0) {
+            return 0;
+        }
+
+        switch (this.getType(question)) {
+            case 'multiple': {
+                const right = given.filter(index => correct.includes(index)).length;
+                return Math.max(0, (right - (given.length - right)) / correct.length);
+            }
+            case 'ordering':
+            case 'matching':
+                return correct.filter((index, position) => given[position] === index).length / correct.length;
+            default:
+                return this.isCorrect(question, answer) ? 1 : 0;
+        }
+    },
+
+    /**
+     * Compare two answers to the same question
+     * @param {Object} question - The question object
+     * @param {Array|null} a - One answer
+     * @param {Array|null} b - The other answer
+     * @returns {boolean} - True if both answers are the same; typed answers compare as sets of texts
+     */
+    answersEqual(question, a, b) {
+        const type = this.getType(question);
+        if (!['fillin', 'ordering', 'matching'].includes(type)) {
+            return QuestionUtils.answersEqual(a, b);
+        }
+
+        const first = this.normalizeAnswer(question, a);
+        const second = this.normalizeAnswer(question, b);
+        if (!first || !second || first.length !== second.length) {
+            return false;
+        }
+
+        if (type === 'fillin') {
+            const texts = new Set(second.map(this.normalizeText));
+            return first.every(text => texts.has(this.normalizeText(text)));
+        }
+        return first.every((value, index) => value === second[index]);
+    },
+
+    /**
+     * Normalize a typed answer for comparison
+     * @param {string} text - The text
+     * @returns {string} - Lowercase text with single spaces
+     */
+    normalizeText(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Format an answer for display
+     * @param {Object} question - The question object
+     * @param {Array|null} answer - The answer
+     * @returns {string} - E.g. "B, D", "True", "\"ipconfig\" or \"ipconfig /all\"", "C, A, B" (in order) or
+     *                     "1-B, 2-A" (item numbers and option letters); empty if there is no answer
+     */
+    formatAnswer(question, answer) {
+        const normalized = this.normalizeAnswer(question, answer);
+        if (!normalized) {
+            return '';
+        }
+
+        switch (this.getType(question)) {
+            case 'truefalse':
+                return normalized.map(index => question.options[index] || QuestionUtils.indexToLetter(index)).join(', ');
+            case 'fillin':
+                return normalized.map(text => `"${text}"`).join(' or ');
+            case 'ordering':
+                return normalized.map(index => QuestionUtils.indexToLetter(index)).join(', ');
+            case 'matching':
+                return normalized
+                    .map((index, item) => `${item + 1}-${index === null ? '?' : QuestionUtils.indexToLetter(index)}`)
+                    .join(', ');
+            default:
+                return QuestionUtils.formatAnswer(normalized);
+        }
+    },
+
+    /**
+     * Describe an answer in words, for feedback and screen readers
+     * @param {Object} question - The question object
+     * @param {Array|null} answer - The answer
+     * @returns {string} - Like formatAnswer(), but orderings and matchings use the option texts,
+     *                     e.g. "1. Plan; 2. Build" or "HTTP: 80; SSH: 22"
+     */
+    describeAnswer(question, answer) {
+        const normalized = this.normalizeAnswer(question, answer);
+        const optionText = index => (index === null || question.options[index] === undefined
+            ? '?'
+            : question.options[index]);
+
+        switch (normalized && this.getType(question)) {
+            case 'ordering':
+                return normalized.map((index, position) => `${position + 1}. ${optionText(index)}`).join('; ');
+            case 'matching':
+                return normalized.map((index, item) => `${(question.items || [])[item]}: ${optionText(index)}`).join('; ');
+            default:
+                return this.formatAnswer(question, answer);
+        }
+    },
+
+    /**
+     * Map an answer from original option indices to the shuffled display order
+     * @param {Object} question - The question object
+     * @param {Array|null} answer - Answer using indices into the original options
+     * @param {Array<number>} optionOrder - Original option index shown at each position
+     * @returns {Array|null} - Answer using indices into the displayed options
+     */
+    toDisplayedAnswer(question, answer, optionOrder) {
+        const type = this.getType(question);
+        if (type === 'fillin') {
+            return this.normalizeAnswer(question, answer);
+        }
+        if (type !== 'ordering' && type !== 'matching') {
+            return QuestionUtils.toDisplayedAnswer(answer, optionOrder);
+        }
+
+        const normalized = this.normalizeAnswer(question, answer);
+        return normalized && this.normalizeAnswer(question, normalized.map(index => (index === null ? null : optionOrder.indexOf(index))));
+    },
+
+    /**
+     * Map an answer from the shuffled display order back to original option indices
+     * @param {Object} question - The question object
+     * @param {Array|null} answer - Answer using indices into the displayed options
+     * @param {Array<number>} optionOrder - Original option index shown at each position
+     * @returns {Array|null} - Answer using indices into the original options
+     */
+    toOriginalAnswer(question, answer, optionOrder) {
+        const type = this.getType(question);
+        if (type === 'fillin') {
+            return this.normalizeAnswer(question, answer);
+        }
+        if (type !== 'ordering' && type !== 'matching') {
+            return QuestionUtils.toOriginalAnswer(answer, optionOrder);
+        }
+
+        const normalized = this.normalizeAnswer(question, answer);
+        return normalized && this.normalizeAnswer(question, normalized.map(index => (index === null ? null : optionOrder[index])));
+    },
+
+    /**
+     * Get the order an ordering question's options are first shown in
+     *
+     * Options are usually stored in the right order, so showing them as stored would give the
+     * answer away. The order is a permutation seeded from the question, so it is the same every
+     * time the question is shown or printed, whether or not options are shuffled, and it is
+     * never the correct order when there is more than one option.
+     * @param {Object} question - The question object
+     * @returns {Array<number>} - Option indices in the order to show them
+     */
+    getStartOrder(question) {
+        const options = Array.isArray(question.options) ? question.options : [];
+        const correctAnswer = this.normalizeAnswer(question, question.correctAnswer);
+        const random = SeededRandom.create(SeededRandom.normalizeSeed(`${question.text}\n${options.join('\n')}`));
+
+        let order = SeededRandom.permutation(options.length, random);
+        while (options.length > 1 && this.answersEqual(question, order, correctAnswer)) {
+            order = SeededRandom.permutation(options.length, random);
+        }
+        return order;
+    },
+
+    /**
+     * Check if a question's options may be shuffled
+     * @param {Object} question - The question object
+     * @returns {boolean} - False for true/false questions, whose options keep their usual order
+     */
+    canShuffleOptions(question) {
+        return this.getType(question) !== 'truefalse';
+    },
+
+    /**
+     * Make a question's correct answer fit its type, options and items
+     * @param {Object} question - The question object
+     * @returns {Array} - A correct answer of the right shape: choice answers default to the first option,
+     *                    orderings list every option once and matchings have one option per item
+     */
+    fitCorrectAnswer(question) {
+        const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+        const answer = this.normalizeAnswer(question, question.correctAnswer) || [];
+
+        switch (this.getType(question)) {
+            case 'fillin':
+                return answer;
+            case 'ordering': {
+                const order = answer.filter(index => index < optionCount);
+                for (let index = 0; index < optionCount; index++) {
+                    if (!order.includes(index)) {
+                        order.push(index);
+                    }
+                }
+                return order;
+            }
+            case 'matching':
+                return (question.items || []).map((_, item) => {
+                    const index = answer[item];
+                    return Number.isInteger(index) && index < optionCount ? index : 0;
+                });
+            default: {
+                const valid = answer.filter(index => index < optionCount);
+                return valid.length > 0 ? valid : [0];
+            }
+        }
+    },
+
+    /**
+     * Get the changes that turn a question into another type, keeping what carries over
+     * @param {Object} question - The question object
+     * @param {string} type - The new type, one of TYPES
+     * @returns {Object} - Fields to change ({ type, options, correctAnswer, items })
+     */
+    convert(question, type) {
+        if (!this.TYPES.includes(type)) {
+            throw new Error(`Unknown question type: ${type}`);
+        }
+
+        const options = (Array.isArray(question.options) ? question.options : []).filter(option => String(option).trim());
+        const wasChoice = this.isChoice(question);
+        const correctTexts = wasChoice
+            ? (QuestionUtils.normalizeAnswer(question.correctAnswer) || []).map(index => question.options[index]).filter(Boolean)
+            : [];
+        const changes = { type, items: null };
+
+        if (type === 'truefalse') {
+            changes.options = [...this.TRUE_FALSE_OPTIONS];
+            changes.correctAnswer = [0];
+        } else if (type === 'fillin') {
+            changes.options = [];
+            changes.correctAnswer = this.getType(question) === 'fillin' ? question.correctAnswer : correctTexts;
+        } else {
+            changes.options = options.length >= 2 ? options : ['', ''];
+            if (type === 'multiple') {
+                changes.correctAnswer = [0, 1];
+            } else if (type === 'single') {
+                changes.correctAnswer = [0];
+            } else if (type === 'ordering') {
+                changes.correctAnswer = changes.options.map((_, index) => index);
+            } else {
+                changes.items = Array.isArray(question.items) && question.items.length > 0 ? question.items : ['', ''];
+                changes.correctAnswer = changes.items.map(() => 0);
+            }
+        }
+
+        // Keep the correct options of a choice question where the new type still has them
+        if ((type === 'single' || type === 'multiple') && wasChoice) {
+            const kept = changes.options
+                .map((option, index) => (correctTexts.includes(option) ? index : null))
+                .filter(index => index !== null);
+            if (kept.length > 0) {
+                changes.correctAnswer = type === 'single' ? kept.slice(0, 1) : kept;
+            }
+        }
+
+        return changes;
+    },
+
+    /**
+     * List what keeps a question from being usable in an exam
+     * @param {Object} question - The question object
+     * @returns {Array<string>} - Problems, empty if the question is usable
+     */
+    getProblems(question) {
+        const problems = [];
+        const filled = values => (Array.isArray(values) ? values : []).filter(value => String(value).trim()).length;
+        const type = this.getType(question);
+
+        if (type === 'fillin') {
+            if (!this.normalizeAnswer(question, question.correctAnswer)) {
+                problems.push('needs at least one accepted answer');
+            }
+            return problems;
+        }
+
+        if (filled(question.options) < 2) {
+            problems.push('needs at least two options');
+        }
+        if (type === 'matching' && filled(question.items) < 1) {
+            problems.push('needs at least one item to match');
+        }
+        return problems;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionTypes;
+}
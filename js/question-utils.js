@@ -0,0 +1,263 @@
+/**
+ * Question Utilities - Shared helpers for working with question answers
+ *
+ * Answers are stored as sorted arrays of option indices so that single-answer
+ * and multiple-response ("Choose two") questions are handled the same way.
+ */
+const QuestionUtils = {
+    /**
+     * A line holding only a section heading ("Topic 1, Networking", "Case Study 2 - Contoso", "Domain 3: Security")
+     */
+    TOPIC_HEADING_PATTERN: /^[ \t]*((?:Exam\s+)?(?:Topic|Section|Domain|Case\s+Study|Module|Part)(?:[ \t]+\d+(?:\.\d+)*)?(?:[ \t]*[,:\-\u2013][ \t]*[^\n?]{1,80})?)[ \t]*$/gim,
+
+    /**
+     * Convert an option index to its letter label
+     * @param {number} index - The option index
+     * @returns {string} - The letter label (0 -> 'A')
+     */
+    indexToLetter(index) {
+        return String.fromCharCode(65 + index);
+    },
+
+    /**
+     * Normalize an answer value into a sorted array of option indices
+     * @param {number|string|Array|null} value - Index, letters ("BD", "A, C") or array of either
+     * @returns {Array<number>|null} - Sorted unique indices, or null if there is no answer
+     */
+    normalizeAnswer(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        let indices = [];
+
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                const normalized = this.normalizeAnswer(item);
+                if (normalized) {
+                    indices.push(...normalized);
+                }
+            });
+        } else if (typeof value === 'number') {
+            indices = Number.isInteger(value) && value >= 0 ? [value] : [];
+        } else if (typeof value === 'string') {
+            indices = this.parseAnswerLetters(value) || [];
+        }
+
+        indices = [...new Set(indices)].sort((a, b) => a - b);
+        return indices.length > 0 ? indices : null;
+    },
+
+    /**
+     * Parse answer letters such as "B", "BD", "A, C" or "B and D"
+     * @param {string} text - Text starting with the answer letters
+     * @returns {Array<number>|null} - Sorted option indices, or null if no letters were found
+     */
+    parseAnswerLetters(text) {
+        const source = String(text);
+
+        // Uppercase letters only, so words like "Add" or "be" are not read as answers
+        let match = source.match(/^\s*([A-J]{1,6}\b(?:[ \t]*(?:,|&|\/|and)?[ \t]*[A-J]\b)*)/);
+
+        // A single lowercase letter is accepted on its own ("Answer: b")
+        if (!match) {
+            match = source.match(/^\s*([a-j])\b/);
+        }
+
+        if (!match) {
+            return null;
+        }
+
+        const letters = match[1].toUpperCase().replace(/AND/g, '').replace(/[^A-J]/g, '');
+        const indices = [...new Set(letters.split('').map(letter => letter.charCodeAt(0) - 65))];
+        return indices.sort((a, b) => a - b);
+    },
+
+    /**
+     * Find an answer declaration ("Answer: BD", "Correct Answers: A, C") in a block of text
+     * @param {string} text - The text to search
+     * @returns {Array<number>|null} - Sorted option indices, or null if no answer was found
+     */
+    findAnswer(text) {
+        const keywordPattern = /\b(?:(?:correct\s+)?answers?|correct(?=\s*:))\b/gi;
+        let match;
+
+        while ((match = keywordPattern.exec(text)) !== null) {
+            // Skip connecting words between the keyword and the letters
+            const rest = text.substring(keywordPattern.lastIndex)
+                .replace(/^\s*(?:for\s+)?(?:question\s*)?(?:\d+\s*)?(?:is\s*)?[:.\-)]?/i, '');
+
+            const indices = this.parseAnswerLetters(rest);
+            if (indices) {
+                return indices;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Find section and topic headings in a block of text
+     * @param {string} text - The text to search
+     * @returns {Array<Object>} - Headings as { index, topic }, in text order
+     */
+    findTopicHeadings(text) {
+        const pattern = new RegExp(this.TOPIC_HEADING_PATTERN.source, 'gim');
+        const headings = [];
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            headings.push({
+                index: match.index,
+                topic: match[1].replace(/\s+/g, ' ').replace(/[\s,:\-\u2013.]+$/, '').trim()
+            });
+        }
+
+        return headings;
+    },
+
+    /**
+     * Get the topic that applies at a position in the text
+     * @param {Array<Object>} headings - Headings from findTopicHeadings()
+     * @param {number} offset - The position in the text
+     * @returns {string} - The last topic heading before the position, or an empty string
+     */
+    getTopicAt(headings, offset) {
+        let topic = '';
+        for (const heading of headings) {
+            if (heading.index > offset) {
+                break;
+            }
+            topic = heading.topic;
+        }
+        return topic;
+    },
+
+    /**
+     * Remove section and topic heading lines from a block of text
+     * @param {string} text - The text
+     * @returns {string} - The text without heading lines
+     */
+    removeTopicHeadings(text) {
+        return text.replace(new RegExp(this.TOPIC_HEADING_PATTERN.source, 'gim'), '');
+    },
+
+    /**
+     * Get the number of answers a question requires
+     * @param {Object} question - The question object
+     * @returns {number} - The required number of answers
+     */
+    getRequiredCount(question) {
+        return Array.isArray(question.correctAnswer) && question.correctAnswer.length > 0
+            ? question.correctAnswer.length
+            : 1;
+    },
+
+    /**
+     * Check if a question is a multiple-response question
+     * @param {Object} question - The question object
+     * @returns {boolean} - True if more than one answer is required
+     */
+    isMultipleResponse(question) {
+        return this.getRequiredCount(question) > 1;
+    },
+
+    /**
+     * Check if a question has been fully answered
+     * @param {Object} question - The question object
+     * @returns {boolean} - True if the required number of answers was chosen
+     */
+    isAnswered(question) {
+        return Array.isArray(question.userAnswer) && question.userAnswer.length >= this.getRequiredCount(question);
+    },
+
+    /**
+     * Compare two answers as sets
+     * @param {Array<number>|null} answer - The given answer
+     * @param {Array<number>|null} expected - The expected answer
+     * @returns {boolean} - True if both contain exactly the same indices
+     */
+    answersEqual(answer, expected) {
+        const a = this.normalizeAnswer(answer);
+        const b = this.normalizeAnswer(expected);
+
+        if (!a || !b || a.length !== b.length) {
+            return false;
+        }
+
+        return a.every((index, i) => index === b[i]);
+    },
+
+    /**
+     * Map an answer from original option indices to the shuffled display order
+     * @param {Array<number>|null} answer - Indices into the original options
+     * @param {Array<number>} optionOrder - Original option index shown at each position
+     * @returns {Array<number>|null} - Indices into the displayed options
+     */
+    toDisplayedAnswer(answer, optionOrder) {
+        const indices = this.normalizeAnswer(answer);
+        if (!indices) {
+            return null;
+        }
+        return this.normalizeAnswer(optionOrder
+            .map((originalIndex, position) => (indices.includes(originalIndex) ? position : null))
+            .filter(position => position !== null));
+    },
+
+    /**
+     * Map an answer from the shuffled display order back to original option indices
+     * @param {Array<number>|null} answer - Indices into the displayed options
+     * @param {Array<number>} optionOrder - Original option index shown at each position
+     * @returns {Array<number>|null} - Indices into the original options
+     */
+    toOriginalAnswer(answer, optionOrder) {
+        const indices = this.normalizeAnswer(answer);
+        if (!indices) {
+            return null;
+        }
+        return this.normalizeAnswer(indices
+            .filter(position => position < optionOrder.length)
+            .map(position => optionOrder[position]));
+    },
+
+    /**
+     * Get a stable fingerprint for a question, used to track progress across sessions
+     *
+     * Based on the question text and the set of options (and of items to match), so it survives
+     * re-importing the bank, reordering questions, shuffled options and corrected answer keys.
+     * @param {Object} question - The question object
+     * @returns {string} - A 16-character hex fingerprint
+     */
+    fingerprint(question) {
+        const normalize = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        const options = (Array.isArray(question.options) ? question.options : []).map(normalize).sort();
+        const items = (Array.isArray(question.items) ? question.items : []).map(normalize).sort();
+        const source = [normalize(question.text), ...options, ...items].join('\u0000');
+
+        // Two 32-bit FNV-1a hashes with different offsets make collisions unlikely
+        const hash = offset => {
+            let value = offset;
+            for (let i = 0; i < source.length; i++) {
+                value ^= source.charCodeAt(i);
+                value = Math.imul(value, 0x01000193);
+            }
+            return (value >>> 0).toString(16).padStart(8, '0');
+        };
+
+        return hash(0x811c9dc5) + hash(0x050c5d1f);
+    },
+
+    /**
+     * Format an answer as letters
+     * @param {Array<number>|null} answer - The answer indices
+     * @returns {string} - Letters joined with commas (e.g. "B, D")
+     */
+    formatAnswer(answer) {
+        const indices = this.normalizeAnswer(answer);
+        return indices ? indices.map(index => this.indexToLetter(index)).join(', ') : '';
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionUtils;
+}
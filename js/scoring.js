@@ -0,0 +1,198 @@
+/**
+ * Scoring - Pass marks, scaled scores and per-question weights
+ *
+ * Like vendor exams, the result is reported on a scale (for example 100 to 1000)
+ * against a pass mark on the same scale (for example 700). The scaled score is
+ * the share of the weighted score mapped onto the scale.
+ *
+ * A scoring policy decides how much of its weight each answer earns, and whether unanswered
+ * questions count as wrong, score zero or are left out of the maximum score.
+ */
+const Scoring = {
+    /**
+     * Default settings: a percentage scale with a 70% pass mark
+     */
+    DEFAULTS: {
+        passMark: 70,
+        scaleMin: 0,
+        scaleMax: 100,
+        policy: 'all-or-nothing',
+        penalty: 0.25,
+        unanswered: 'wrong'
+    },
+
+    /**
+     * Scoring policies by id. getCredit() returns the share of a question's weight earned by an answer
+     * (null if unanswered); a policy can be added here and chosen by its id in the settings.
+     */
+    POLICIES: {
+        'all-or-nothing': {
+            name: 'All-or-nothing',
+            getCredit(question, answer) {
+                return QuestionTypes.isCorrect(question, answer) ? 1 : 0;
+            }
+        },
+        partial: {
+            name: 'Partial credit',
+            getCredit(question, answer) {
+                return QuestionTypes.getPartialCredit(question, answer);
+            }
+        },
+        negative: {
+            name: 'Negative marking',
+            getCredit(question, answer, settings) {
+                return QuestionTypes.isCorrect(question, answer) ? 1 : -settings.penalty;
+            }
+        }
+    },
+
+    /**
+     * How unanswered questions are scored: like a wrong answer (with the penalty under negative marking),
+     * as zero, or left out of the maximum score
+     */
+    UNANSWERED: ['wrong', 'zero', 'excluded'],
+
+    /**
+     * Validate scoring settings and fill in defaults
+     * @param {Object} [settings] - Settings ({ passMark, scaleMin, scaleMax, policy, penalty, unanswered });
+     *                              missing values use the defaults
+     * @param {string} [settings.policy] - Id of a scoring policy in POLICIES
+     * @param {number} [settings.penalty] - Share of a question's weight lost for a wrong answer under negative marking
+     * @param {string} [settings.unanswered] - 'wrong', 'zero' or 'excluded', see UNANSWERED
+     * @returns {Object} - Complete settings
+     */
+    normalizeSettings(settings = {}) {
+        const normalized = { ...this.DEFAULTS };
+
+        ['passMark', 'scaleMin', 'scaleMax', 'penalty'].forEach(key => {
+            if (settings && settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+                const value = Number(settings[key]);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Scoring setting "${key}" must be a number.`);
+                }
+                normalized[key] = value;
+            }
+        });
+
+        if (normalized.scaleMax <= normalized.scaleMin) {
+            throw new Error('The top of the score scale must be higher than the bottom.');
+        }
+        if (normalized.passMark < normalized.scaleMin || normalized.passMark > normalized.scaleMax) {
+            throw new Error(`The pass mark must be between ${normalized.scaleMin} and ${normalized.scaleMax}.`);
+        }
+        if (normalized.penalty < 0 || normalized.penalty > 1) {
+            throw new Error('The penalty for a wrong answer must be between 0 and 1.');
+        }
+
+        if (settings && settings.policy) {
+            if (!Object.prototype.hasOwnProperty.call(this.POLICIES, settings.policy)) {
+                throw new Error(`Unknown scoring policy "${settings.policy}".`);
+            }
+            normalized.policy = settings.policy;
+        }
+        if (settings && settings.unanswered) {
+            if (!this.UNANSWERED.includes(settings.unanswered)) {
+                throw new Error('Unanswered questions must be scored as "wrong", "zero" or "excluded".');
+            }
+            normalized.unanswered = settings.unanswered;
+        }
+
+        return normalized;
+    },
+
+    /**
+     * Get the weight of a question
+     * @param {Object} question - The question object
+     * @returns {number} - The weight (1 unless set to a positive number)
+     */
+    getWeight(question) {
+        const weight = Number(question.weight);
+        return question.weight !== undefined && Number.isFinite(weight) && weight > 0 ? weight : 1;
+    },
+
+    /**
+     * Get the pass mark as a percentage of the weighted score
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {number} - The pass mark in percent
+     */
+    getPassPercentage(settings) {
+        return ((settings.passMark - settings.scaleMin) / (settings.scaleMax - settings.scaleMin)) * 100;
+    },
+
+    /**
+     * Get the share of a question's weight earned by its answer under the scoring policy
+     * @param {Object} question - The question with its user answer
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {number|null} - 1 for a correct answer, less for a partly correct or wrong one (negative
+     *                          with a penalty); null if the question is unanswered and left out
+     */
+    getCredit(question, settings) {
+        const policy = this.POLICIES[settings.policy];
+        // Incomplete answers, such as a matching with some items matched, go to the policy as they are
+        if (QuestionTypes.hasAnswer(question)) {
+            return policy.getCredit(question, question.userAnswer, settings);
+        }
+
+        if (settings.unanswered === 'excluded') {
+            return null;
+        }
+        return settings.unanswered === 'zero' ? 0 : policy.getCredit(question, null, settings);
+    },
+
+    /**
+     * Describe the scoring policy of the settings
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {string} - E.g. "Negative marking (-0.25 per wrong answer), unanswered questions left out"
+     */
+    describe(settings) {
+        const policy = this.POLICIES[settings.policy];
+        const name = settings.policy === 'negative' ? `${policy.name} (-${settings.penalty} per wrong answer)` : policy.name;
+        const unanswered = {
+            wrong: 'unanswered questions count as wrong',
+            zero: 'unanswered questions score 0',
+            excluded: 'unanswered questions left out'
+        }[settings.unanswered];
+        return `${name}, ${unanswered}`;
+    },
+
+    /**
+     * Score a set of answered questions
+     * @param {Array} questions - The questions with user answers
+     * @param {Object} settings - Settings from normalizeSettings()
+     * @returns {Object} - Weighted score under the policy, scaled score, pass mark, pass/fail and the policy
+     */
+    calculate(questions, settings) {
+        let weightedScore = 0;
+        let maxWeightedScore = 0;
+
+        questions.forEach(question => {
+            const credit = this.getCredit(question, settings);
+            if (credit === null) {
+                return;
+            }
+            const weight = this.getWeight(question);
+            maxWeightedScore += weight;
+            weightedScore += weight * credit;
+        });
+
+        // Penalties can take the weighted score below zero, but the scaled score stays on the scale
+        const fraction = maxWeightedScore > 0 ? Math.max(0, weightedScore / maxWeightedScore) : 0;
+        const scaledScore = Math.round(settings.scaleMin + fraction * (settings.scaleMax - settings.scaleMin));
+
+        return {
+            weightedScore: Math.round(weightedScore * 100) / 100,
+            maxWeightedScore,
+            scaledScore,
+            scaleMin: settings.scaleMin,
+            scaleMax: settings.scaleMax,
+            passMark: settings.passMark,
+            passed: scaledScore >= settings.passMark,
+            policy: settings.policy,
+            policyDescription: this.describe(settings)
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scoring;
+}
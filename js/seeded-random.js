@@ -0,0 +1,80 @@
+/**
+ * Seeded Random - Reproducible pseudo-random numbers for shuffling attempts
+ *
+ * The same seed always produces the same sequence, so a shuffled attempt can be
+ * recreated from the seed stored with it.
+ */
+const SeededRandom = {
+    /**
+     * Create a new random seed
+     * @returns {number} - An unsigned 32-bit integer seed
+     */
+    createSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 0x100000000);
+    },
+
+    /**
+     * Normalize a seed entered by the user or read from storage
+     * @param {number|string|null} value - The seed value
+     * @returns {number|null} - An unsigned 32-bit integer seed, or null if there is none
+     */
+    normalizeSeed(value) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return null;
+        }
+
+        const number = Number(value);
+        if (Number.isInteger(number) && number >= 0 && number < 0x100000000) {
+            return number;
+        }
+
+        // Hash any other text (FNV-1a) so words can be used as seeds
+        let hash = 0x811c9dc5;
+        for (const char of String(value).trim()) {
+            hash ^= char.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Create a random number generator (mulberry32)
+     * @param {number} seed - The seed
+     * @returns {Function} - Returns a number in [0, 1) on each call
+     */
+    create(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    },
+
+    /**
+     * Get a shuffled order of indices (Fisher-Yates)
+     * @param {number} length - The number of items
+     * @param {Function} random - Generator from create()
+     * @returns {Array<number>} - The original indices in shuffled order
+     */
+    permutation(length, random) {
+        const order = Array.from({ length }, (_, index) => index);
+
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        return order;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
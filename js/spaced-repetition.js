@@ -0,0 +1,150 @@
+/**
+ * Spaced Repetition - Leitner-box scheduling of questions across study sessions
+ *
+ * Every question starts in box 1. A correct answer moves it up one box and an
+ * incorrect answer sends it back to box 1; higher boxes are reviewed less often.
+ * Progress records are keyed by QuestionUtils.fingerprint() so they survive
+ * re-importing the same bank.
+ */
+const SpacedRepetition = {
+    /**
+     * Days until a question in each box is due again (index 0 is box 1)
+     */
+    BOX_INTERVALS: [0, 1, 3, 7, 14, 30],
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    /**
+     * Default number of questions in a session
+     */
+    SESSION_SIZE: 20,
+
+    /**
+     * Create the progress record for a question that has not been reviewed yet
+     * @param {string} fingerprint - The question fingerprint
+     * @returns {Object} - The progress record
+     */
+    createRecord(fingerprint) {
+        return {
+            fingerprint,
+            box: 1,
+            due: 0,
+            correct: 0,
+            incorrect: 0,
+            lastReviewed: null,
+            lastCorrect: null
+        };
+    },
+
+    /**
+     * Record the outcome of a review and schedule the next one
+     * @param {Object} record - The progress record
+     * @param {boolean} isCorrect - Whether the question was answered correctly
+     * @param {number} [now] - The review time in milliseconds
+     * @returns {Object} - The updated record
+     */
+    recordOutcome(record, isCorrect, now = Date.now()) {
+        const box = isCorrect ? Math.min(record.box + 1, this.BOX_INTERVALS.length) : 1;
+
+        return {
+            ...record,
+            box,
+            due: now + this.BOX_INTERVALS[box - 1] * this.DAY_MS,
+            correct: record.correct + (isCorrect ? 1 : 0),
+            incorrect: record.incorrect + (isCorrect ? 0 : 1),
+            lastReviewed: now,
+            lastCorrect: isCorrect
+        };
+    },
+
+    /**
+     * Check if a question is due for review
+     * @param {Object} record - The progress record
+     * @param {number} [now] - The current time in milliseconds
+     * @returns {boolean} - True if the review date has passed
+     */
+    isDue(record, now = Date.now()) {
+        return record.due <= now;
+    },
+
+    /**
+     * Check if a question is still weak: last answered wrong, or missed at least as often as answered right
+     * @param {Object} record - The progress record
+     * @returns {boolean} - True if the question needs more practice
+     */
+    isWeak(record) {
+        return record.lastCorrect === false || (record.incorrect > 0 && record.incorrect >= record.correct);
+    },
+
+    /**
+     * Choose the questions for a study session: due questions first (most overdue first),
+     * then weak questions that are not due yet, then questions never reviewed
+     * @param {Array<string>} fingerprints - Fingerprints of the bank questions, in bank order
+     * @param {Map<string, Object>} records - Progress records by fingerprint
+     * @param {Object} [options] - Session options
+     * @param {number} [options.limit] - Maximum number of questions
+     * @param {number} [options.now] - The current time in milliseconds
+     * @returns {Array<number>} - Indices of the chosen questions
+     */
+    selectQuestions(fingerprints, records, options = {}) {
+        const limit = options.limit || this.SESSION_SIZE;
+        const now = options.now || Date.now();
+
+        const due = [];
+        const weak = [];
+        const unseen = [];
+        const seen = new Set();
+
+        fingerprints.forEach((fingerprint, index) => {
+            // Duplicate questions in a bank share one record, so only ask them once
+            if (seen.has(fingerprint)) {
+                return;
+            }
+            seen.add(fingerprint);
+
+            const record = records.get(fingerprint);
+            if (!record) {
+                unseen.push(index);
+            } else if (this.isDue(record, now)) {
+                due.push({ index, record });
+            } else if (this.isWeak(record)) {
+                weak.push({ index, record });
+            }
+        });
+
+        due.sort((a, b) => a.record.due - b.record.due || a.record.box - b.record.box);
+        weak.sort((a, b) => a.record.box - b.record.box || a.record.due - b.record.due);
+
+        return [...due.map(item => item.index), ...weak.map(item => item.index), ...unseen].slice(0, limit);
+    },
+
+    /**
+     * Count the bank questions in each review state
+     * @param {Array<string>} fingerprints - Fingerprints of the bank questions
+     * @param {Map<string, Object>} records - Progress records by fingerprint
+     * @param {number} [now] - The current time in milliseconds
+     * @returns {Object} - Counts of due, weak, new and learned (box 4 or higher) questions
+     */
+    getStatus(fingerprints, records, now = Date.now()) {
+        const status = { due: 0, weak: 0, new: 0, learned: 0 };
+
+        new Set(fingerprints).forEach(fingerprint => {
+            const record = records.get(fingerprint);
+            if (!record) {
+                status.new++;
+                return;
+            }
+            if (this.isDue(record, now)) {
+                status.due++;
+            }
+            if (this.isWeak(record)) {
+                status.weak++;
+            }
+            if (record.box >= 4) {
+                status.learned++;
+            }
+        });
+
+        return status;
+    }
+};
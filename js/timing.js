@@ -0,0 +1,90 @@
+/**
+ * Timing - Time spent per question and pace against the exam duration
+ *
+ * ExamSimulator keeps the milliseconds spent on each question in question.timeSpent,
+ * adding up every visit. Everything reported from here is in whole seconds.
+ */
+const Timing = {
+    /**
+     * How far from the expected time, as a share of the time per question, still counts as on pace
+     */
+    PACE_TOLERANCE: 0.5,
+
+    /**
+     * Compare the time used with the time the answered questions should have taken
+     * @param {number} elapsed - Seconds used so far
+     * @param {number} answered - Number of questions answered
+     * @param {number} total - Number of questions in the exam
+     * @param {number} duration - Exam duration in seconds
+     * @returns {Object} - Pace ({ status, difference, perQuestion }): status is 'ahead', 'behind' or 'on-pace',
+     *                     difference the seconds ahead (negative when behind), perQuestion the seconds per question
+     */
+    getPace(elapsed, answered, total, duration) {
+        const perQuestion = total > 0 ? duration / total : 0;
+        const difference = Math.round(answered * perQuestion - elapsed);
+
+        let status = 'on-pace';
+        if (Math.abs(difference) > perQuestion * this.PACE_TOLERANCE) {
+            status = difference > 0 ? 'ahead' : 'behind';
+        }
+
+        return { status, difference, perQuestion: Math.round(perQuestion) };
+    },
+
+    /**
+     * Describe a pace for display
+     * @param {Object} pace - Pace from getPace()
+     * @returns {string} - E.g. "On pace" or "2m 10s behind"
+     */
+    describePace(pace) {
+        if (pace.status === 'on-pace') {
+            return 'On pace';
+        }
+        return `${this.formatDuration(Math.abs(pace.difference))} ${pace.status}`;
+    },
+
+    /**
+     * Get the time spent on a question
+     * @param {Object} question - The question object
+     * @returns {number} - Whole seconds, over all visits
+     */
+    getTimeSpent(question) {
+        return Math.round((question.timeSpent || 0) / 1000);
+    },
+
+    /**
+     * Add up the time spent on questions
+     * @param {Array<Object>} questions - The question objects
+     * @returns {Object} - Total and average seconds per question ({ total, average })
+     */
+    summarize(questions) {
+        const total = Math.round(questions.reduce((sum, question) => sum + (question.timeSpent || 0), 0) / 1000);
+        return {
+            total,
+            average: questions.length > 0 ? Math.round(total / questions.length) : 0
+        };
+    },
+
+    /**
+     * Format a duration in seconds
+     * @param {number} seconds - The duration
+     * @returns {string} - E.g. "1h 05m", "12m 30s" or "45s"
+     */
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const remainder = seconds % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${minutes.toString().padStart(2, '0')}m`;
+        }
+        if (minutes > 0) {
+            return `${minutes}m ${remainder.toString().padStart(2, '0')}s`;
+        }
+        return `${remainder}s`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Timing;
+}
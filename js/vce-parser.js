@@ -9,11 +9,18 @@ const VCEParser = {
     /**
      * Parse a VCE file and extract questions
      * @param {File} file - The VCE file to parse
-     * @returns {Promise<Array>} - Array of question objects
+     * @param {Object} [options] - Parse options
+     * @param {Function} [options.onProgress] - Called with { stage, message, current, total } as parsing proceeds
+     * @param {AbortSignal} [options.signal] - Signal that cancels parsing; the promise then rejects with an AbortError
+     * @returns {Promise<Object>} - The question objects and a parse report ({ questions, report })
      */
-    async parse(file) {
+    async parse(file, options = {}) {
         try {
             console.log('Starting to parse VCE file:', file.name);
+            ParseReport.progress(options, 'reading', 'Reading file...');
+            
+            const report = ParseReport.create('vce', file.name);
+            let questions;
             
             // Read the file as binary first to check for binary format
             const arrayBuffer = await this.readFileAsArrayBuffer(file);
@@ -23,144 +30,335 @@ const VCEParser = {
             
             if (isBinary) {
                 console.log('Detected binary VCE format');
-                return this.parseBinaryVCE(arrayBuffer);
+                questions = await this.parseBinaryVCE(arrayBuffer, report, options);
+            } else {
+                // If not binary, try as text
+                console.log('Trying text-based parsing');
+                const text = this.decodeText(arrayBuffer);
+                ParseReport.progress(options, 'strategy', 'Finding questions...');
+                
+                // Try to parse as JSON first (some VCE files are JSON-based)
+                try {
+                    console.log('Attempting JSON parsing');
+                    const jsonData = JSON.parse(text);
+                    questions = this.parseFromJSON(jsonData, report);
+                } catch (jsonError) {
+                    console.log('JSON parsing failed, trying text parsing');
+                    // If JSON parsing fails, try to parse as text
+                    questions = this.parseFromText(text, report);
+                }
             }
             
-            // If not binary, try as text
-            console.log('Trying text-based parsing');
-            const text = await this.readFileAsText(file);
+            this.extractInlineExhibits(questions);
+            this.applyDefaultAnswers(questions, report);
             
-            // Try to parse as JSON first (some VCE files are JSON-based)
-            try {
-                console.log('Attempting JSON parsing');
-                const jsonData = JSON.parse(text);
-                return this.parseFromJSON(jsonData);
-            } catch (jsonError) {
-                console.log('JSON parsing failed, trying text parsing');
-                // If JSON parsing fails, try to parse as text
-                return this.parseFromText(text);
+            if (questions.length === 0) {
+                ParseReport.warn(report, null, 'No questions could be parsed from this file.');
             }
+            
+            ParseReport.finalize(report, questions);
+            return { questions, report };
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             console.error('Error parsing VCE file:', error);
-            throw new Error(`Failed to parse VCE file: ${error.message}`);
+            // Keep the details of the unsupported variant for the app and the parser worker
+            const wrapped = new Error(`Failed to parse VCE file: ${error.message}`);
+            ['code', 'signature', 'version'].forEach(key => {
+                if (error[key] !== undefined) {
+                    wrapped[key] = error[key];
+                }
+            });
+            throw wrapped;
         }
     },
     
     /**
      * Read a file as ArrayBuffer
-     * @param {File} file - The file to read
+     * @param {Blob} file - The file to read (a File in the browser, a Blob or File under Node)
      * @returns {Promise<ArrayBuffer>} - The file contents as ArrayBuffer
      */
     async readFileAsArrayBuffer(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+        try {
+            return await file.arrayBuffer();
+        } catch (error) {
+            throw new Error(`Failed to read file: ${error.message}`);
+        }
     },
     
+    /**
+     * Known binary VCE signatures
+     */
+    binarySignatures: [
+        [0x56, 0x43, 0x45, 0x00], // "VCE\0"
+        [0x45, 0x58, 0x41, 0x4D]  // "EXAM"
+    ],
+    
+    /**
+     * Number of leading bytes sampled when deciding how a file is encoded
+     */
+    SAMPLE_SIZE: 512,
+    
+    /**
+     * Maximum number of compressed block candidates to try in a binary file
+     */
+    MAX_BLOCK_CANDIDATES: 256,
+    
+    /**
+     * Maximum size in bytes of one inflated block; a block that grows past it is cut off there
+     */
+    MAX_BLOCK_SIZE: 16 * 1024 * 1024,
+    
     /**
      * Check if the file has a binary VCE format
      * @param {ArrayBuffer} buffer - The file contents
      * @returns {boolean} - True if the file appears to be binary VCE
      */
     checkForBinaryFormat(buffer) {
-        // This is a simplified check - real implementation would need to know
-        // the actual binary format specifications
-        const header = new Uint8Array(buffer, 0, 8);
-        
-        // Look for common binary file signatures
-        // This is just a placeholder - real implementation would check for actual VCE signatures
-        const possibleSignatures = [
-            [0x56, 0x43, 0x45, 0x00], // "VCE\0"
-            [0x45, 0x58, 0x41, 0x4D]  // "EXAM"
-        ];
+        const header = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
         
-        for (const signature of possibleSignatures) {
-            let matches = true;
-            for (let i = 0; i < signature.length; i++) {
-                if (header[i] !== signature[i]) {
-                    matches = false;
-                    break;
-                }
+        for (const signature of this.binarySignatures) {
+            if (signature.every((byte, i) => header[i] === byte)) {
+                return true;
             }
-            if (matches) return true;
         }
         
-        return false;
+        if (this.detectTextEncoding(buffer) !== 'utf-8') {
+            return false;
+        }
+        
+        // Text and JSON exports may carry the odd stray control byte (a trailing NUL, a form feed),
+        // so only call a file binary when control bytes make up a real share of its start
+        const sample = new Uint8Array(buffer, 0, Math.min(this.SAMPLE_SIZE, buffer.byteLength));
+        const controlBytes = sample.filter(byte => byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D].includes(byte)).length;
+        return sample.length > 0 && controlBytes / sample.length > 0.1;
+    },
+    
+    /**
+     * Work out the text encoding of a file from its byte order mark or, failing that,
+     * from where the NUL bytes of UTF-16 text fall
+     * @param {ArrayBuffer} buffer - The file contents
+     * @returns {string} - 'utf-16le', 'utf-16be' or 'utf-8'
+     */
+    detectTextEncoding(buffer) {
+        const sample = new Uint8Array(buffer, 0, Math.min(this.SAMPLE_SIZE, buffer.byteLength));
+        
+        if (sample[0] === 0xFF && sample[1] === 0xFE) return 'utf-16le';
+        if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+        
+        // ASCII-range UTF-16 has a NUL in every other byte: the high byte of each code unit
+        const pairs = Math.floor(sample.length / 2);
+        if (pairs < 2) return 'utf-8';
+        
+        let evenNuls = 0;
+        let oddNuls = 0;
+        for (let i = 0; i < pairs * 2; i += 2) {
+            if (sample[i] === 0x00) evenNuls++;
+            if (sample[i + 1] === 0x00) oddNuls++;
+        }
+        
+        if (oddNuls / pairs > 0.5 && evenNuls / pairs < 0.05) return 'utf-16le';
+        if (evenNuls / pairs > 0.5 && oddNuls / pairs < 0.05) return 'utf-16be';
+        return 'utf-8';
+    },
+    
+    /**
+     * Read the header of a binary VCE file
+     * @param {ArrayBuffer} buffer - The file contents
+     * @returns {Object} - Signature (hex and printable) and version, where one could be read
+     */
+    readBinaryHeader(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+        const signatureBytes = Array.from(bytes.slice(0, 4));
+        const known = this.binarySignatures.some(signature => signature.every((byte, i) => signatureBytes[i] === byte));
+        
+        return {
+            known,
+            signature: signatureBytes.map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join(' '),
+            name: signatureBytes.map(byte => (byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.')).join(''),
+            // Known signatures are followed by a major/minor version byte pair
+            version: known && bytes.length >= 6 ? `${bytes[4]}.${bytes[5]}` : 'unknown'
+        };
     },
     
     /**
      * Parse binary VCE format
+     * 
+     * The binary VCE record layout and its encryption are proprietary and undocumented, so question
+     * records, explanations and images are not decoded. Some variants store their content in
+     * zlib-compressed text blocks; those are recovered and parsed like text VCE files. Anything else
+     * fails with an error naming the variant instead of producing placeholder questions.
      * @param {ArrayBuffer} buffer - The file contents
-     * @returns {Array} - Array of question objects
+     * @param {Object} [report] - Parse report to record the strategy and warnings in
+     * @param {Object} [options] - Parse options ({ onProgress, signal })
+     * @returns {Promise<Array>} - Array of question objects
      */
-    parseBinaryVCE(buffer) {
-        // This is a placeholder for binary VCE parsing
-        // Real implementation would need to know the actual binary format
-        console.log('Binary VCE parsing not fully implemented');
+    async parseBinaryVCE(buffer, report = ParseReport.create('vce'), options = {}) {
+        const header = this.readBinaryHeader(buffer);
+        console.log(`Binary VCE header: signature ${header.signature} ("${header.name}"), version ${header.version}`);
         
-        // For now, return a sample question to show something
-        return [{
-            text: "This is a sample question extracted from binary VCE. The parser needs to be updated to fully support this format.",
-            options: [
-                "Option A - This is just a placeholder",
-                "Option B - The actual parsing depends on the binary format",
-                "Option C - Please provide more details about the VCE format",
-                "Option D - Or share a sample file for analysis"
-            ],
-            correctAnswer: 0,
-            explanation: "This is a placeholder explanation. The actual VCE binary format parsing is not implemented.",
-            userAnswer: null
-        }];
+        const textBlocks = await this.extractCompressedTextBlocks(buffer, options);
+        console.log(`Recovered ${textBlocks.length} compressed text blocks`);
+        
+        if (textBlocks.length > 0) {
+            ParseReport.progress(options, 'strategy', 'Finding questions...');
+            const text = textBlocks.join('\n');
+            let questions;
+            
+            try {
+                questions = this.parseFromJSON(JSON.parse(text), report);
+            } catch (jsonError) {
+                questions = this.parseFromText(text, report);
+            }
+            
+            if (questions.length > 0) {
+                report.strategy = `binary compressed blocks (${report.strategy})`;
+                return questions;
+            }
+        }
+        
+        const error = new Error(
+            `Unsupported binary VCE variant (signature ${header.signature}, version ${header.version}). ` +
+            'This variant uses a proprietary encoding that cannot be decoded. ' +
+            'Export the exam as text or JSON from your VCE software and load that file instead.'
+        );
+        error.code = 'VCE_UNSUPPORTED_VARIANT';
+        error.signature = header.signature;
+        error.version = header.version;
+        throw error;
     },
     
     /**
-     * Read a file as text
-     * @param {File} file - The file to read
-     * @returns {Promise<string>} - The file contents as text
+     * Find and inflate zlib-compressed blocks that contain readable text
+     * @param {ArrayBuffer} buffer - The file contents
+     * @param {Object} [options] - Parse options ({ onProgress, signal })
+     * @returns {Promise<Array<string>>} - Decoded text blocks in file order
      */
-    async readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
+    async extractCompressedTextBlocks(buffer, options = {}) {
+        if (typeof DecompressionStream === 'undefined') {
+            console.warn('DecompressionStream is not available; skipping compressed blocks');
+            return [];
+        }
+        
+        // Slices of one Blob share its bytes, so no candidate copies the rest of the file
+        const bytes = new Uint8Array(buffer);
+        const blob = new Blob([bytes]);
+        const blocks = [];
+        let candidates = 0;
+        
+        for (let i = 0; i < bytes.length - 2 && candidates < this.MAX_BLOCK_CANDIDATES; i++) {
+            // zlib header: deflate method (0x78) with a valid header checksum
+            if (bytes[i] !== 0x78 || ((bytes[i] << 8) | bytes[i + 1]) % 31 !== 0) {
+                continue;
+            }
+            
+            candidates++;
+            ParseReport.progress(options, 'decompress', `Decompressing block ${candidates}`, i, bytes.length);
+            const inflated = await this.inflate(blob.slice(i));
+            
+            if (inflated.length > 0) {
+                const text = new TextDecoder('utf-8').decode(inflated);
+                if (this.looksLikeText(text)) {
+                    blocks.push(text);
+                }
+            }
+        }
+        
+        return blocks;
+    },
+    
+    /**
+     * Inflate a zlib stream, keeping whatever was decoded before any error
+     *
+     * The input is streamed, so reading stops soon after the end of the compressed block (or the
+     * first invalid byte) rather than at the end of the file; output past MAX_BLOCK_SIZE is dropped.
+     * @param {Blob} data - Data starting at a zlib header
+     * @returns {Promise<Uint8Array>} - The inflated bytes (empty if nothing could be decoded)
+     */
+    async inflate(data) {
+        const reader = data.stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+        const chunks = [];
+        let length = 0;
+        
+        try {
+            while (length < this.MAX_BLOCK_SIZE) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.length;
+            }
+        } catch (error) {
+            // Trailing data after the stream or a false-positive header
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+        
+        const result = new Uint8Array(Math.min(length, this.MAX_BLOCK_SIZE));
+        let offset = 0;
+        for (const chunk of chunks) {
+            const part = chunk.subarray(0, result.length - offset);
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    },
+    
+    /**
+     * Check if decoded data is readable text rather than binary
+     * @param {string} text - The decoded data
+     * @returns {boolean} - True if nearly all characters are printable
+     */
+    looksLikeText(text) {
+        if (text.length < 20) {
+            return false;
+        }
+        
+        const printable = text.match(/[\x20-\x7E\n\r\t\u00A0-\uFFFC]/g) || [];
+        return printable.length / text.length > 0.95;
+    },
+    
+    /**
+     * Decode a text file in the encoding it was saved with
+     * @param {ArrayBuffer} buffer - The file contents
+     * @returns {string} - The file contents as text, without any byte order mark or trailing NUL padding
+     */
+    decodeText(buffer) {
+        return new TextDecoder(this.detectTextEncoding(buffer)).decode(buffer).replace(/\0+$/, '');
     },
     
     /**
      * Parse questions from JSON format
      * @param {Object} jsonData - The parsed JSON data
+     * @param {Object} [report] - Parse report to record the strategy in
      * @returns {Array} - Array of question objects
      */
-    parseFromJSON(jsonData) {
-        const questions = [];
+    parseFromJSON(jsonData, report = ParseReport.create('vce')) {
+        // Answers may legitimately be 0 (option A), so only fall back when undefined
+        const mapQuestion = q => ({
+            text: q.text || q.question || '',
+            options: q.options || q.answers || [],
+            correctAnswer: QuestionUtils.normalizeAnswer(q.correctAnswer !== undefined ? q.correctAnswer : q.correct),
+            explanation: q.explanation || '',
+            topic: q.topic || q.section || q.category || '',
+            exhibits: Exhibits.normalize(q.exhibits || q.images || q.exhibit || q.image),
+            userAnswer: null
+        });
         
         // Check for common JSON structures in VCE files
         if (jsonData.questions) {
             // Direct questions array
-            return jsonData.questions.map(q => ({
-                text: q.text || q.question || '',
-                options: q.options || q.answers || [],
-                correctAnswer: q.correctAnswer || q.correct || 0,
-                explanation: q.explanation || '',
-                userAnswer: null
-            }));
+            report.strategy = 'json';
+            return jsonData.questions.map(mapQuestion);
         } else if (jsonData.exam && jsonData.exam.questions) {
             // Nested under exam object
-            return jsonData.exam.questions.map(q => ({
-                text: q.text || q.question || '',
-                options: q.options || q.answers || [],
-                correctAnswer: q.correctAnswer || q.correct || 0,
-                explanation: q.explanation || '',
-                userAnswer: null
-            }));
+            report.strategy = 'json (exam object)';
+            return jsonData.exam.questions.map(mapQuestion);
         } else {
             // Try to find questions in the structure
             const possibleQuestions = this.findQuestionsInObject(jsonData);
             if (possibleQuestions.length > 0) {
+                report.strategy = 'json (structure search)';
                 return possibleQuestions;
             }
             
@@ -185,8 +383,12 @@ const VCEParser = {
                         questions.push({
                             text: item.text || item.question || item.stem || '',
                             options: item.options || item.answers || item.choices || [],
-                            correctAnswer: item.correctAnswer || item.correct || item.answer || 0,
+                            correctAnswer: QuestionUtils.normalizeAnswer(
+                                ['correctAnswer', 'correct', 'answer'].map(key => item[key]).find(value => value !== undefined)
+                            ),
                             explanation: item.explanation || item.rationale || '',
+                            topic: item.topic || item.section || item.category || '',
+                            exhibits: Exhibits.normalize(item.exhibits || item.images || item.exhibit || item.image),
                             userAnswer: null
                         });
                     } else {
@@ -225,39 +427,55 @@ const VCEParser = {
     /**
      * Parse questions from text format
      * @param {string} text - The text content from the VCE file
+     * @param {Object} [report] - Parse report to record the strategy and skipped blocks in
      * @returns {Array} - Array of question objects
      */
-    parseFromText(text) {
+    parseFromText(text, report = ParseReport.create('vce')) {
         const questions = [];
+        const skippedBlocks = [];
+        report.strategy = 'question blocks';
         
         // Try to identify question blocks
         // This is a simplified approach and may need adjustment based on actual VCE format
         const questionBlocks = text.split(/QUESTION\s+\d+/i).filter(Boolean);
+        const hasPreamble = questionBlocks.length > 1 && !/^\s*QUESTION\s+\d+/i.test(text);
+        
+        // Section headings ("Topic 1, Networking", "Case Study 2") apply to the questions after them
+        const headings = QuestionUtils.findTopicHeadings(text);
+        let blockOffset = 0;
         
-        questionBlocks.forEach(block => {
+        questionBlocks.forEach((rawBlock, blockIndex) => {
+            blockOffset = Math.max(text.indexOf(rawBlock, blockOffset), blockOffset);
+            
+            // Text before the first "QUESTION" header is a title page, not a question
+            if (hasPreamble && blockIndex === 0) return;
+            
+            const topic = QuestionUtils.getTopicAt(headings, blockOffset);
+            const block = QuestionUtils.removeTopicHeadings(rawBlock);
+            
             try {
                 // Extract question text (everything before the first option)
-                const optionStartMatch = block.match(/[A-D]\.\s+/);
-                if (!optionStartMatch) return;
+                const optionStartMatch = block.match(/[A-F]\.\s+/);
+                if (!optionStartMatch) {
+                    skippedBlocks.push(block);
+                    return;
+                }
                 
                 const questionText = block.substring(0, optionStartMatch.index).trim();
                 
                 // Extract options
-                const optionMatches = block.match(/[A-D]\.\s+([^\n]+)/g);
-                if (!optionMatches || optionMatches.length < 2) return;
+                const optionMatches = block.match(/[A-F]\.\s+([^\n]+)/g);
+                if (!optionMatches || optionMatches.length < 2) {
+                    skippedBlocks.push(block);
+                    return;
+                }
                 
                 const options = optionMatches.map(opt => 
-                    opt.replace(/^[A-D]\.\s+/, '').trim()
+                    opt.replace(/^[A-F]\.\s+/, '').trim()
                 );
                 
-                // Look for answer indication
-                const answerMatch = block.match(/(?:Answer|Correct)[^A-D]*(A|B|C|D)/i);
-                let correctAnswer = 0;
-                
-                if (answerMatch) {
-                    const answerLetter = answerMatch[1].toUpperCase();
-                    correctAnswer = 'ABCD'.indexOf(answerLetter);
-                }
+                // Look for answer indication ("Answer: BD", "Correct Answers: A, C")
+                const correctAnswer = QuestionUtils.findAnswer(block);
                 
                 // Look for explanation
                 const explanationMatch = block.match(/(?:Explanation|Correct Answer)[^:]*:([^$]+)/i);
@@ -268,20 +486,35 @@ const VCEParser = {
                     options,
                     correctAnswer,
                     explanation,
+                    topic,
                     userAnswer: null
                 });
             } catch (error) {
                 console.warn('Failed to parse question block:', error);
+                skippedBlocks.push(block);
             }
         });
         
+        // Skipped blocks only matter if this strategy found questions at all
+        if (questions.length > 0) {
+            skippedBlocks
+                .filter(block => block.trim().length > 20)
+                .forEach(block => ParseReport.addUnparsedBlock(report, block));
+        }
+        
         // If no questions found with the above approach, try another pattern
         if (questions.length === 0) {
+            report.strategy = 'numbered questions';
+            
             // Look for numbered questions
-            const questionMatches = text.match(/\d+\.\s+([^\n]+)(?:\n|\r\n?)+(?:[A-D]\.[\s\S]*?){2,}/g);
+            const questionMatches = text.match(/\d+\.\s+([^\n]+)(?:\n|\r\n?)+(?:[A-F]\.[\s\S]*?){2,}/g);
+            let matchOffset = 0;
             
             if (questionMatches) {
                 questionMatches.forEach(match => {
+                    matchOffset = Math.max(text.indexOf(match, matchOffset), matchOffset);
+                    const topic = QuestionUtils.getTopicAt(headings, matchOffset);
+                    
                     try {
                         const lines = match.split(/\n|\r\n?/).filter(Boolean);
                         
@@ -291,7 +524,7 @@ const VCEParser = {
                         // Look for options
                         const options = [];
                         for (let i = 1; i < lines.length; i++) {
-                            const optionMatch = lines[i].match(/^([A-D])\.\s+(.+)$/);
+                            const optionMatch = lines[i].match(/^([A-F])\.\s+(.+)$/);
                             if (optionMatch) {
                                 options[optionMatch[1].charCodeAt(0) - 65] = optionMatch[2].trim();
                             }
@@ -300,21 +533,14 @@ const VCEParser = {
                         // If we found at least 2 options, consider it a valid question
                         if (options.length >= 2) {
                             // Look for answer in the following lines
-                            const answerLine = lines.find(line => /Answer|Correct/i.test(line));
-                            let correctAnswer = 0;
-                            
-                            if (answerLine) {
-                                const answerMatch = answerLine.match(/[A-D]/);
-                                if (answerMatch) {
-                                    correctAnswer = answerMatch[0].charCodeAt(0) - 65;
-                                }
-                            }
+                            const correctAnswer = QuestionUtils.findAnswer(match);
                             
                             questions.push({
                                 text: questionText,
                                 options,
                                 correctAnswer,
                                 explanation: '',
+                                topic,
                                 userAnswer: null
                             });
                         }
@@ -328,21 +554,31 @@ const VCEParser = {
         // If still no questions found, try a more generic approach
         if (questions.length === 0) {
             console.log('Trying more generic parsing approach');
+            report.strategy = 'generic lines';
             
             // Try to find any text that looks like a question with options
             const lines = text.split(/\n|\r\n?/).filter(Boolean).map(line => line.trim());
             let currentQuestion = null;
+            let currentTopic = '';
             
             for (let i = 0; i < lines.length; i++) {
                 const line = lines[i];
                 
+                // Section headings apply to the questions after them
+                const heading = QuestionUtils.findTopicHeadings(line)[0];
+                if (heading && !currentQuestion) {
+                    currentTopic = heading.topic;
+                    continue;
+                }
+                
                 // Look for lines that might be questions (ending with ? or having substantial length)
                 if (!currentQuestion && (line.endsWith('?') || line.length > 50)) {
                     currentQuestion = {
                         text: line,
                         options: [],
-                        correctAnswer: 0,
+                        correctAnswer: null,
                         explanation: '',
+                        topic: currentTopic,
                         userAnswer: null
                     };
                     continue;
@@ -350,7 +586,7 @@ const VCEParser = {
                 
                 // If we have a current question, look for options
                 if (currentQuestion) {
-                    const optionMatch = line.match(/^([A-D])[\.)\s]+(.+)$/);
+                    const optionMatch = line.match(/^([A-F])[\.)\s]+(.+)$/);
                     if (optionMatch) {
                         const optionIndex = optionMatch[1].charCodeAt(0) - 65;
                         currentQuestion.options[optionIndex] = optionMatch[2].trim();
@@ -359,7 +595,7 @@ const VCEParser = {
                     // If we have at least 2 options and the next line doesn't look like an option,
                     // or we've reached the end, save the question
                     const nextLine = i < lines.length - 1 ? lines[i + 1] : '';
-                    const nextIsOption = nextLine.match(/^[A-D][\.)\s]+/);
+                    const nextIsOption = nextLine.match(/^[A-F][\.)\s]+/);
                     
                     if (currentQuestion.options.length >= 2 && 
                         (!nextIsOption || i === lines.length - 1)) {
@@ -371,5 +607,49 @@ const VCEParser = {
         }
         
         return questions;
+    },
+    
+    /**
+     * Default missing answers to option A and record a warning for each
+     * @param {Array} questions - The parsed questions
+     * @param {Object} report - Parse report to add warnings to
+     */
+    applyDefaultAnswers(questions, report) {
+        questions.forEach((question, index) => {
+            if (!question.correctAnswer) {
+                question.correctAnswer = [0];
+                ParseReport.warn(report, index, 'Answer not found, defaulted to A');
+            }
+        });
+    },
+    
+    /**
+     * Move images embedded in question and explanation text into the question's exhibits.
+     * Images in binary VCE records are not reached, since those records are not decoded.
+     * @param {Array} questions - The parsed questions
+     */
+    extractInlineExhibits(questions) {
+        questions.forEach(question => {
+            const exhibits = Exhibits.normalize(question.exhibits);
+            
+            ['text', 'explanation'].forEach(key => {
+                if (typeof question[key] === 'string') {
+                    const extracted = Exhibits.extractFromText(question[key]);
+                    question[key] = extracted.text;
+                    extracted.exhibits.forEach(exhibit => {
+                        // The same image is often repeated in the explanation
+                        if (!exhibits.some(existing => existing.src === exhibit.src)) {
+                            exhibits.push(exhibit);
+                        }
+                    });
+                }
+            });
+            
+            question.exhibits = exhibits;
+        });
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VCEParser;
+}
@@ -3,25 +3,61 @@
  * Requires jsPDF library: https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js
  */
 const VCEToPDFConverter = {
+    /**
+     * PDF layouts by id, with their names for display
+     * - inline: every question followed by its answer and explanation
+     * - worksheet: the questions only, to practice on paper
+     * - answer-key: the questions, then the answers and explanations from a new page
+     * - report: a results report with a summary page, contents, bookmarks and headers
+     */
+    TEMPLATES: {
+        inline: 'Answers after each question',
+        worksheet: 'Questions only (worksheet)',
+        'answer-key': 'Answer key at the end',
+        report: 'Results report'
+    },
+    
+    /**
+     * Lines of the contents that fit on one page, rounded down so the reserved pages always suffice
+     */
+    CONTENTS_LINES_PER_PAGE: 34,
+    
     /**
      * Convert questions to a PDF file
      * @param {Array} questions - Array of question objects
      * @param {string} examTitle - Title of the exam
+     * @param {Object} [details] - Optional layout and result details
+     * @param {string} [details.template] - Layout, one of TEMPLATES (default 'inline')
+     * @param {string} [details.subtitle] - Extra line under the date (e.g. the shuffle seed)
+     * @param {Array<Object>} [details.topics] - Score by topic, from ExamSimulator.getTopicBreakdown()
+     * @param {Object} [details.scoring] - Scaled score, pass mark, points and scoring policy, from ExamSimulator.getResults()
+     * @param {Object} [details.timing] - Total and average time on questions, from ExamSimulator.getResults()
      * @returns {Blob} - PDF file as a Blob
      */
-    convertToPDF(questions, examTitle = 'Exam Questions') {
+    convertToPDF(questions, examTitle = 'Exam Questions', details = {}) {
+        const { template = 'inline', subtitle = '', topics = [], scoring = null, timing = null } = details;
+        
+        if (!Object.prototype.hasOwnProperty.call(this.TEMPLATES, template)) {
+            throw new Error(`Unknown PDF template: ${template}`);
+        }
+        
         // Validate input
         if (!questions || !Array.isArray(questions) || questions.length === 0) {
             throw new Error('No valid questions provided for PDF generation');
         }
         
+        // Worksheets leave out everything that gives the answers away
+        const isWorksheet = template === 'worksheet';
+        const isReport = template === 'report';
+        const answersInline = template === 'inline' || isReport;
+        
         // Create a new jsPDF instance
         const doc = new jspdf.jsPDF();
         
         // Set document properties
         doc.setProperties({
             title: examTitle,
-            subject: 'Exam Questions',
+            subject: isReport ? 'Exam Results' : 'Exam Questions',
             creator: 'Exam Simulator',
             author: 'Exam Simulator'
         });
@@ -35,8 +71,9 @@ const VCEToPDFConverter = {
         // Add title
         doc.setFontSize(18);
         doc.setFont('helvetica', 'bold');
-        doc.text(examTitle, pageWidth / 2, y, { align: 'center' });
-        y += 15;
+        const titleLines = doc.splitTextToSize(examTitle, textWidth);
+        doc.text(titleLines, pageWidth / 2, y, { align: 'center' });
+        y += 8 * (titleLines.length - 1) + 15;
         
         // Add date
         const today = new Date();
@@ -44,10 +81,31 @@ const VCEToPDFConverter = {
         doc.setFontSize(10);
         doc.setFont('helvetica', 'normal');
         doc.text(`Generated on: ${dateStr}`, pageWidth / 2, y, { align: 'center' });
+        
+        if (subtitle) {
+            y += 7;
+            doc.text(subtitle, pageWidth / 2, y, { align: 'center' });
+        }
         y += 15;
         
+        if (!isWorksheet) {
+            y = this.addSummary(doc, { scoring, timing, topics, counts: isReport }, y, margin, textWidth);
+        }
+        
+        // The report's contents go on their own pages after the summary, filled in once page numbers are known
+        let contents = null;
+        if (isReport) {
+            contents = { entries: this.getContentsEntries(questions), firstPage: doc.getNumberOfPages() + 1 };
+            const pageCount = Math.max(1, Math.ceil((contents.entries.length + 2) / this.CONTENTS_LINES_PER_PAGE));
+            for (let page = 0; page <= pageCount; page++) {
+                doc.addPage();
+            }
+            y = 20;
+        }
+        
         // Add questions
         doc.setFontSize(12);
+        const questionPages = [];
         
         questions.forEach((question, index) => {
             // Validate question object
@@ -61,10 +119,11 @@ const VCEToPDFConverter = {
                 doc.addPage();
                 y = 20;
             }
+            questionPages[index] = doc.getCurrentPageInfo().pageNumber;
             
             // Question number and text
             doc.setFont('helvetica', 'bold');
-            const questionNumber = `Question ${index + 1}:`;
+            const questionNumber = question.topic ? `Question ${index + 1} (${question.topic}):` : `Question ${index + 1}:`;
             doc.text(questionNumber, margin, y);
             y += 7;
             
@@ -75,94 +134,650 @@ const VCEToPDFConverter = {
             doc.text(questionLines, margin, y);
             y += questionLines.length * 7 + 5;
             
-            // Options
-            const optionLabels = ['A', 'B', 'C', 'D'];
+            // Exhibits below the question text
+            if (Array.isArray(question.exhibits) && question.exhibits.length > 0) {
+                y = this.addExhibits(doc, question.exhibits, y, margin, textWidth);
+            }
+            
+            // Results of a shuffled attempt map back to the numbering in the file
+            const originalNumbering = isWorksheet ? null : this.getOriginalNumbering(question, index);
+            if (originalNumbering) {
+                doc.setFontSize(9);
+                doc.setTextColor(100, 100, 100);
+                const numberingLines = doc.splitTextToSize(originalNumbering, textWidth);
+                doc.text(numberingLines, margin, y);
+                y += numberingLines.length * 5 + 3;
+                doc.setFontSize(12);
+                doc.setTextColor(0, 0, 0);
+            }
+            
+            // Results list the time spent on each question, over all visits
+            if (timing && !isWorksheet && Number.isInteger(question.timeSpent)) {
+                doc.setFontSize(9);
+                doc.setTextColor(100, 100, 100);
+                const visits = question.visits > 1 ? ` over ${question.visits} visits` : '';
+                doc.text(`Time spent: ${Timing.formatDuration(question.timeSpent)}${visits}`, margin, y);
+                y += 8;
+                doc.setFontSize(12);
+                doc.setTextColor(0, 0, 0);
+            }
             
-            // Ensure options is an array
-            const options = Array.isArray(question.options) ? question.options : [];
+            y = this.addAnswerArea(doc, question, y, margin, textWidth);
+            y = answersInline ? this.addAnswer(doc, question, y, margin, textWidth, !!scoring) : y + 10;
+        });
+        
+        if (template === 'answer-key') {
+            this.addAnswerKey(doc, questions, margin, textWidth);
+        }
+        
+        if (isReport) {
+            this.addContents(doc, contents, questionPages, margin, textWidth);
+            this.addBookmarks(doc, questions, questionPages, contents.firstPage);
+        }
+        
+        // Every layout numbers its pages; the report repeats its title at the top
+        this.addHeadersAndFooters(doc, isReport ? examTitle : '');
+        
+        // Return the PDF as a blob
+        return doc.output('blob');
+    },
+    
+    /**
+     * Print the results summary: scaled score, points, time and score by topic
+     * @param {Object} doc - The jsPDF document
+     * @param {Object} summary - Result details ({ scoring, timing, topics }) from convertToPDF(), each optional,
+     *                           and counts, whether to print the number of correct and answered questions
+     * @param {number} y - The current vertical position in mm
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     * @returns {number} - The vertical position after the summary
+     */
+    addSummary(doc, summary, y, margin, textWidth) {
+        const { scoring, timing, topics = [], counts = false } = summary;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        
+        // Scaled score against the pass mark
+        if (scoring && scoring.scaledScore !== undefined) {
+            doc.setFontSize(14);
+            doc.setFont('helvetica', 'bold');
+            if (scoring.passed) {
+                doc.setTextColor(0, 128, 0);
+            } else {
+                doc.setTextColor(255, 0, 0);
+            }
+            const scoreText = `Scaled score: ${scoring.scaledScore}/${scoring.scaleMax} ` +
+                `(pass mark ${scoring.passMark}) - ${scoring.passed ? 'PASSED' : 'FAILED'}`;
+            doc.text(scoreText, pageWidth / 2, y, { align: 'center' });
+            doc.setTextColor(0, 0, 0);
+            y += 8;
+            
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            
+            // Correct and answered questions, for the report's summary page
+            if (counts && scoring.totalQuestions !== undefined) {
+                doc.text(`Correct answers: ${scoring.score}/${scoring.totalQuestions} (${scoring.percentage}%), ` +
+                    `${scoring.answeredQuestions} answered`, pageWidth / 2, y, { align: 'center' });
+                y += 6;
+            }
+            
+            // Points under the scoring policy in effect
+            if (scoring.policyDescription) {
+                const policyLines = doc.splitTextToSize(`Points: ${scoring.weightedScore}/${scoring.maxWeightedScore} ` +
+                    `(${scoring.policyDescription})`, textWidth);
+                doc.text(policyLines, pageWidth / 2, y, { align: 'center' });
+                y += policyLines.length * 6;
+            }
+            y += 7;
+        }
+        
+        if (timing) {
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            const timingText = `Time on questions: ${Timing.formatDuration(timing.total)} ` +
+                `(${Timing.formatDuration(timing.average)} per question on average)`;
+            doc.text(timingText, pageWidth / 2, y, { align: 'center' });
+            y += 12;
+        }
+        
+        // Score by topic, weakest first, with weak topics in red
+        if (topics.length > 0) {
+            doc.setFontSize(14);
+            doc.setFont('helvetica', 'bold');
+            doc.text('Score by Topic', margin, y);
+            y += 8;
             
-            options.forEach((option, optIndex) => {
-                // Check if we need a new page
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            topics.forEach(entry => {
                 if (y > doc.internal.pageSize.getHeight() - 30) {
                     doc.addPage();
                     y = 20;
                 }
                 
-                const optionText = `${optionLabels[optIndex]}. ${option || 'Option not available'}`;
-                const optionLines = doc.splitTextToSize(optionText, textWidth - 5);
-                doc.text(optionLines, margin + 5, y);
-                y += optionLines.length * 7 + 3;
+                if (entry.weak) {
+                    doc.setTextColor(255, 0, 0);
+                }
+                let topicText = `${entry.topic}: ${entry.correct}/${entry.total} (${entry.percentage}%)`;
+                if (timing && entry.averageTime !== undefined) {
+                    topicText += `, ${Timing.formatDuration(entry.averageTime)} per question`;
+                }
+                if (entry.weak) {
+                    topicText += ' - weak';
+                }
+                const topicLines = doc.splitTextToSize(topicText, textWidth - 5);
+                doc.text(topicLines, margin + 5, y);
+                y += topicLines.length * 6 + 1;
+                doc.setTextColor(0, 0, 0);
             });
+            y += 10;
+        }
+        
+        return y;
+    },
+    
+    /**
+     * Print a question's correct answer, the candidate's answer and the explanation
+     * @param {Object} doc - The jsPDF document
+     * @param {Object} question - The question object
+     * @param {number} y - The current vertical position in mm
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     * @param {boolean} [isResult] - The question comes from exam results, so unanswered questions are marked
+     * @returns {number} - The vertical position after the answer
+     */
+    addAnswer(doc, question, y, margin, textWidth, isResult = false) {
+        // Correct answer
+        if (y > doc.internal.pageSize.getHeight() - 30) {
+            doc.addPage();
+            y = 20;
+        }
+        
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        
+        const isChoice = QuestionTypes.isChoice(question);
+        const options = Array.isArray(question.options) ? question.options : [];
+        
+        // Ordering answers use the letters the items are printed with in their start order
+        const startOrder = QuestionTypes.getType(question) === 'ordering' ? QuestionTypes.getStartOrder(question) : null;
+        
+        // Choice answers are sets of option indices; keep only those that exist
+        const formatAnswer = answer => {
+            if (startOrder) {
+                return QuestionTypes.formatAnswer(question, QuestionTypes.toDisplayedAnswer(question, answer, startOrder));
+            }
+            if (!isChoice) {
+                return QuestionTypes.formatAnswer(question, answer);
+            }
+            const indices = (QuestionUtils.normalizeAnswer(answer) || [])
+                .filter(answerIndex => options.length === 0 || answerIndex < options.length);
+            return QuestionTypes.formatAnswer(question, indices);
+        };
+        
+        const correctAnswer = `Answer: ${formatAnswer(question.correctAnswer) || (isChoice ? 'A' : 'not given')}`;
+        const correctLines = doc.splitTextToSize(correctAnswer, textWidth);
+        doc.text(correctLines, margin, y);
+        y += correctLines.length * 7;
+        
+        // The right order in words, as letters are hard to follow
+        if (QuestionTypes.getType(question) === 'ordering') {
+            y = this.addCorrectOrder(doc, question, y, margin, textWidth);
+        }
+        
+        // User's answer, even an incomplete one; results also list the questions left unanswered
+        const answered = QuestionTypes.hasAnswer(question);
+        const userText = answered ? formatAnswer(question.userAnswer) : '';
+        const points = typeof question.credit === 'number'
+            ? Math.round(question.credit * Scoring.getWeight(question) * 100) / 100
+            : null;
+        
+        if (userText) {
+            const userLines = doc.splitTextToSize(`Your answer: ${userText}`, textWidth);
+            doc.text(userLines, margin, y);
+            y += userLines.length * 7;
+            
+            // Indicate if correct or incorrect
+            const isCorrect = QuestionTypes.isCorrect(question);
+            if (isCorrect) {
+                doc.setTextColor(0, 128, 0);
+            } else {
+                doc.setTextColor(255, 0, 0);
+            }
+            let verdict = isCorrect ? 'Correct' : 'Incorrect';
+            // Partial credit and penalties change what the answer is worth
+            if (points !== null && question.credit !== (isCorrect ? 1 : 0)) {
+                verdict += ` (${points} points)`;
+            }
+            doc.text(verdict, margin, y);
+            doc.setTextColor(0, 0, 0); // Reset text color
+            y += 7;
+        } else if (isResult && !answered) {
+            doc.text('Your answer: not answered', margin, y);
+            y += 7;
+            
+            // Unanswered questions count as wrong, score 0 or, if the policy leaves them out, nothing at all
+            doc.setTextColor(100, 100, 100);
+            let verdict = 'Not answered';
+            if (points !== null) {
+                verdict += ` (${points} points)`;
+            } else if (question.credit === null) {
+                verdict += ' (left out of the score)';
+            }
+            doc.text(verdict, margin, y);
+            doc.setTextColor(0, 0, 0);
+            y += 7;
+        }
+        
+        // Explanation (if available)
+        if (question.explanation) {
+            if (y > doc.internal.pageSize.getHeight() - 40) {
+                doc.addPage();
+                y = 20;
+            }
             
-            // Correct answer
-            if (y > doc.internal.pageSize.getHeight() - 30) {
+            doc.setFont('helvetica', 'italic');
+            doc.text('Explanation:', margin, y);
+            y += 7;
+            
+            doc.setFont('helvetica', 'normal');
+            const explanationLines = doc.splitTextToSize(question.explanation, textWidth);
+            doc.text(explanationLines, margin, y);
+            y += explanationLines.length * 7 + 10;
+        } else {
+            y += 10;
+        }
+        
+        return y;
+    },
+    
+    /**
+     * Print the answers of all questions from a new page
+     * @param {Object} doc - The jsPDF document
+     * @param {Array} questions - The question objects
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     */
+    addAnswerKey(doc, questions, margin, textWidth) {
+        doc.addPage();
+        let y = 20;
+        
+        doc.setFontSize(16);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Answer Key', margin, y);
+        y += 12;
+        
+        questions.forEach((question, index) => {
+            if (!question || typeof question !== 'object') {
+                return;
+            }
+            if (y > doc.internal.pageSize.getHeight() - 40) {
                 doc.addPage();
                 y = 20;
             }
             
+            doc.setFontSize(12);
             doc.setFont('helvetica', 'bold');
-            const correctAnswerIndex = typeof question.correctAnswer === 'number' && 
-                                      question.correctAnswer >= 0 && 
-                                      question.correctAnswer < optionLabels.length ? 
-                                      question.correctAnswer : 0;
-            const correctAnswer = `Answer: ${optionLabels[correctAnswerIndex]}`;
-            doc.text(correctAnswer, margin, y);
+            doc.text(`Question ${index + 1}`, margin, y);
             y += 7;
+            y = this.addAnswer(doc, question, y, margin, textWidth);
+        });
+    },
+    
+    /**
+     * Get the entries of the report's contents: one per topic, or one per question if no question has a topic
+     * @param {Array} questions - The question objects
+     * @returns {Array<Object>} - Entries as { title, questionIndex } with the first question of each entry
+     */
+    getContentsEntries(questions) {
+        if (!questions.some(question => question && question.topic)) {
+            return questions.map((question, index) => {
+                const text = String((question && question.text) || '').replace(/\s+/g, ' ').trim();
+                return {
+                    title: `Question ${index + 1}: ${text.length > 60 ? `${text.substring(0, 60)}...` : text}`,
+                    questionIndex: index
+                };
+            });
+        }
+        
+        // Topics in the order they first appear, as shuffled attempts mix them
+        const entries = [];
+        const seen = new Map();
+        questions.forEach((question, index) => {
+            const topic = (question && question.topic) || 'Uncategorized';
+            if (seen.has(topic)) {
+                seen.get(topic).questions.push(index + 1);
+                return;
+            }
+            const entry = { title: topic, questionIndex: index, questions: [index + 1] };
+            seen.set(topic, entry);
+            entries.push(entry);
+        });
+        return entries.map(entry => ({
+            title: `${entry.title} (${entry.questions.length === 1 ? 'question' : 'questions'} ${this.formatNumbers(entry.questions)})`,
+            questionIndex: entry.questionIndex
+        }));
+    },
+    
+    /**
+     * Format question numbers as ranges
+     * @param {Array<number>} numbers - Ascending question numbers
+     * @returns {string} - E.g. "1-3, 7"
+     */
+    formatNumbers(numbers) {
+        const ranges = [];
+        numbers.forEach(number => {
+            const last = ranges[ranges.length - 1];
+            if (last && number === last[1] + 1) {
+                last[1] = number;
+            } else {
+                ranges.push([number, number]);
+            }
+        });
+        return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(', ');
+    },
+    
+    /**
+     * Fill in the report's contents pages, with each entry linking to its page
+     * @param {Object} doc - The jsPDF document
+     * @param {Object} contents - The contents ({ entries, firstPage }) reserved by convertToPDF()
+     * @param {Array<number>} questionPages - The page number of each question
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     */
+    addContents(doc, contents, questionPages, margin, textWidth) {
+        let page = contents.firstPage;
+        doc.setPage(page);
+        let y = 20;
+        
+        doc.setFontSize(16);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Contents', margin, y);
+        y += 12;
+        
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        const lines = [{ title: 'Summary', pageNumber: 1 }].concat(contents.entries.map(entry => ({
+            title: entry.title,
+            pageNumber: questionPages[entry.questionIndex]
+        })));
+        
+        lines.forEach(line => {
+            if (y > doc.internal.pageSize.getHeight() - 25) {
+                page++;
+                doc.setPage(page);
+                y = 20;
+            }
             
-            // User's answer
-            if (question.userAnswer !== null && question.userAnswer !== undefined) {
-                const userAnswerIndex = typeof question.userAnswer === 'number' && 
-                                       question.userAnswer >= 0 && 
-                                       question.userAnswer < optionLabels.length ? 
-                                       question.userAnswer : null;
-                
-                if (userAnswerIndex !== null) {
-                    const userAnswer = `Your answer: ${optionLabels[userAnswerIndex]}`;
-                    doc.text(userAnswer, margin, y);
-                    y += 7;
-                    
-                    // Indicate if correct or incorrect
-                    const isCorrect = question.userAnswer === question.correctAnswer;
-                    doc.setTextColor(isCorrect ? 0, 128, 0 : 255, 0, 0);
-                    doc.text(isCorrect ? 'Correct' : 'Incorrect', margin, y);
-                    doc.setTextColor(0, 0, 0); // Reset text color
-                    y += 7;
+            const title = doc.splitTextToSize(line.title, textWidth - 15)[0];
+            doc.text(title, margin, y);
+            doc.text(String(line.pageNumber), margin + textWidth, y, { align: 'right' });
+            doc.link(margin, y - 5, textWidth, 7, { pageNumber: line.pageNumber });
+            y += 7;
+        });
+    },
+    
+    /**
+     * Add PDF bookmarks for the summary, the contents and each question, grouped by topic when there are topics
+     * @param {Object} doc - The jsPDF document
+     * @param {Array} questions - The question objects
+     * @param {Array<number>} questionPages - The page number of each question
+     * @param {number} contentsPage - The first page of the contents
+     */
+    addBookmarks(doc, questions, questionPages, contentsPage) {
+        doc.outline.add(null, 'Summary', { pageNumber: 1 });
+        doc.outline.add(null, 'Contents', { pageNumber: contentsPage });
+        
+        const hasTopics = questions.some(question => question && question.topic);
+        const topicNodes = new Map();
+        
+        questions.forEach((question, index) => {
+            if (!questionPages[index]) {
+                return;
+            }
+            
+            let parent = null;
+            if (hasTopics) {
+                const topic = question.topic || 'Uncategorized';
+                if (!topicNodes.has(topic)) {
+                    topicNodes.set(topic, doc.outline.add(null, topic, { pageNumber: questionPages[index] }));
                 }
+                parent = topicNodes.get(topic);
+            }
+            doc.outline.add(parent, `Question ${index + 1}`, { pageNumber: questionPages[index] });
+        });
+    },
+    
+    /**
+     * Number every page in the footer and, for reports, repeat the title in the header of every page but the first
+     * @param {Object} doc - The jsPDF document
+     * @param {string} header - The header text, or empty for none
+     */
+    addHeadersAndFooters(doc, header) {
+        const pageCount = doc.getNumberOfPages();
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(120, 120, 120);
+        
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            if (header && page > 1) {
+                doc.text(doc.splitTextToSize(header, pageWidth - 80)[0], 20, 10);
+                doc.text(new Date().toLocaleDateString(), pageWidth - 20, 10, { align: 'right' });
+            }
+            doc.text(`Page ${page} of ${pageCount}`, pageWidth / 2, pageHeight - 10, { align: 'center' });
+        }
+        
+        doc.setTextColor(0, 0, 0);
+    },
+    
+    /**
+     * Print what the candidate answers from: lettered options, a line to write on, items to put in order
+     * or two columns to match
+     * @param {Object} doc - The jsPDF document
+     * @param {Object} question - The question object
+     * @param {number} y - The current vertical position in mm
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     * @returns {number} - The vertical position after the answer area
+     */
+    addAnswerArea(doc, question, y, margin, textWidth) {
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const options = Array.isArray(question.options) ? question.options : [];
+        const type = QuestionTypes.getType(question);
+        const newPageIfNeeded = height => {
+            if (y + height > pageHeight - 20) {
+                doc.addPage();
+                y = 20;
+            }
+        };
+        const addNote = text => {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.text(text, margin, y);
+            y += 6;
+            doc.setFontSize(12);
+            doc.setFont('helvetica', 'normal');
+        };
+        
+        if (type === 'fillin') {
+            newPageIfNeeded(12);
+            doc.setDrawColor(150, 150, 150);
+            doc.line(margin + 5, y + 3, margin + textWidth / 2, y + 3);
+            doc.setDrawColor(0, 0, 0);
+            return y + 12;
+        }
+        
+        if (type === 'matching') {
+            newPageIfNeeded(20);
+            addNote('Match each item on the left with an option on the right.');
+            
+            const items = Array.isArray(question.items) ? question.items : [];
+            const columnWidth = textWidth / 2 - 5;
+            const rows = Math.max(items.length, options.length);
+            for (let row = 0; row < rows; row++) {
+                const itemLines = row < items.length ? doc.splitTextToSize(`${row + 1}. ${items[row]}`, columnWidth) : [];
+                const optionLines = row < options.length
+                    ? doc.splitTextToSize(`${QuestionUtils.indexToLetter(row)}. ${options[row]}`, columnWidth)
+                    : [];
+                const height = Math.max(itemLines.length, optionLines.length) * 7 + 3;
+                
+                newPageIfNeeded(height);
+                doc.text(itemLines, margin + 5, y);
+                doc.text(optionLines, margin + textWidth / 2 + 5, y);
+                y += height;
+            }
+            return y;
+        }
+        
+        // Ordering items are listed in their start order, which is not the answer, and lettered as printed
+        let order = options.map((_, optIndex) => optIndex);
+        if (type === 'ordering') {
+            newPageIfNeeded(20);
+            addNote('Put the items in the right order.');
+            order = QuestionTypes.getStartOrder(question);
+        }
+        
+        order.forEach((optIndex, position) => {
+            const option = options[optIndex];
+            const optionText = `${QuestionUtils.indexToLetter(position)}. ${option || 'Option not available'}`;
+            const optionLines = doc.splitTextToSize(optionText, textWidth - 5);
+            newPageIfNeeded(optionLines.length * 7);
+            doc.text(optionLines, margin + 5, y);
+            y += optionLines.length * 7 + 3;
+        });
+        
+        return y;
+    },
+    
+    /**
+     * Print the items of an ordering question in the right order
+     * @param {Object} doc - The jsPDF document
+     * @param {Object} question - The question object
+     * @param {number} y - The current vertical position in mm
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     * @returns {number} - The vertical position after the list
+     */
+    addCorrectOrder(doc, question, y, margin, textWidth) {
+        const order = QuestionTypes.normalizeAnswer(question, question.correctAnswer) || [];
+        
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        order.forEach((optionIndex, position) => {
+            const lines = doc.splitTextToSize(`${position + 1}. ${question.options[optionIndex] || ''}`, textWidth - 5);
+            if (y + lines.length * 6 > doc.internal.pageSize.getHeight() - 20) {
+                doc.addPage();
+                y = 20;
+            }
+            doc.text(lines, margin + 5, y);
+            y += lines.length * 6;
+        });
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        
+        return y + 1;
+    },
+    
+    /**
+     * Embed a question's exhibits, scaled to fit the page
+     * @param {Object} doc - The jsPDF document
+     * @param {Array<Object>} exhibits - The exhibits
+     * @param {number} y - The current vertical position in mm
+     * @param {number} margin - The left margin in mm
+     * @param {number} textWidth - The usable width in mm
+     * @returns {number} - The vertical position after the exhibits
+     */
+    addExhibits(doc, exhibits, y, margin, textWidth) {
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const maxHeight = pageHeight - 60;
+        
+        exhibits.forEach((exhibit, index) => {
+            const label = exhibit.caption || `Exhibit ${index + 1}`;
+            const format = Exhibits.getImageFormat(exhibit.src);
+            
+            // Only embedded images can be added; linked ones are listed by address
+            if (!format) {
+                const linkLines = doc.splitTextToSize(`[${label}: ${exhibit.src}]`, textWidth);
+                doc.text(linkLines, margin, y);
+                y += linkLines.length * 7 + 3;
+                return;
             }
             
-            // Explanation (if available)
-            if (question.explanation) {
-                if (y > doc.internal.pageSize.getHeight() - 40) {
+            try {
+                // Display size in CSS pixels (96 per inch) converted to mm, limited to the page
+                const properties = doc.getImageProperties(exhibit.src);
+                const pixelWidth = exhibit.width || properties.width;
+                const pixelHeight = exhibit.height || (properties.height * pixelWidth) / properties.width;
+                const scale = Math.min(25.4 / 96, textWidth / pixelWidth, maxHeight / pixelHeight);
+                const width = pixelWidth * scale;
+                const height = pixelHeight * scale;
+                
+                if (y + height > pageHeight - 20) {
                     doc.addPage();
                     y = 20;
                 }
                 
-                doc.setFont('helvetica', 'italic');
-                doc.text('Explanation:', margin, y);
-                y += 7;
+                doc.addImage(exhibit.src, format, margin, y, width, height);
+                y += height + 3;
                 
-                doc.setFont('helvetica', 'normal');
-                const explanationLines = doc.splitTextToSize(question.explanation, textWidth);
-                doc.text(explanationLines, margin, y);
-                y += explanationLines.length * 7 + 10;
-            } else {
+                if (exhibit.caption) {
+                    doc.setFontSize(10);
+                    doc.text(exhibit.caption, margin, y + 3);
+                    doc.setFontSize(12);
+                    y += 7;
+                }
+                y += 4;
+            } catch (error) {
+                console.warn(`Could not embed ${label}:`, error);
+                doc.text(`[${label} could not be embedded]`, margin, y);
                 y += 10;
             }
         });
         
-        // Return the PDF as a blob
-        return doc.output('blob');
+        return y;
     },
     
+    /**
+     * Describe where a shuffled question and its options came from
+     * @param {Object} question - Question from ExamSimulator.getResults()
+     * @param {number} index - The question's position in the attempt
+     * @returns {string|null} - E.g. "Original numbering: question 12; options A=C, B=A, C=B", or null if nothing moved
+     */
+    getOriginalNumbering(question, index) {
+        const optionOrder = Array.isArray(question.optionOrder) ? question.optionOrder : [];
+        const questionMoved = Number.isInteger(question.originalNumber) && question.originalNumber !== index + 1;
+        const optionsMoved = optionOrder.some((originalIndex, position) => originalIndex !== position);
+
+        if (!questionMoved && !optionsMoved) {
+            return null;
+        }
+
+        let text = `Original numbering: question ${question.originalNumber || index + 1}`;
+        if (optionsMoved) {
+            const mapping = optionOrder.map((originalIndex, position) =>
+                `${QuestionUtils.indexToLetter(position)}=${QuestionUtils.indexToLetter(originalIndex)}`);
+            text += `; options ${mapping.join(', ')}`;
+        }
+        return text;
+    },
+
     /**
      * Generate a PDF from VCE file
      * @param {File} file - The VCE file
+     * @param {Object} [options] - Parse options ({ onProgress, signal }), see BackgroundParser.parse(),
+     *                             and the PDF template (default 'inline'), see TEMPLATES
      * @returns {Promise<Blob>} - Promise resolving to PDF blob
      */
-    async generatePDFFromVCE(file) {
+    async generatePDFFromVCE(file, options = {}) {
+        const { template = 'inline', ...parseOptions } = options;
+        
         try {
             // Parse the VCE file
-            const questions = await VCEParser.parse(file);
+            const { questions } = await BackgroundParser.parse('vce', file, parseOptions);
             
             if (!questions || questions.length === 0) {
                 throw new Error('No questions found in the VCE file');
@@ -173,7 +788,7 @@ const VCEToPDFConverter = {
             const examTitle = `${fileName} - Exam Questions`;
             
             // Convert to PDF
-            return this.convertToPDF(questions, examTitle);
+            return this.convertToPDF(questions, examTitle, { template });
         } catch (error) {
             console.error('Error generating PDF from VCE:', error);
             throw error;
@@ -202,3 +817,7 @@ const VCEToPDFConverter = {
         }, 100);
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VCEToPDFConverter;
+}
@@ -0,0 +1,181 @@
+/**
+ * Node entry point - The parsers and converters as CommonJS modules
+ *
+ * The files in js/ are browser scripts that find each other through globals. This module
+ * loads them, installs those globals and provides file access, so the same code runs under
+ * Node (18.13 or later). PDF files need the pdfjs-dist package and PDF output needs the jspdf
+ * package; both are optional dependencies in package.json and are loaded only when used.
+ *
+ *     const ExamSim = require('./node');
+ *     const { questions, report } = await ExamSim.parseFile('dump.pdf');
+ */
+const fs = require('fs');
+const path = require('path');
+const { File } = require('buffer');
+
+const modules = {
+    QuestionUtils: require('../js/question-utils.js'),
+    QuestionTypes: require('../js/question-types.js'),
+    SeededRandom: require('../js/seeded-random.js'),
+    BankMerger: require('../js/bank-merger.js'),
+    Exhibits: require('../js/exhibits.js'),
+    Scoring: require('../js/scoring.js'),
+    Timing: require('../js/timing.js'),
+    ParseReport: require('../js/parse-report.js'),
+    ExamFormat: require('../js/exam-format.js'),
+    VCEParser: require('../js/vce-parser.js'),
+    PDFParser: require('../js/pdf-parser.js'),
+    VCEToPDFConverter: require('../js/vce-to-pdf.js')
+};
+
+Object.assign(globalThis, modules);
+
+/**
+ * Load an optional dependency
+ *
+ * A missing package is reported by name, including packages the dependency itself needs;
+ * any other failure to load it is reported with the package that failed.
+ * @param {string} name - The package path
+ * @param {string} purpose - What it is needed for, for the error message
+ * @returns {*} - The module
+ */
+function requireDependency(name, purpose) {
+    const packageName = name.split('/')[0];
+
+    try {
+        return require(name);
+    } catch (error) {
+        const missing = error.code === 'MODULE_NOT_FOUND' && /Cannot find module '([^']+)'/.exec(error.message);
+        if (missing) {
+            throw new Error(`${purpose} needs the optional ${missing[1].split('/')[0]} package. ` +
+                'Run "npm install" in the exam simulator directory, without --omit=optional, to install it.');
+        }
+        throw new Error(`${purpose} needs the ${packageName} package, which could not be loaded: ${error.message}`);
+    }
+}
+
+/**
+ * Make PDF.js available to PDFParser
+ */
+function loadPdfJs() {
+    if (globalThis.pdfjsLib) {
+        return;
+    }
+
+    // The modern build runs on Node 18 as is; the legacy build needs the native canvas package when it loads
+    globalThis.pdfjsLib = requireDependency('pdfjs-dist/build/pdf.js', 'Reading PDF files');
+    // With the PDF.js worker code loaded, PDF.js runs in this thread instead of starting a worker
+    globalThis.pdfjsWorker = requireDependency('pdfjs-dist/build/pdf.worker.js', 'Reading PDF files');
+}
+
+/**
+ * Make jsPDF available to VCEToPDFConverter
+ */
+function loadJsPdf() {
+    if (!globalThis.jspdf) {
+        globalThis.jspdf = requireDependency('jspdf', 'Writing PDF files');
+    }
+}
+
+/**
+ * Read a file from disk as a File, as the parsers expect
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<File>} - The file, named after its base name
+ */
+async function readFile(filePath) {
+    const data = await fs.promises.readFile(filePath);
+    return new File([data], path.basename(filePath));
+}
+
+/**
+ * Parse an exam file: VCE, PDF, native exam file or other JSON
+ * @param {string} filePath - Path of the file
+ * @param {Object} [options] - Parse options ({ onProgress, signal }), see PDFParser.parse()
+ * @returns {Promise<Object>} - The questions and parse report, plus metadata and scoring
+ *                              for native exam files ({ questions, report, metadata, scoring })
+ */
+async function parseFile(filePath, options = {}) {
+    const file = await readFile(filePath);
+    const name = file.name.toLowerCase();
+    const startedAt = Date.now();
+    let result;
+
+    if (name.endsWith('.vce')) {
+        result = await modules.VCEParser.parse(file, options);
+    } else if (name.endsWith('.pdf')) {
+        loadPdfJs();
+        result = await modules.PDFParser.parse(file, options);
+    } else if (name.endsWith('.json')) {
+        // Native exam files load directly; other JSON goes through the VCE parser's shape detection
+        const data = await modules.ExamFormat.readFile(file);
+        result = modules.ExamFormat.isNativeFormat(data)
+            ? modules.ExamFormat.parse(data, file.name)
+            : await modules.VCEParser.parse(file, options);
+    } else {
+        throw new Error(`Unsupported file format: ${file.name}. Please use VCE, PDF or JSON files.`);
+    }
+
+    result.report.duration = Date.now() - startedAt;
+    return result;
+}
+
+/**
+ * Convert parsed questions into a native exam file
+ * @param {Object} result - Result of parseFile()
+ * @param {string} [title] - Exam title (defaults to the file's title or name)
+ * @param {Object} [options] - Export options ({ onWarning }), see ExamFormat.fromQuestions()
+ * @returns {Object} - The native exam data
+ */
+function toExamFile(result, title, options = {}) {
+    const metadata = {
+        ...(result.metadata || {}),
+        title: title || (result.metadata && result.metadata.title) || getBaseName(result.report.fileName)
+    };
+    if (!metadata.source && result.report.source !== 'native') {
+        metadata.source = result.report.fileName;
+    }
+    return modules.ExamFormat.fromQuestions(result.questions, metadata, result.scoring, options);
+}
+
+/**
+ * Render questions as a PDF with answers and explanations
+ * @param {Array} questions - The question objects
+ * @param {string} title - Title of the document
+ * @param {string} [template] - Layout (default 'inline'), see VCEToPDFConverter.TEMPLATES
+ * @returns {Promise<Buffer>} - The PDF file contents
+ */
+async function toPDF(questions, title, template = 'inline') {
+    loadJsPdf();
+    const blob = modules.VCEToPDFConverter.convertToPDF(questions, title, { template });
+    return Buffer.from(await blob.arrayBuffer());
+}
+
+/**
+ * Merge the questions of several parsed files, dropping duplicates
+ * @param {Array<Object>} results - Results of parseFile()
+ * @param {Object} [options] - Merge options ({ exactOnly }), see BankMerger.buildBank()
+ * @returns {Object} - The merged questions, duplicate groups and counts, see BankMerger.merge()
+ */
+function mergeResults(results, options = {}) {
+    const sources = results.map(result => ({ name: result.report.fileName, questions: result.questions }));
+    return modules.BankMerger.merge(sources, options);
+}
+
+/**
+ * Get a file name without its directory and extension
+ * @param {string} fileName - The file name
+ * @returns {string} - The base name
+ */
+function getBaseName(fileName) {
+    return path.basename(fileName || '').replace(/\.[^/.]+$/, '');
+}
+
+module.exports = {
+    ...modules,
+    readFile,
+    parseFile,
+    toExamFile,
+    toPDF,
+    mergeResults,
+    getBaseName
+};
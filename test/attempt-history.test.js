@@ -0,0 +1,82 @@
+/**
+ * Tests for AttemptHistory: score trend, most missed questions and readiness
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const AttemptHistory = require('../js/attempt-history.js');
+
+/**
+ * Build a recorded attempt
+ * @param {Object} fields - Fields that differ from the defaults
+ * @returns {Object} - The attempt record
+ */
+function attempt(fields) {
+    return {
+        bankName: 'Networking',
+        mode: 'exam',
+        finishedAt: 0,
+        durationUsed: 600,
+        percentage: 50,
+        questions: [],
+        ...fields
+    };
+}
+
+const ATTEMPTS = [
+    attempt({
+        finishedAt: 3000,
+        percentage: 80,
+        durationUsed: 900,
+        questions: [
+            { fingerprint: 'q1', text: 'Subnet mask', originalNumber: 1, isCorrect: false },
+            { fingerprint: 'q2', text: 'SSH port', originalNumber: 2, isCorrect: true }
+        ]
+    }),
+    attempt({
+        finishedAt: 1000,
+        percentage: 40,
+        durationUsed: 300,
+        questions: [
+            { fingerprint: 'q1', text: 'Subnet mask', originalNumber: 1, isCorrect: false },
+            { fingerprint: 'q2', text: 'SSH port', originalNumber: 2, isCorrect: false }
+        ]
+    }),
+    attempt({ finishedAt: 2000, percentage: 60, mode: 'study' }),
+    attempt({ bankName: 'Security', finishedAt: 4000, percentage: 100 })
+];
+
+test('lists the banks with attempts', () => {
+    assert.deepStrictEqual(AttemptHistory.getBankNames(ATTEMPTS), ['Networking', 'Security']);
+});
+
+test('summarizes the attempts on a bank, oldest first', () => {
+    const summary = AttemptHistory.summarize(ATTEMPTS, { bankName: 'Networking' });
+
+    assert.strictEqual(summary.attemptCount, 3);
+    assert.deepStrictEqual(summary.trend.map(point => point.percentage), [40, 60, 80]);
+    assert.deepStrictEqual(summary.trend.map(point => point.mode), ['exam', 'study', 'exam']);
+    assert.strictEqual(summary.averageScore, 60);
+    assert.strictEqual(summary.averageDuration, 600);
+    assert.strictEqual(AttemptHistory.summarize(ATTEMPTS).attemptCount, 4);
+});
+
+test('lists the questions missed most often', () => {
+    const missed = AttemptHistory.getMostMissed(ATTEMPTS);
+
+    assert.deepStrictEqual(missed.map(entry => [entry.fingerprint, entry.seen, entry.missed]), [['q1', 2, 2], ['q2', 2, 1]]);
+    assert.strictEqual(missed[0].text, 'Subnet mask');
+});
+
+test('judges readiness from the recent exam-mode attempts', () => {
+    const networking = ATTEMPTS.filter(item => item.bankName === 'Networking');
+
+    const readiness = AttemptHistory.summarize(networking, { passMark: 60 }).readiness;
+    assert.deepStrictEqual(readiness, { attemptCount: 2, examModeOnly: true, recentAverage: 60, passMark: 60, ready: true });
+    assert.ok(!AttemptHistory.getReadiness(networking, 70).ready);
+
+    const studyOnly = AttemptHistory.getReadiness([attempt({ mode: 'study', percentage: 90 })], 70);
+    assert.strictEqual(studyOnly.examModeOnly, false);
+    assert.ok(studyOnly.ready);
+
+    assert.deepStrictEqual(AttemptHistory.getReadiness([], 70), { attemptCount: 0, recentAverage: null, passMark: 70, ready: false });
+});
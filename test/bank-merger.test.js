@@ -0,0 +1,87 @@
+/**
+ * Tests for BankMerger: exact and near duplicates across files and answer conflicts
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { BankMerger } = require('../node');
+
+const SUBNET = {
+    text: 'Which subnet mask is the default for a class A network?',
+    options: ['255.0.0.0', '255.255.0.0', '255.255.255.0', '255.255.255.255'],
+    correctAnswer: [0],
+    explanation: 'Class A networks use an 8-bit prefix.'
+};
+const PORT = {
+    text: 'Which port does SSH use by default?',
+    options: ['21', '22', '23', '25'],
+    correctAnswer: [1]
+};
+const REWORDED = {
+    text: 'Which subnet mask is the default for a class A network ?',
+    options: ['255.255.255.0', '255.0.0.0', '255.255.0.0', '255.255.255.255'],
+    correctAnswer: [1]
+};
+
+test('merges exact copies across files and keeps their sources', () => {
+    const { questions, groups, duplicates, similar, conflicts } = BankMerger.merge([
+        { name: 'a.pdf', questions: [{ ...SUBNET, explanation: '' }, PORT] },
+        { name: 'b.vce', questions: [{ ...PORT, id: 'q9', userAnswer: [0] }, SUBNET] }
+    ]);
+
+    assert.strictEqual(questions.length, 2);
+    assert.deepStrictEqual(groups.map(group => group.kind), ['exact', 'exact']);
+    assert.deepStrictEqual({ duplicates, similar, conflicts }, { duplicates: 2, similar: 0, conflicts: 0 });
+
+    // The first copy is kept, other copies fill in what it lacks, and attempt state is dropped
+    assert.strictEqual(questions[0].explanation, SUBNET.explanation);
+    assert.deepStrictEqual(questions[0].sources.map(source => `${source.file} #${source.number}`), ['a.pdf #1', 'b.vce #2']);
+    assert.ok(!('userAnswer' in questions[1]) && !('id' in questions[1]));
+});
+
+test('groups near duplicates with reordered options, mapping their answers', () => {
+    const result = BankMerger.merge([
+        { name: 'a.pdf', questions: [SUBNET] },
+        { name: 'b.pdf', questions: [REWORDED] }
+    ]);
+
+    assert.strictEqual(result.questions.length, 1);
+    assert.strictEqual(result.groups[0].kind, 'similar');
+    assert.strictEqual(result.similar, 1);
+    assert.ok(!result.questions[0].answerConflict);
+    assert.deepStrictEqual(result.questions[0].sources.map(source => source.correctAnswer), [[0], [0]]);
+});
+
+test('keeps near duplicates apart on request', () => {
+    const sources = [
+        { name: 'a.pdf', questions: [SUBNET] },
+        { name: 'b.pdf', questions: [REWORDED, SUBNET] }
+    ];
+
+    const exactOnly = BankMerger.merge(sources, { exactOnly: true });
+    assert.strictEqual(exactOnly.questions.length, 2);
+    assert.deepStrictEqual(exactOnly.questions[0].sources.map(source => source.file), ['a.pdf', 'b.pdf']);
+
+    const groups = BankMerger.findDuplicates(sources);
+    assert.strictEqual(BankMerger.buildBank(groups, { separate: [groups[0].id] }).length, 2);
+    assert.strictEqual(BankMerger.buildBank(groups).length, 1);
+});
+
+test('does not merge questions that only share a generic stem', () => {
+    const result = BankMerger.merge([
+        { name: 'a.pdf', questions: [{ text: 'Which statement is true?', options: ['Cats bark', 'Dogs bark'], correctAnswer: [1] }] },
+        { name: 'b.pdf', questions: [{ text: 'Which statement is true?', options: ['TCP is stateless', 'UDP is stateless'], correctAnswer: [1] }] }
+    ]);
+    assert.strictEqual(result.questions.length, 2);
+    assert.strictEqual(result.duplicates, 0);
+});
+
+test('flags copies that disagree on the answer', () => {
+    const result = BankMerger.merge([
+        { name: 'a.pdf', questions: [PORT] },
+        { name: 'b.pdf', questions: [{ ...PORT, correctAnswer: [2] }] }
+    ]);
+
+    assert.strictEqual(result.conflicts, 1);
+    assert.ok(result.questions[0].answerConflict);
+    assert.strictEqual(BankMerger.describeSources(result.questions[0]), 'a.pdf #1: B; b.pdf #1: C');
+});
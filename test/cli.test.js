@@ -0,0 +1,130 @@
+/**
+ * Smoke tests for the exam-sim command-line tool
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'exam-sim.js');
+const SAMPLE_PDF = path.join(__dirname, '..', 'Test PDF.pdf');
+
+/**
+ * Check whether an optional dependency is installed
+ * @param {string} name - The package name
+ * @returns {boolean} - True if it can be loaded
+ */
+function isInstalled(name) {
+    try {
+        require.resolve(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Run exam-sim
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Promise<Object>} - The exit code and output ({ code, stdout, stderr })
+ */
+function run(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exam-sim-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const textExam = path.join(dir, 'dump.vce');
+fs.writeFileSync(textExam, [
+    'QUESTION 1',
+    'Which port does HTTPS use?',
+    'A. 80',
+    'B. 443',
+    'Answer: B',
+    '',
+    'QUESTION 2',
+    'Which command lists files?',
+    'A. ls',
+    'B. cd',
+    'Answer: A',
+    ''
+].join('\n'));
+
+test('prints the usage with --help', async () => {
+    const { code, stdout } = await run(['--help']);
+    assert.strictEqual(code, 0);
+    assert.match(stdout, /Usage: exam-sim/);
+});
+
+test('exits with 2 on wrong usage', async () => {
+    const { code, stderr } = await run(['convert', textExam, '--to', 'docx']);
+    assert.strictEqual(code, 2);
+    assert.notStrictEqual(stderr, '');
+});
+
+test('exits with 1 when a file cannot be read', async () => {
+    const { code } = await run(['inspect', path.join(dir, 'missing.vce')]);
+    assert.strictEqual(code, 1);
+});
+
+test('converts a text VCE file to an exam file that loads again', async () => {
+    const output = path.join(dir, 'dump.json');
+    const converted = await run(['convert', textExam, '--to', 'json', '-o', output, '-q']);
+    assert.strictEqual(converted.code, 0, converted.stderr);
+
+    const exam = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(exam.questions.length, 2);
+    assert.deepStrictEqual(exam.questions[0].correctAnswer, [1]);
+
+    const inspected = await run(['inspect', output, '--json']);
+    assert.strictEqual(inspected.code, 0, inspected.stderr);
+    assert.strictEqual(JSON.parse(inspected.stdout).questionCount, 2);
+});
+
+test('merges files, dropping duplicate questions', async () => {
+    const output = path.join(dir, 'merged.json');
+    const { code, stderr } = await run(['merge', textExam, textExam, '-o', output, '-q']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(JSON.parse(fs.readFileSync(output, 'utf8')).questions.length, 2);
+});
+
+test('converts to PDF', { skip: !isInstalled('jspdf') && 'jspdf is not installed' }, async () => {
+    const output = path.join(dir, 'dump.pdf');
+    const { code, stderr } = await run(['convert', textExam, '--to', 'pdf', '--template', 'worksheet', '-o', output, '-q']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(fs.readFileSync(output).subarray(0, 5).toString(), '%PDF-');
+});
+
+test('reads PDF files', { skip: !isInstalled('pdfjs-dist') && 'pdfjs-dist is not installed' }, async () => {
+    const { code, stdout, stderr } = await run(['inspect', SAMPLE_PDF, '--json']);
+    assert.strictEqual(code, 0, stderr);
+    assert.ok(JSON.parse(stdout).questionCount > 0);
+});
+
+test('converts a loose JSON bank to an exam file that loads again', async () => {
+    const input = path.join(dir, 'loose.json');
+    const output = path.join(dir, 'loose-exam.json');
+    fs.writeFileSync(input, JSON.stringify({
+        questions: [
+            { text: 'Good question', options: ['a', 'b'], correctAnswer: 0 },
+            { text: '', options: ['a', 'b'], correctAnswer: 0 },
+            { text: 'Empty option', options: ['a', '', 'c'], correctAnswer: 2 },
+            { text: 'One option', options: ['a'], correctAnswer: 0 }
+        ]
+    }));
+
+    const converted = await run(['convert', input, '--to', 'json', '-o', output, '-q']);
+    assert.strictEqual(converted.code, 0, converted.stderr);
+    assert.match(converted.stdout, /Export warnings/);
+
+    const inspected = await run(['inspect', output, '--json']);
+    assert.strictEqual(inspected.code, 0, inspected.stderr);
+    assert.strictEqual(JSON.parse(inspected.stdout).questionCount, 2);
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for ExamFormat: validation, loading and export round-trips
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExamFormat } = require('../node');
+
+const QUESTIONS = [
+    { text: 'Pick one', options: ['a', 'b', 'c'], correctAnswer: [1], explanation: 'Because', topic: 'Basics' },
+    { text: 'Pick two', options: ['a', 'b', 'c'], correctAnswer: [0, 2], weight: 2 },
+    { type: 'truefalse', text: 'The sky is blue', options: ['True', 'False'], correctAnswer: [0] },
+    { type: 'fillin', text: 'Command to list files', options: [], correctAnswer: ['ls', 'dir'] },
+    { type: 'ordering', text: 'Order the steps', options: ['Plan', 'Build', 'Test'], correctAnswer: [0, 1, 2] },
+    { type: 'matching', text: 'Match the ports', items: ['HTTP', 'SSH'], options: ['22', '80'], correctAnswer: [1, 0] }
+];
+
+/**
+ * Export questions and collect the warnings
+ * @param {Array} questions - The question objects
+ * @returns {Object} - The exam data and warnings ({ examData, warnings })
+ */
+function exportQuestions(questions) {
+    const warnings = [];
+    const examData = ExamFormat.fromQuestions(questions, { title: 'Test' }, null, {
+        onWarning: message => warnings.push(message)
+    });
+    return { examData, warnings };
+}
+
+test('exports every question type to a file that validates and loads back', () => {
+    const { examData, warnings } = exportQuestions(QUESTIONS);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(ExamFormat.validate(examData), []);
+
+    const { questions } = ExamFormat.load(JSON.parse(JSON.stringify(examData)));
+    assert.deepStrictEqual(questions.map(question => question.type),
+        ['single', 'multiple', 'truefalse', 'fillin', 'ordering', 'matching']);
+    questions.forEach((question, index) => {
+        assert.strictEqual(question.text, QUESTIONS[index].text);
+        assert.deepStrictEqual(question.correctAnswer, QUESTIONS[index].correctAnswer);
+    });
+    assert.strictEqual(questions[1].weight, 2);
+    assert.deepStrictEqual(questions[5].items, ['HTTP', 'SSH']);
+});
+
+test('keeps existing ids and numbers the rest around them', () => {
+    const { examData } = exportQuestions([
+        { text: 'First', options: ['a', 'b'], correctAnswer: [0] },
+        { id: 'q1', text: 'Second', options: ['a', 'b'], correctAnswer: [0] },
+        { id: 'q1', text: 'Third', options: ['a', 'b'], correctAnswer: [0] }
+    ]);
+    assert.deepStrictEqual(examData.questions.map(question => question.id), ['q2', 'q1', 'q3']);
+});
+
+test('repairs or leaves out questions the format cannot hold', () => {
+    const { examData, warnings } = exportQuestions([
+        { text: '', options: ['a', 'b'], correctAnswer: [0] },
+        { text: 'Empty option', options: ['a', '', 'c'], correctAnswer: [2] },
+        { text: 'One option', options: ['a'], correctAnswer: [0] },
+        { type: 'matching', text: 'Empty item', items: ['x', ' ', 'y'], options: ['1', '2'], correctAnswer: [0, 1, 1] },
+        { type: 'fillin', text: 'No accepted answer', options: [], correctAnswer: [''] }
+    ]);
+
+    assert.deepStrictEqual(ExamFormat.validate(examData), []);
+    assert.deepStrictEqual(examData.questions.map(question => question.text), ['Empty option', 'Empty item']);
+    assert.deepStrictEqual(examData.questions[0].options, ['a', 'c']);
+    assert.deepStrictEqual(examData.questions[0].correctAnswer, [1]);
+    assert.deepStrictEqual(examData.questions[1].items, ['x', 'y']);
+    assert.deepStrictEqual(examData.questions[1].correctAnswer, [0, 1]);
+    assert.strictEqual(warnings.filter(message => /was left out/.test(message)).length, 3);
+});
+
+test('refuses to export when no question can be saved', () => {
+    assert.throws(() => exportQuestions([{ text: '', options: [] }]), /None of the questions/);
+});
+
+test('reports validation errors by path', () => {
+    const { examData } = exportQuestions(QUESTIONS);
+    examData.version = 99;
+    examData.questions[0].correctAnswer = [7];
+    examData.questions[5].correctAnswer = [0];
+    delete examData.metadata.title;
+
+    const paths = ExamFormat.validate(examData).map(error => error.path);
+    assert.deepStrictEqual(paths, ['version', 'metadata.title', 'questions[0].correctAnswer[0]', 'questions[5].correctAnswer']);
+    assert.throws(() => ExamFormat.load(examData), /Invalid exam file \(4 errors\)/);
+});
+
+test('round-trips scoring settings', () => {
+    const scoring = { passMark: 700, scaleMin: 100, scaleMax: 1000, policy: 'negative', penalty: 0.5, unanswered: 'excluded' };
+    const examData = ExamFormat.fromQuestions(QUESTIONS, { title: 'Test' }, scoring);
+    assert.deepStrictEqual(ExamFormat.load(JSON.parse(JSON.stringify(examData))).scoring, scoring);
+});
+
+test('reports invalid scoring settings and weights by path', () => {
+    const { examData } = exportQuestions(QUESTIONS);
+    examData.scoring = { passMark: 50, scaleMin: 100, scaleMax: 1000 };
+    examData.questions[0].weight = -1;
+
+    assert.deepStrictEqual(ExamFormat.validate(examData), [
+        { path: 'scoring', message: 'The pass mark must be between 100 and 1000.' },
+        { path: 'questions[0].weight', message: 'must be a positive number' }
+    ]);
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for PDFParser: option counts, label styles and answer keys in extracted text
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFParser, ParseReport } = require('../node');
+
+/**
+ * Extract questions from text
+ * @param {string} text - The text content of a PDF
+ * @returns {Object} - The questions and parse report ({ questions, report })
+ */
+function extract(text) {
+    const report = ParseReport.create('pdf');
+    return { questions: PDFParser.extractQuestionsFromText(text, report), report };
+}
+
+test('reads questions with two to six options', () => {
+    const { questions, report } = extract([
+        'Question 1',
+        'Is TCP connection oriented?',
+        'A. Yes',
+        'B. No',
+        'Answer: A',
+        '',
+        'Question 2',
+        'Which protocols use UDP? (Choose two)',
+        'A. DNS',
+        'B. SSH',
+        'C. TFTP',
+        'D. HTTP',
+        'E. SMTP',
+        'F. FTP',
+        'Answer: A, C'
+    ].join('\n'));
+
+    assert.strictEqual(report.strategy, 'question pattern');
+    assert.deepStrictEqual(questions.map(question => question.options.length), [2, 6]);
+    assert.deepStrictEqual(questions[1].options, ['DNS', 'SSH', 'TFTP', 'HTTP', 'SMTP', 'FTP']);
+    assert.deepStrictEqual(questions.map(question => question.correctAnswer), [[0], [0, 2]]);
+    assert.strictEqual(report.warnings.length, 0);
+});
+
+test('detects the label style of each question', () => {
+    const styles = {
+        'A)': ['A) red', 'B) green', 'C) blue'],
+        '(a)': ['(a) red', '(b) green', '(c) blue'],
+        'a.': ['a. red', 'b. green', 'c. blue']
+    };
+
+    Object.entries(styles).forEach(([style, lines]) => {
+        const found = PDFParser.extractOptions(['Which color is the sky?', ...lines, 'Answer: C'].join('\n'));
+        assert.strictEqual(found.labelStyle, style);
+        assert.deepStrictEqual(found.options, ['red', 'green', 'blue']);
+    });
+});
+
+test('reads options written side by side and options wrapped over several lines', () => {
+    const inline = PDFParser.extractOptions('Is the sky blue? A. Yes B. No\nAnswer: A');
+    assert.strictEqual(inline.labelStyle, 'inline');
+    assert.deepStrictEqual(inline.options, ['Yes', 'No']);
+
+    const wrapped = PDFParser.extractOptions([
+        'What does the command do?',
+        'A. Lists the files',
+        '   in the current directory',
+        'B. Removes the files',
+        'Answer: A'
+    ].join('\n'));
+    assert.deepStrictEqual(wrapped.options, ['Lists the files\n   in the current directory', 'Removes the files']);
+});
+
+test('keeps letters inside option text out of the labels', () => {
+    const found = PDFParser.extractOptions([
+        'Which step comes first?',
+        'A. Use option B. first',
+        'B. Restart',
+        'C. Reinstall'
+    ].join('\n'));
+    assert.deepStrictEqual(found.options, ['Use option B. first', 'Restart', 'Reinstall']);
+});
+
+test('warns about answers beyond the options found', () => {
+    const { questions, report } = extract('Question 1\nPick one\nA. Yes\nB. No\nAnswer: D');
+    assert.strictEqual(questions.length, 1);
+    assert.match(report.warnings[0].message, /only 2 options/);
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for QuestionTypes: checking and crediting answers of every type
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { QuestionTypes } = require('../node');
+
+const SINGLE = { text: 'Pick one', options: ['a', 'b', 'c'], correctAnswer: [1] };
+const MULTIPLE = { text: 'Pick two', options: ['a', 'b', 'c', 'd'], correctAnswer: [0, 2] };
+const TRUE_FALSE = { type: 'truefalse', text: 'The sky is blue', options: ['True', 'False'], correctAnswer: [0] };
+const FILL_IN = { type: 'fillin', text: 'Command to list files', options: [], correctAnswer: ['ls', 'dir /w'] };
+const ORDERING = { type: 'ordering', text: 'Order the steps', options: ['Plan', 'Build', 'Test', 'Ship'], correctAnswer: [0, 1, 2, 3] };
+const MATCHING = {
+    type: 'matching',
+    text: 'Match the ports',
+    items: ['HTTP', 'SSH', 'DNS'],
+    options: ['22', '53', '80'],
+    correctAnswer: [2, 0, 1]
+};
+
+test('reads the type of a question, treating choice questions by their answer count', () => {
+    assert.strictEqual(QuestionTypes.getType(SINGLE), 'single');
+    assert.strictEqual(QuestionTypes.getType(MULTIPLE), 'multiple');
+    assert.strictEqual(QuestionTypes.getType(ORDERING), 'ordering');
+    assert.ok(QuestionTypes.isChoice(TRUE_FALSE));
+    assert.ok(!QuestionTypes.isChoice(MATCHING));
+});
+
+test('checks choice answers as sets of options', () => {
+    assert.ok(QuestionTypes.isCorrect(SINGLE, [1]));
+    assert.ok(!QuestionTypes.isCorrect(SINGLE, [0]));
+    assert.ok(QuestionTypes.isCorrect(MULTIPLE, [2, 0]));
+    assert.ok(!QuestionTypes.isCorrect(MULTIPLE, [0]));
+    assert.ok(!QuestionTypes.isCorrect(MULTIPLE, [0, 1, 2]));
+    assert.ok(QuestionTypes.isCorrect(TRUE_FALSE, [0]));
+    assert.ok(!QuestionTypes.isCorrect(TRUE_FALSE, null));
+});
+
+test('accepts typed answers regardless of case and spacing', () => {
+    assert.ok(QuestionTypes.isCorrect(FILL_IN, ['LS']));
+    assert.ok(QuestionTypes.isCorrect(FILL_IN, ['  dir   /W ']));
+    assert.ok(!QuestionTypes.isCorrect(FILL_IN, ['dir']));
+    assert.ok(!QuestionTypes.isCorrect(FILL_IN, ['']));
+});
+
+test('checks orderings and matchings position by position', () => {
+    assert.ok(QuestionTypes.isCorrect(ORDERING, [0, 1, 2, 3]));
+    assert.ok(!QuestionTypes.isCorrect(ORDERING, [1, 0, 2, 3]));
+    assert.ok(QuestionTypes.isCorrect(MATCHING, [2, 0, 1]));
+    assert.ok(!QuestionTypes.isCorrect(MATCHING, [2, 0, null]));
+});
+
+test('gives partial credit for multiple-response answers, never below zero', () => {
+    assert.strictEqual(QuestionTypes.getPartialCredit(MULTIPLE, [0, 2]), 1);
+    assert.strictEqual(QuestionTypes.getPartialCredit(MULTIPLE, [0]), 0.5);
+    assert.strictEqual(QuestionTypes.getPartialCredit(MULTIPLE, [0, 1]), 0);
+    assert.strictEqual(QuestionTypes.getPartialCredit(MULTIPLE, [1, 3]), 0);
+    assert.strictEqual(QuestionTypes.getPartialCredit(MULTIPLE, null), 0);
+});
+
+test('gives partial credit for each right position or match', () => {
+    assert.strictEqual(QuestionTypes.getPartialCredit(ORDERING, [0, 1, 3, 2]), 0.5);
+    assert.strictEqual(QuestionTypes.getPartialCredit(ORDERING, [3, 2, 1, 0]), 0);
+    assert.strictEqual(QuestionTypes.getPartialCredit(MATCHING, [2, null, null]), 1 / 3);
+    assert.strictEqual(QuestionTypes.getPartialCredit(MATCHING, [2, 0, 1]), 1);
+});
+
+test('gives all-or-nothing credit for single-answer, true/false and fill-in questions', () => {
+    assert.strictEqual(QuestionTypes.getPartialCredit(SINGLE, [1]), 1);
+    assert.strictEqual(QuestionTypes.getPartialCredit(SINGLE, [0]), 0);
+    assert.strictEqual(QuestionTypes.getPartialCredit(TRUE_FALSE, [1]), 0);
+    assert.strictEqual(QuestionTypes.getPartialCredit(FILL_IN, ['ls']), 1);
+});
+
+test('treats only complete answers as answered', () => {
+    assert.ok(!QuestionTypes.isAnswered(SINGLE, null));
+    assert.ok(!QuestionTypes.isAnswered(SINGLE, []));
+    assert.ok(QuestionTypes.isAnswered(SINGLE, [1]));
+    assert.ok(!QuestionTypes.isAnswered(FILL_IN, ['  ']));
+    assert.ok(!QuestionTypes.isAnswered(MATCHING, [2, null, 1]));
+    assert.ok(QuestionTypes.isAnswered(MATCHING, [2, 0, 1]));
+});
+
+test('compares answers by type', () => {
+    assert.ok(QuestionTypes.answersEqual(MULTIPLE, [2, 0], [0, 2]));
+    assert.ok(QuestionTypes.answersEqual(FILL_IN, ['LS', 'dir /w'], ['dir /w', 'ls']));
+    assert.ok(!QuestionTypes.answersEqual(ORDERING, [0, 1, 2, 3], [1, 0, 2, 3]));
+    assert.ok(!QuestionTypes.answersEqual(MATCHING, [2, 0, 1], null));
+});
+
+test('starts orderings in a fixed order that is not the answer', () => {
+    const order = QuestionTypes.getStartOrder(ORDERING);
+    assert.deepStrictEqual([...order].sort(), [0, 1, 2, 3]);
+    assert.ok(!QuestionTypes.isCorrect(ORDERING, order));
+    assert.deepStrictEqual(QuestionTypes.getStartOrder({ ...ORDERING }), order);
+
+    const twoItems = { ...ORDERING, options: ['First', 'Second'], correctAnswer: [0, 1] };
+    assert.deepStrictEqual(QuestionTypes.getStartOrder(twoItems), [1, 0]);
+});
+
+test('maps ordering answers between stored indices and displayed positions', () => {
+    const order = QuestionTypes.getStartOrder(ORDERING);
+    const displayed = QuestionTypes.toDisplayedAnswer(ORDERING, ORDERING.correctAnswer, order);
+    assert.deepStrictEqual(displayed.map(position => order[position]), ORDERING.correctAnswer);
+    assert.deepStrictEqual(QuestionTypes.toOriginalAnswer(ORDERING, displayed, order), ORDERING.correctAnswer);
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for Scoring: policies, unanswered questions, weights and scaled scores
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Scoring } = require('../node');
+
+const MULTIPLE = { text: 'Pick two', options: ['a', 'b', 'c', 'd'], correctAnswer: [0, 2] };
+const MATCHING = {
+    type: 'matching',
+    text: 'Match the ports',
+    items: ['HTTP', 'SSH', 'DNS', 'SMTP'],
+    options: ['22', '25', '53', '80'],
+    correctAnswer: [3, 0, 2, 1]
+};
+
+/**
+ * Get the credit of an answer under the given settings
+ * @param {Object} question - The question object
+ * @param {Array|null} userAnswer - The answer
+ * @param {Object} settings - Settings for normalizeSettings()
+ * @returns {number|null} - The credit
+ */
+function credit(question, userAnswer, settings) {
+    return Scoring.getCredit({ ...question, userAnswer }, Scoring.normalizeSettings(settings));
+}
+
+test('fills in defaults and rejects invalid settings', () => {
+    assert.deepStrictEqual(Scoring.normalizeSettings(), Scoring.DEFAULTS);
+    assert.strictEqual(Scoring.normalizeSettings({ unanswered: 'zero' }).unanswered, 'zero');
+    assert.throws(() => Scoring.normalizeSettings({ policy: 'lenient' }), /Unknown scoring policy "lenient"/);
+    assert.throws(() => Scoring.normalizeSettings({ unanswered: 'skip' }), /"wrong", "zero" or "excluded"/);
+    assert.throws(() => Scoring.normalizeSettings({ penalty: 2 }), /penalty/);
+    assert.throws(() => Scoring.normalizeSettings({ scaleMin: 100, scaleMax: 100 }), /top of the score scale/);
+    assert.throws(() => Scoring.normalizeSettings({ passMark: 120 }), /between 0 and 100/);
+});
+
+test('scores complete answers under each policy', () => {
+    assert.strictEqual(credit(MULTIPLE, [0, 2], { policy: 'all-or-nothing' }), 1);
+    assert.strictEqual(credit(MULTIPLE, [0, 1], { policy: 'all-or-nothing' }), 0);
+    assert.strictEqual(credit(MULTIPLE, [0, 2], { policy: 'negative' }), 1);
+    assert.strictEqual(credit(MULTIPLE, [0, 1], { policy: 'negative', penalty: 0.5 }), -0.5);
+    assert.strictEqual(credit(MULTIPLE, [0, 1], { policy: 'partial' }), 0);
+});
+
+test('sends incomplete answers to the policy', () => {
+    assert.strictEqual(credit(MULTIPLE, [0], { policy: 'partial' }), 0.5);
+    assert.strictEqual(credit(MATCHING, [3, 0, null, null], { policy: 'partial' }), 0.5);
+    assert.strictEqual(credit(MATCHING, [3, 0, null, null], { policy: 'all-or-nothing' }), 0);
+    assert.strictEqual(credit(MATCHING, [3, null, null, null], { policy: 'negative' }), -0.25);
+    assert.strictEqual(credit(MATCHING, [3, null, null, null], { policy: 'partial', unanswered: 'excluded' }), 0.25);
+});
+
+test('scores unanswered questions as wrong, as 0 or leaves them out', () => {
+    Object.keys(Scoring.POLICIES).forEach(policy => {
+        [null, [], [null, null, null, null]].forEach(answer => {
+            const question = answer && answer.length > 0 ? MATCHING : MULTIPLE;
+            const wrong = policy === 'negative' ? -0.25 : 0;
+            assert.strictEqual(credit(question, answer, { policy, unanswered: 'wrong' }), wrong, policy);
+            assert.strictEqual(credit(question, answer, { policy, unanswered: 'zero' }), 0, policy);
+            assert.strictEqual(credit(question, answer, { policy, unanswered: 'excluded' }), null, policy);
+        });
+    });
+});
+
+test('describes the policy in effect', () => {
+    assert.strictEqual(
+        Scoring.describe(Scoring.normalizeSettings({ policy: 'negative', unanswered: 'wrong' })),
+        'Negative marking (-0.25 per wrong answer), unanswered questions count as wrong'
+    );
+    assert.strictEqual(Scoring.describe(Scoring.normalizeSettings({ unanswered: 'zero' })),
+        'All-or-nothing, unanswered questions score 0');
+    assert.strictEqual(Scoring.describe(Scoring.normalizeSettings({ policy: 'partial', unanswered: 'excluded' })),
+        'Partial credit, unanswered questions left out');
+});
+
+test('reads question weights and the pass mark as a percentage', () => {
+    assert.strictEqual(Scoring.getWeight({ weight: 2.5 }), 2.5);
+    assert.strictEqual(Scoring.getWeight({}), 1);
+    assert.strictEqual(Scoring.getWeight({ weight: 0 }), 1);
+    assert.strictEqual(Scoring.getWeight({ weight: 'heavy' }), 1);
+    assert.strictEqual(Scoring.getPassPercentage(Scoring.normalizeSettings({ passMark: 700, scaleMin: 100, scaleMax: 1000 })),
+        (600 / 900) * 100);
+});
+
+test('passes a score exactly at the pass mark', () => {
+    const questions = [
+        { ...MULTIPLE, userAnswer: [0, 2] },
+        { ...MULTIPLE, userAnswer: [1] }
+    ];
+    const result = Scoring.calculate(questions, Scoring.normalizeSettings({ passMark: 550, scaleMin: 100, scaleMax: 1000 }));
+    assert.strictEqual(result.scaledScore, 550);
+    assert.ok(result.passed);
+    assert.strictEqual(result.policyDescription, 'All-or-nothing, unanswered questions count as wrong');
+});
+
+test('weights questions and maps the score onto the scale', () => {
+    const questions = [
+        { ...MULTIPLE, weight: 3, userAnswer: [0, 2] },
+        { ...MULTIPLE, userAnswer: [0] },
+        { ...MULTIPLE, userAnswer: null }
+    ];
+    const settings = Scoring.normalizeSettings({ policy: 'partial', scaleMin: 100, scaleMax: 1000, passMark: 700 });
+
+    const result = Scoring.calculate(questions, settings);
+    assert.strictEqual(result.weightedScore, 3.5);
+    assert.strictEqual(result.maxWeightedScore, 5);
+    assert.strictEqual(result.scaledScore, 730);
+    assert.ok(result.passed);
+
+    const excluded = Scoring.calculate(questions, { ...settings, unanswered: 'excluded' });
+    assert.strictEqual(excluded.maxWeightedScore, 4);
+    assert.strictEqual(excluded.scaledScore, Math.round(100 + (3.5 / 4) * 900));
+});
+
+test('keeps the scaled score on the scale when penalties go below zero', () => {
+    const questions = [
+        { ...MULTIPLE, userAnswer: [1] },
+        { ...MULTIPLE, weight: 0, userAnswer: null }
+    ];
+    const settings = Scoring.normalizeSettings({ policy: 'negative', scaleMin: 100, scaleMax: 1000, passMark: 700 });
+
+    const result = Scoring.calculate(questions, settings);
+    assert.strictEqual(result.weightedScore, -0.5);
+    assert.strictEqual(result.scaledScore, 100);
+    assert.ok(!result.passed);
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for VCEParser: text encodings and binary files
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { VCEParser } = require('../node');
+
+const TEXT_EXAM = 'QUESTION 1\nWhat is 2+2?\nA. 3\nB. 4\nAnswer: B\n';
+
+/**
+ * Parse bytes as a VCE file
+ * @param {Buffer} bytes - The file contents
+ * @returns {Promise<Object>} - The parse result ({ questions, report })
+ */
+function parse(bytes) {
+    const file = new Blob([bytes]);
+    file.name = 'exam.vce';
+    return VCEParser.parse(file);
+}
+
+// The parser logs its progress to the console
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+});
+
+test('reads UTF-16 text with and without a byte order mark', async () => {
+    const utf16 = Buffer.from(TEXT_EXAM, 'utf16le');
+
+    for (const bytes of [utf16, Buffer.concat([Buffer.from([0xFF, 0xFE]), utf16])]) {
+        assert.strictEqual(VCEParser.checkForBinaryFormat(new Uint8Array(bytes).buffer), false);
+        const { questions } = await parse(bytes);
+        assert.strictEqual(questions.length, 1);
+        assert.deepStrictEqual(questions[0].correctAnswer, [1]);
+    }
+});
+
+test('reads JSON padded with NUL bytes', async () => {
+    const json = JSON.stringify({ questions: [{ text: 'Q?', options: ['a', 'b'], correctAnswer: 1 }] });
+    const { questions, report } = await parse(Buffer.from(`${json}\0\0`));
+    assert.strictEqual(report.strategy, 'json');
+    assert.deepStrictEqual(questions[0].correctAnswer, [1]);
+});
+
+test('recovers compressed text blocks from binary files', async () => {
+    const bytes = Buffer.concat([
+        Buffer.from('VCE\0\x02\x01'),
+        Buffer.alloc(64, 7),
+        zlib.deflateSync(Buffer.from(TEXT_EXAM)),
+        Buffer.alloc(4096, 3)
+    ]);
+    const { questions, report } = await parse(bytes);
+    assert.match(report.strategy, /^binary compressed blocks/);
+    assert.strictEqual(questions[0].text, 'What is 2+2?');
+});
+
+test('rejects undecodable binary files with the variant details', async () => {
+    const bytes = Buffer.concat([Buffer.from('VCE\0\x02\x01'), Buffer.alloc(1024, 7)]);
+    await assert.rejects(parse(bytes), {
+        code: 'VCE_UNSUPPORTED_VARIANT',
+        signature: '56 43 45 00',
+        version: '2.1'
+    });
+});